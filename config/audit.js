@@ -0,0 +1,109 @@
+// Access auditing middleware. Every request under /api and /fhir, apart from the
+// reference data in UNAUDITED_PATHS, is written to the audit log once its
+// response has been sent or the client has gone away: who made it, from which
+// IP, the route, the records and patient it concerned, and how it ended.
+// Record IDs in the path are picked up here; handlers that return other
+// records (lists, search, exports, creation) name them with auditRecordAccess.
+
+import { getDatabase } from './database.js';
+import { toSqliteTimestamp } from './auth.js';
+import { appendAuditEntry, hashAuditQuery } from '../services/auditLog.js';
+import { parseId } from '../utils/validation.js';
+
+// Requests that never touch patient data
+const UNAUDITED_PATHS = [
+  /^\/api\/?$/,
+  /^\/api\/terminology(\/|$)/,
+  /^\/api\/record-statuses\/?$/
+];
+
+// Routes whose :id is a record ID
+const RECORD_ROUTES = [/^\/api\/records\/:id(\/|$)/, /^\/api\/problem-summary\/:id$/, /^\/fhir\/Condition\/:id$/];
+
+// Routes whose :id is a patient ID
+const PATIENT_ROUTES = [/^\/api\/patients\/:id(\/|$)/];
+
+// Add record IDs that a response read, listed, exported or created
+export const auditRecordAccess = (res, recordIds) => {
+  (res.locals.auditRecordIds ??= []).push(...recordIds);
+};
+
+// The matched route pattern, such as /api/records/:id. Unmatched requests and
+// routes with several patterns get their path with numeric segments as :id.
+export const routePattern = (req, path) => {
+  if (req.route && typeof req.route.path === 'string') {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return path.replace(/\/\d+(?=\/|$)/g, '/:id');
+};
+
+// The :id segment of the path, when the route is one of `routes`. Read from the
+// path rather than req.params, which is empty for requests refused before routing.
+const pathIdOf = (route, path, routes) => {
+  if (!routes.some((pattern) => pattern.test(route))) {
+    return null;
+  }
+  return parseId(path.split('/')[route.split('/').indexOf(':id')]);
+};
+
+const patientIdOf = (req, route, path) => {
+  const candidates = [
+    req.params?.patientId,
+    pathIdOf(route, path, PATIENT_ROUTES),
+    req.query?.patient_id,
+    // FHIR searches name the patient as <id> or Patient/<id>
+    typeof (req.query?.patient ?? req.query?.subject) === 'string'
+      ? (req.query.patient ?? req.query.subject).replace(/^Patient\//, '')
+      : undefined,
+    req.body?.patient_id
+  ];
+  return candidates.map((value) => parseId(value)).find(Boolean) ?? null;
+};
+
+const outcomeOf = (statusCode) => {
+  if (statusCode === null || statusCode >= 500) {
+    return 'error';
+  }
+  if ([401, 403, 429].includes(statusCode)) {
+    return 'denied';
+  }
+  return statusCode >= 400 ? 'failed' : 'success';
+};
+
+export const auditRequests = (req, res, next) => {
+  const path = req.originalUrl.split('?')[0];
+  if (UNAUDITED_PATHS.some((pattern) => pattern.test(path))) {
+    return next();
+  }
+
+  const occurredAt = toSqliteTimestamp(Date.now());
+
+  res.once('close', () => {
+    try {
+      const route = routePattern(req, path);
+      const pathRecordId = pathIdOf(route, path, RECORD_ROUTES);
+      // A client that leaves before the response started gets no status code
+      const statusCode = res.headersSent ? res.statusCode : null;
+
+      appendAuditEntry(getDatabase(), {
+        occurred_at: occurredAt,
+        principal_key_id: req.principal?.keyId,
+        principal_name: req.principal?.name,
+        principal_role: req.principal?.role,
+        ip: req.ip,
+        method: req.method,
+        route,
+        path,
+        record_ids: [...(pathRecordId ? [pathRecordId] : []), ...(res.locals.auditRecordIds ?? [])],
+        patient_id: patientIdOf(req, route, path),
+        status_code: statusCode,
+        outcome: outcomeOf(statusCode),
+        details: typeof req.query?.q === 'string' ? { query_hmac: hashAuditQuery(req.query.q) } : null
+      });
+    } catch (error) {
+      console.error('Error writing audit log entry:', error);
+    }
+  });
+
+  next();
+};
@@ -1,11 +1,99 @@
 // Authentication configuration
-export const API_TOKEN = 'elevaid-secure-token-2025';
+// API keys live in the api_keys table as SHA-256 hashes. Each key has a role,
+// and routes declare the minimum role they need with requireRole().
+
+import crypto from 'crypto';
+import { getDatabase, prepareCached } from './database.js';
+import { settings } from './settings.js';
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+export const ROLES = ['reader', 'clinician', 'admin'];
+
+const KEY_PREFIX = 'elv_';
+
+// Generate a new random API key
+export const generateApiKey = () => {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+};
+
+// Keys are long random strings, so a plain SHA-256 hash is enough to store them
+export const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Short, non-secret part of a key that lets admins tell keys apart
+export const getKeyPrefix = (key) => key.slice(0, KEY_PREFIX.length + 6);
+
+// Convert a date input to the format SQLite uses for CURRENT_TIMESTAMP, so stored
+// expiry times compare correctly against it. Returns null for invalid dates.
+export const toSqliteTimestamp = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+// On first start there are no keys at all, so create an admin key to bootstrap
+// key management. BOOTSTRAP_ADMIN_API_KEY supplies the key; otherwise one is
+// generated and printed once.
+export const ensureBootstrapAdminKey = (db) => {
+  const { count } = prepareCached(db, 'SELECT COUNT(*) AS count FROM api_keys').get();
+  if (count > 0) {
+    return;
+  }
+
+  const key = settings.auth.bootstrapAdminKey ?? generateApiKey();
+
+  prepareCached(db, `
+    INSERT INTO api_keys (name, role, key_prefix, key_hash)
+    VALUES ('bootstrap-admin', 'admin', ?, ?)
+  `).run(getKeyPrefix(key), hashApiKey(key));
+
+  if (settings.auth.bootstrapAdminKey) {
+    console.log('🔑 Created bootstrap admin API key from BOOTSTRAP_ADMIN_API_KEY');
+  } else {
+    // A warning, so a quiet LOG_LEVEL does not swallow the only copy of the key
+    console.warn(`🔑 Created bootstrap admin API key (shown only once): ${key}`);
+  }
+};
+
+// The principal of the request's API key, or null when the Authorization
+// header is missing or the key is unknown, revoked or expired. Looked up once
+// per request: the rate limiters need it before validateToken runs.
+const requestPrincipals = new WeakMap();
+
+export const findRequestPrincipal = (req) => {
+  if (!requestPrincipals.has(req)) {
+    const authHeader = req.headers.authorization;
+    let principal = null;
+
+    if (authHeader) {
+      // Check for Bearer token format
+      const token = authHeader.startsWith('Bearer ')
+        ? authHeader.substring(7)
+        : authHeader;
+
+      const apiKey = prepareCached(getDatabase(), `
+        SELECT id, name, role
+        FROM api_keys
+        WHERE key_hash = ?
+          AND revoked = 0
+          AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      `).get(hashApiKey(token));
+
+      principal = apiKey ? { keyId: apiKey.id, name: apiKey.name, role: apiKey.role } : null;
+    }
+
+    requestPrincipals.set(req, principal);
+  }
+
+  return requestPrincipals.get(req);
+};
 
 // Token validation middleware
 export const validateToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader) {
+  if (!req.headers.authorization) {
     return res.status(401).json({
       success: false,
       error: 'Authentication required',
@@ -13,20 +101,52 @@ export const validateToken = (req, res, next) => {
     });
   }
 
-  // Check for Bearer token format
-  const token = authHeader.startsWith('Bearer ') 
-    ? authHeader.substring(7) 
-    : authHeader;
+  try {
+    const principal = findRequestPrincipal(req);
+
+    if (!principal) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid token',
+        message: 'Invalid or expired API token'
+      });
+    }
 
-  if (token !== API_TOKEN) {
-    return res.status(403).json({
+    prepareCached(getDatabase(), 'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(principal.keyId);
+
+    // Downstream handlers use the principal for authorization and attribution
+    req.principal = principal;
+
+    next();
+
+  } catch (error) {
+    console.error('Error validating API token:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid token',
-      message: 'Invalid or expired API token'
+      error: 'Server error',
+      message: 'Failed to validate API token'
     });
   }
+};
 
-  next();
+// True when the principal's role is `role` or a more privileged one
+export const hasRole = (principal, role) => {
+  return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+};
+
+// Role check middleware. Must run after validateToken.
+export const requireRole = (role) => {
+  return (req, res, next) => {
+    if (!hasRole(req.principal, role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        message: `This operation requires the ${role} role`
+      });
+    }
+
+    next();
+  };
 };
 
 // Optional: Add token to Swagger documentation
@@ -44,4 +164,4 @@ export const swaggerAuthConfig = {
       ApiKeyAuth: []
     }
   ]
-}; 
\ No newline at end of file
+};
@@ -1,42 +1,141 @@
 // Centralized SQLite DB setup.
-// In a real-world scenario, this could evolve to use ORM (e.g., Sequelize) or be abstracted for multi-environment configs.
+// The process shares one long-lived connection, opened on first use and closed
+// by closeDatabase() at shutdown. Long streaming reads, which would keep that
+// connection busy between chunks, use their own read-only connection instead.
 
 import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { settings } from './settings.js';
+import { loadMigrations, migrateUp } from './migrations.js';
+import { registerEncryptionFunctions } from './encryption.js';
+import { dbQueryDuration } from '../services/metrics.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// Database file path (DATABASE_PATH)
+const dbPath = settings.database.path;
 
-// Database file path
-const dbPath = join(__dirname, '..', 'database.sqlite');
+// How long a statement waits for another connection's write lock before failing
+const BUSY_TIMEOUT_MS = 5000;
 
-// Initialize database
-export const initDatabase = () => {
-  const db = new Database(dbPath);
-  
-  // Enable foreign keys
+// Prepared statements kept per connection; the least recently used are dropped
+// beyond this, since list queries are built from the filters in each request
+const STATEMENT_CACHE_SIZE = 200;
+
+let connection;
+const statementCaches = new WeakMap();
+
+// Time run(), get() and all() of every statement the connection prepares, for
+// db_query_duration_seconds. Iterated statements are left alone, since their
+// rows are read over the life of the iterator.
+const timeStatements = (db) => {
+  const prepare = db.prepare.bind(db);
+
+  db.prepare = (sql) => {
+    const statement = prepare(sql);
+    const operation = sql.trim().split(/\s/, 1)[0].toLowerCase();
+
+    for (const method of ['run', 'get', 'all']) {
+      const execute = statement[method];
+      statement[method] = function (...params) {
+        const stopTimer = dbQueryDuration.startTimer({ operation });
+        try {
+          return execute.apply(this, params);
+        } finally {
+          stopTimer();
+        }
+      };
+    }
+    return statement;
+  };
+};
+
+const openConnection = (options = {}) => {
+  const db = new Database(dbPath, options);
+  timeStatements(db);
+
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  // Foreign keys are a per-connection setting in SQLite
   db.pragma('foreign_keys = ON');
-  
-  // Create tables
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS records (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      diagnosis TEXT,
-      status TEXT,
-      note TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-  
-  console.log('✅ Database initialized successfully');
+  // Overwrite deleted content, so replaced plaintext and ciphertext under
+  // retired keys do not linger in free pages
+  db.pragma('secure_delete = ON');
+  registerEncryptionFunctions(db);
+
   return db;
 };
 
-// Get database instance
+// Get the shared database connection
 export const getDatabase = () => {
-  return new Database(dbPath);
+  if (!connection) {
+    connection = openConnection();
+
+    // WAL lets readers run alongside the writer; with WAL, NORMAL sync is
+    // still safe against corruption and only risks the last commits on power loss
+    connection.pragma('journal_mode = WAL');
+    connection.pragma('synchronous = NORMAL');
+  }
+
+  return connection;
+};
+
+// Prepare a statement once per connection and reuse it on later calls.
+// Statements that are iterated must be prepared directly, because a cached
+// statement cannot be iterated twice at the same time.
+export const prepareCached = (db, sql) => {
+  let cache = statementCaches.get(db);
+  if (!cache) {
+    cache = new Map();
+    statementCaches.set(db, cache);
+  }
+
+  let statement = cache.get(sql);
+  if (statement) {
+    // Move to the back so the oldest unused statement is dropped first
+    cache.delete(sql);
+  } else {
+    statement = db.prepare(sql);
+    if (cache.size >= STATEMENT_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+  cache.set(sql, statement);
+
+  return statement;
+};
+
+// A separate read-only connection for long-running reads such as streamed
+// exports. The caller closes it when done.
+export const openReadConnection = () => {
+  return openConnection({ readonly: true, fileMustExist: true });
+};
+
+// Close the shared connection; the next getDatabase() opens a new one
+export const closeDatabase = () => {
+  if (connection) {
+    connection.close();
+    connection = undefined;
+  }
+};
+
+// Initialize database: bring the schema up to date with the migrations in
+// migrations/ and return the shared connection. Rejects with a MigrationError
+// when the database was migrated by newer code or another process holds the
+// migration lock for too long.
+export const initDatabase = async () => {
+  const db = getDatabase();
+
+  try {
+    const migrations = await loadMigrations();
+    const applied = await migrateUp(db, migrations);
+
+    for (const migration of applied) {
+      console.log(`🗃️  Applied migration ${migration.version}_${migration.name}`);
+    }
+  } catch (error) {
+    closeDatabase();
+    throw error;
+  }
+
+  console.log('✅ Database initialized successfully');
+  return db;
 };
 
-export default { initDatabase, getDatabase }; 
\ No newline at end of file
+export default { initDatabase, getDatabase, closeDatabase };
@@ -0,0 +1,254 @@
+// Field-level encryption at rest for clinical text (record diagnosis and note).
+// Values are encrypted with AES-256-GCM before they are written and stored as
+//
+//   enc:v1:<key id>:<base64 of IV, auth tag and ciphertext>
+//
+// The field name is bound to each value as additional authenticated data, so a
+// note cannot be passed off as a diagnosis. Keys come from a key provider chosen
+// with FIELD_ENCRYPTION_KEY_PROVIDER; rows also record the key ID they were
+// encrypted with so `npm run encryption:rotate` can find rows under old keys.
+// Every connection gets a field_decrypt(field, value) SQL function, which lets
+// queries sort and select decrypted values directly.
+
+import crypto from 'crypto';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { settings } from './settings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Record columns stored encrypted
+export const ENCRYPTED_RECORD_FIELDS = ['diagnosis', 'note'];
+
+// Key file generated for local development when no keys are configured
+export const DEVELOPMENT_KEY_FILE = join(__dirname, '..', '.field-encryption-keys.json');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const PREFIX = 'enc:v1:';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// A value could not be encrypted or decrypted: unknown key, tampered or
+// truncated ciphertext, or a key configuration problem
+export class FieldEncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FieldEncryptionError';
+  }
+}
+
+export const generateFieldKey = () => crypto.randomBytes(KEY_BYTES).toString('base64');
+
+// Check and decode { keyId: base64Key } into { keyId: Buffer }
+const decodeKeys = (entries, source) => {
+  const keys = new Map();
+
+  for (const [keyId, encoded] of entries) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new FieldEncryptionError(`${source}: key ID "${keyId}" may only contain letters, digits, ".", "_" and "-"`);
+    }
+
+    const key = Buffer.from(String(encoded ?? ''), 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw new FieldEncryptionError(`${source}: key "${keyId}" must be ${KEY_BYTES} bytes, base64-encoded`);
+    }
+    if (keys.has(keyId)) {
+      throw new FieldEncryptionError(`${source}: key ID "${keyId}" is listed twice`);
+    }
+    keys.set(keyId, key);
+  }
+
+  if (keys.size === 0) {
+    throw new FieldEncryptionError(`${source}: no keys configured`);
+  }
+  return keys;
+};
+
+const checkActiveKey = (keys, activeKeyId, source) => {
+  if (!keys.has(activeKeyId)) {
+    throw new FieldEncryptionError(`${source}: active key "${activeKeyId}" is not among the configured keys`);
+  }
+  return { keys, activeKeyId };
+};
+
+// FIELD_ENCRYPTION_KEYS="2025-01:<base64>,2026-01:<base64>"; the active key is
+// FIELD_ENCRYPTION_ACTIVE_KEY_ID or else the last one listed
+const envKeyProvider = () => {
+  const source = 'FIELD_ENCRYPTION_KEYS';
+  const entries = (process.env.FIELD_ENCRYPTION_KEYS ?? '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator < 1) {
+        throw new FieldEncryptionError(`${source}: expected <key id>:<base64 key>, got "${entry.slice(0, 20)}…"`);
+      }
+      return [entry.slice(0, separator), entry.slice(separator + 1)];
+    });
+
+  const keys = decodeKeys(entries, source);
+  return checkActiveKey(keys, process.env.FIELD_ENCRYPTION_ACTIVE_KEY_ID || entries[entries.length - 1][0], source);
+};
+
+// A JSON file { "active": "2026-01", "keys": { "2025-01": "<base64>", "2026-01": "<base64>" } },
+// for keys mounted from a secret store
+const readKeyFile = (path) => {
+  const source = `Field encryption key file ${path}`;
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new FieldEncryptionError(`${source} could not be read: ${error.message}`);
+  }
+
+  if (!config || typeof config.keys !== 'object' || typeof config.active !== 'string') {
+    throw new FieldEncryptionError(`${source} must contain "active" and "keys"`);
+  }
+  return checkActiveKey(decodeKeys(Object.entries(config.keys), source), config.active, source);
+};
+
+const fileKeyProvider = () => {
+  if (!process.env.FIELD_ENCRYPTION_KEY_FILE) {
+    throw new FieldEncryptionError('FIELD_ENCRYPTION_KEY_FILE is required by the file key provider');
+  }
+  return readKeyFile(process.env.FIELD_ENCRYPTION_KEY_FILE);
+};
+
+// Outside production, a key file next to the database is created on first start
+// so the server runs without configuration. It is no substitute for real keys:
+// whoever copies the project directory gets both.
+const developmentKeyProvider = () => {
+  if (settings.profile === 'production') {
+    throw new FieldEncryptionError('Field encryption keys are required in production; set FIELD_ENCRYPTION_KEYS or FIELD_ENCRYPTION_KEY_FILE');
+  }
+
+  if (!existsSync(DEVELOPMENT_KEY_FILE)) {
+    const keyId = `dev-${new Date().toISOString().slice(0, 10)}`;
+    writeFileSync(DEVELOPMENT_KEY_FILE, `${JSON.stringify({ active: keyId, keys: { [keyId]: generateFieldKey() } }, null, 2)}\n`, { mode: 0o600 });
+  }
+  return readKeyFile(DEVELOPMENT_KEY_FILE);
+};
+
+const keyProviders = {
+  env: envKeyProvider,
+  file: fileKeyProvider
+};
+
+// Build a cipher from { keys: Map<keyId, Buffer>, activeKeyId }
+export const createFieldCipher = ({ keys, activeKeyId }) => {
+  const keyFor = (keyId) => {
+    const key = keys.get(keyId);
+    if (!key) {
+      throw new FieldEncryptionError(`Encryption key "${keyId}" is not configured`);
+    }
+    return key;
+  };
+
+  // HMAC-SHA256 under a key derived from `keyId` for one purpose, so digests
+  // never reveal anything about the encryption key or other purposes' digests
+  const digest = (keyId, purpose, value) => {
+    const hmacKey = Buffer.from(crypto.hkdfSync('sha256', keyFor(keyId), Buffer.alloc(0), `hmac:${purpose}`, KEY_BYTES));
+    return `${keyId}:${crypto.createHmac('sha256', hmacKey).update(String(value), 'utf8').digest('hex')}`;
+  };
+
+  return {
+    activeKeyId,
+    keyIds: [...keys.keys()],
+
+    // Keyed digest of a value with the active key, as <key id>:<hex>. Equal
+    // values give equal digests, so a stored digest can be matched against a
+    // value without the value itself being stored.
+    hmac(purpose, value) {
+      return digest(activeKeyId, purpose, value);
+    },
+
+    // The digest of a value under every configured key, to match digests
+    // stored before the active key changed
+    hmacCandidates(purpose, value) {
+      return [...keys.keys()].map((keyId) => digest(keyId, purpose, value));
+    },
+
+    // Encrypt a field value with the active key. null and undefined stay null.
+    encrypt(field, value) {
+      if (value === null || value === undefined) {
+        return null;
+      }
+
+      const iv = crypto.randomBytes(IV_BYTES);
+      const cipher = crypto.createCipheriv(ALGORITHM, keyFor(activeKeyId), iv);
+      cipher.setAAD(Buffer.from(field));
+      const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+      return `${PREFIX}${activeKeyId}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+    },
+
+    // Decrypt a stored field value. Values written before encryption was
+    // enabled are returned as they are until the rotation command encrypts them.
+    decrypt(field, value) {
+      if (!isEncryptedValue(value)) {
+        return value;
+      }
+
+      const separator = value.indexOf(':', PREFIX.length);
+      const payload = separator < 0 ? Buffer.alloc(0) : Buffer.from(value.slice(separator + 1), 'base64');
+      if (payload.length < IV_BYTES + TAG_BYTES) {
+        throw new FieldEncryptionError(`Encrypted ${field} value is malformed`);
+      }
+      const keyId = value.slice(PREFIX.length, separator);
+
+      try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, keyFor(keyId), payload.subarray(0, IV_BYTES));
+        decipher.setAAD(Buffer.from(field));
+        decipher.setAuthTag(payload.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+        return Buffer.concat([decipher.update(payload.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+      } catch (error) {
+        if (error instanceof FieldEncryptionError) {
+          throw error;
+        }
+        throw new FieldEncryptionError(`Encrypted ${field} value failed authentication with key "${keyId}"`);
+      }
+    }
+  };
+};
+
+export const isEncryptedValue = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+let fieldCipher;
+
+// The cipher for the configured key provider, created on first use.
+// FIELD_ENCRYPTION_KEY_PROVIDER is env or file; without it, env is used when
+// FIELD_ENCRYPTION_KEYS is set, file when FIELD_ENCRYPTION_KEY_FILE is set, and
+// otherwise a generated development key file.
+export const getFieldCipher = () => {
+  if (!fieldCipher) {
+    const name = process.env.FIELD_ENCRYPTION_KEY_PROVIDER ||
+      (process.env.FIELD_ENCRYPTION_KEYS ? 'env' : process.env.FIELD_ENCRYPTION_KEY_FILE ? 'file' : undefined);
+
+    let provider = developmentKeyProvider;
+    if (name !== undefined) {
+      provider = keyProviders[name];
+      if (!provider) {
+        throw new FieldEncryptionError(`Unknown FIELD_ENCRYPTION_KEY_PROVIDER "${name}". Expected one of: ${Object.keys(keyProviders).join(', ')}`);
+      }
+    }
+
+    fieldCipher = { ...createFieldCipher(provider()), provider: name ?? 'development' };
+  }
+
+  return fieldCipher;
+};
+
+export const encryptField = (field, value) => getFieldCipher().encrypt(field, value);
+
+export const decryptField = (field, value) => getFieldCipher().decrypt(field, value);
+
+// Make field_decrypt(field, value) available to SQL on a connection
+export const registerEncryptionFunctions = (db) => {
+  db.function('field_decrypt', { deterministic: true }, (field, value) => decryptField(field, value));
+};
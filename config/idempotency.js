@@ -0,0 +1,141 @@
+// Idempotency-Key support for endpoints that create things. A client that may
+// retry a request sends a unique Idempotency-Key header with it. The first
+// response for a key is stored for the caller's API key together with a hash of
+// the request, and a retry with the same key and request gets that response
+// again (with Idempotent-Replayed: true) instead of creating a second copy.
+// The same key with a different request is refused with 422, and a retry while
+// the first request is still running with 409. Keys expire after
+// IDEMPOTENCY_KEY_TTL_HOURS. Requests without the header are not affected.
+//
+// Goes after authentication and after the body is read, and before the route's
+// own rate limiter, so a retry of a request that already went through is
+// replayed instead of being refused with 429. Server errors and rate limit
+// refusals are not stored, so those requests can be retried.
+// Stored responses are encrypted and leave out secrets (see below).
+
+import { getDatabase } from './database.js';
+import { settings } from './settings.js';
+import {
+  hashIdempotentRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  pruneExpiredIdempotencyKeys
+} from '../services/idempotency.js';
+
+// Printable ASCII, so keys such as UUIDs fit and stay readable in the database
+const KEY_PATTERN = /^[\x20-\x7e]{1,255}$/;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Top-level response fields that are never stored: a replayed webhook
+// subscription comes back without its signing secret
+const UNSTORED_RESPONSE_FIELDS = ['secret'];
+
+let nextPruneAt = 0;
+
+// Drop expired keys at most once an hour
+const pruneExpired = (db, now) => {
+  if (now < nextPruneAt) {
+    return;
+  }
+  pruneExpiredIdempotencyKeys(db, now);
+  nextPruneAt = now + PRUNE_INTERVAL_MS;
+};
+
+const withoutUnstoredFields = (body) => {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+  return Object.fromEntries(Object.entries(body).filter(([field]) => !UNSTORED_RESPONSE_FIELDS.includes(field)));
+};
+
+const replay = (res, { statusCode, body, location }) => {
+  res.set('Idempotent-Replayed', 'true');
+  if (location) {
+    res.location(location);
+  }
+  return res.status(statusCode).json(body);
+};
+
+export const idempotent = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: 'Idempotency-Key must be 1 to 255 printable ASCII characters'
+    });
+  }
+
+  const scope = { keyId: req.principal.keyId, key };
+
+  try {
+    const db = getDatabase();
+    pruneExpired(db, Date.now());
+
+    const requestHash = hashIdempotentRequest({ method: req.method, url: req.originalUrl, body: req.body });
+    const claim = claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: settings.idempotency.ttlHours * 60 * 60 * 1000 });
+
+    if (!claim.claimed) {
+      if (claim.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used for a different request; send a new key'
+        });
+      }
+      if (!claim.response) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'A request with this Idempotency-Key is still being processed; retry later'
+        });
+      }
+      return replay(res, claim.response);
+    }
+
+  } catch (error) {
+    console.error('Error checking idempotency key:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to check idempotency key'
+    });
+  }
+
+  // Store the response when the handler sends it. A client that leaves first
+  // does not release the claim: the handler may still create something, and
+  // its response is stored when it is sent.
+  let settled = false;
+  const settle = (body) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+
+    try {
+      if (body !== undefined && res.statusCode < 500 && res.statusCode !== 429) {
+        completeIdempotencyKey(getDatabase(), { ...scope, statusCode: res.statusCode, body: withoutUnstoredFields(body), location: res.get('Location') });
+      } else {
+        releaseIdempotencyKey(getDatabase(), scope);
+      }
+    } catch (error) {
+      console.error('Error storing idempotent response:', error);
+    }
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settle(body);
+    return json(body);
+  };
+  // Responses sent without res.json are not stored
+  res.once('finish', () => settle());
+
+  next();
+};
@@ -0,0 +1,26 @@
+// Request metrics middleware: counts every response and its duration by method,
+// route pattern and status code (see services/metrics.js).
+
+import { routePattern } from './audit.js';
+import { httpRequestsTotal, httpRequestDuration } from '../services/metrics.js';
+
+// Requests answered before a route matched (failed authentication, the general
+// rate limit, unknown paths) share one label, so arbitrary paths cannot create
+// new series
+const UNMATCHED_ROUTE = 'unmatched';
+
+export const recordRequestMetrics = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.once('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? routePattern(req, req.originalUrl.split('?')[0]) : UNMATCHED_ROUTE,
+      status: res.statusCode
+    };
+    httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  });
+
+  next();
+};
@@ -0,0 +1,218 @@
+// Versioned schema migrations.
+// Each file in migrations/ is named <version>_<name>.js (for example
+// 002_add_webhooks.js) and exports up(db) and down(db). Applied versions are
+// recorded in schema_migrations, every migration runs in its own transaction,
+// and a row in schema_migrations_lock keeps two processes from migrating the
+// same database at once.
+
+import { readdirSync } from 'fs';
+import { hostname } from 'os';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MIGRATIONS_DIR = join(__dirname, '..', 'migrations');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// How long to wait for another process's migration run before giving up
+const LOCK_TIMEOUT_MS = 30000;
+const LOCK_POLL_MS = 250;
+
+export class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+// Another process holds the migration lock
+export class MigrationLockError extends MigrationError {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationLockError';
+  }
+}
+
+// The database has migrations this code does not know about
+export class SchemaVersionError extends MigrationError {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaVersionError';
+  }
+}
+
+// Add a column to an existing table unless it is already there
+export const addColumnIfMissing = (db, table, column, definition) => {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+  if (!columns.some((col) => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+// Every migration file in version order: [{ version, name, up, down }]
+export const loadMigrations = async (dir = MIGRATIONS_DIR) => {
+  const migrations = [];
+
+  for (const file of readdirSync(dir).sort()) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      continue;
+    }
+
+    const version = parseInt(match[1], 10);
+    if (migrations.some((migration) => migration.version === version)) {
+      throw new MigrationError(`Migration version ${version} is used by more than one file`);
+    }
+
+    const { up, down } = await import(pathToFileURL(join(dir, file)).href);
+    if (typeof up !== 'function' || typeof down !== 'function') {
+      throw new MigrationError(`Migration ${file} must export up(db) and down(db) functions`);
+    }
+
+    migrations.push({ version, name: match[2], up, down });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationTables = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS schema_migrations_lock (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      owner TEXT NOT NULL,
+      acquired_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+// Where the database stands against the known migrations. `unknown` lists
+// applied versions that have no migration file, which means the database was
+// migrated by newer code.
+export const getSchemaStatus = (db, migrations) => {
+  ensureMigrationTables(db);
+
+  const applied = db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  const knownVersions = new Set(migrations.map((migration) => migration.version));
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations
+      .filter((migration) => !appliedVersions.has(migration.version))
+      .map(({ version, name }) => ({ version, name })),
+    unknown: applied.filter((row) => !knownVersions.has(row.version))
+  };
+};
+
+// Refuse to work with a database that newer code has migrated
+export const assertSchemaNotNewer = (db, migrations) => {
+  const status = getSchemaStatus(db, migrations);
+
+  if (status.unknown.length > 0) {
+    throw new SchemaVersionError(
+      `Database schema is at version ${status.current} but this code only knows migrations up to ` +
+      `version ${status.latest} (unknown: ${status.unknown.map((row) => row.version).join(', ')}). ` +
+      'Deploy the newer code or roll the database back with it.'
+    );
+  }
+
+  return status;
+};
+
+const lockOwner = () => `${hostname()}:${process.pid}`;
+
+// Run fn while holding the migration lock, waiting for another run to finish first
+const withMigrationLock = async (db, fn) => {
+  ensureMigrationTables(db);
+
+  const owner = lockOwner();
+  const acquire = db.prepare('INSERT OR IGNORE INTO schema_migrations_lock (id, owner) VALUES (1, ?)');
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (acquire.run(owner).changes === 0) {
+    if (Date.now() >= deadline) {
+      const lock = db.prepare('SELECT owner, acquired_at FROM schema_migrations_lock WHERE id = 1').get();
+      throw new MigrationLockError(
+        `Migrations are locked by ${lock?.owner ?? 'another process'} since ${lock?.acquired_at ?? 'an unknown time'}. ` +
+        'If that process is no longer running, clear the lock with "npm run migrate -- unlock".'
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_MS));
+  }
+
+  try {
+    return fn();
+  } finally {
+    db.prepare('DELETE FROM schema_migrations_lock WHERE id = 1 AND owner = ?').run(owner);
+  }
+};
+
+// Remove a lock left behind by a process that died mid-run. Returns true if there was one.
+export const releaseMigrationLock = (db) => {
+  ensureMigrationTables(db);
+  return db.prepare('DELETE FROM schema_migrations_lock WHERE id = 1').run().changes > 0;
+};
+
+// Apply pending migrations up to and including `to` (default: all).
+// Returns the migrations applied, in order.
+export const migrateUp = (db, migrations, { to = Infinity } = {}) => {
+  return withMigrationLock(db, () => {
+    // Read the state under the lock; another process may just have migrated
+    const status = assertSchemaNotNewer(db, migrations);
+    const pending = new Set(status.pending.map((migration) => migration.version));
+    const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+    const applied = [];
+
+    for (const migration of migrations) {
+      if (!pending.has(migration.version) || migration.version > to) {
+        continue;
+      }
+
+      db.transaction(() => {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      })();
+      applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+  });
+};
+
+// Roll back applied migrations newer than `to`, newest first.
+// Returns the migrations rolled back, in the order they were undone.
+export const migrateDown = (db, migrations, { to }) => {
+  return withMigrationLock(db, () => {
+    const status = assertSchemaNotNewer(db, migrations);
+    const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+    const remove = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+    const rolledBack = [];
+
+    for (const row of [...status.applied].reverse()) {
+      if (row.version <= to) {
+        break;
+      }
+
+      const migration = byVersion.get(row.version);
+      db.transaction(() => {
+        migration.down(db);
+        remove.run(migration.version);
+      })();
+      rolledBack.push({ version: migration.version, name: migration.name });
+    }
+
+    return rolledBack;
+  });
+};
@@ -0,0 +1,270 @@
+// Request and response validation against the OpenAPI spec built by swaggerJsdoc.
+// Path parameters, query parameters and JSON bodies are checked with the
+// schemas documented on each route. Object schemas are treated as closed, so
+// fields and query parameters the docs do not list are rejected. Every problem
+// is reported with where it is (path, query or body) and a JSON pointer to it.
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const SPEC_ID = 'openapi.json';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Deep copy of a schema with local $refs pointing into the registered spec and,
+// when closeObjects is set, additionalProperties: false on every object schema
+// that does not say otherwise
+const prepareSchema = (schema, { closeObjects, rewriteRefs }) => {
+  if (Array.isArray(schema)) {
+    return schema.map((item) => prepareSchema(item, { closeObjects, rewriteRefs }));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const prepared = {};
+  for (const [key, value] of Object.entries(schema)) {
+    prepared[key] = key === '$ref' && rewriteRefs && value.startsWith('#/')
+      ? `${SPEC_ID}${value}`
+      : prepareSchema(value, { closeObjects, rewriteRefs });
+  }
+
+  if (closeObjects && prepared.properties && prepared.additionalProperties === undefined) {
+    prepared.additionalProperties = false;
+  }
+
+  return prepared;
+};
+
+const createAjv = (spec, { coerceTypes = false } = {}) => {
+  // strict: false lets OpenAPI-only keywords such as example through
+  const ajv = new Ajv({ allErrors: true, strict: false, coerceTypes, logger: false });
+  addFormats(ajv);
+  ajv.addSchema(prepareSchema({ components: spec.components ?? {} }, { closeObjects: true }), SPEC_ID);
+  return ajv;
+};
+
+const compile = (ajv, schema) => ajv.compile(prepareSchema(schema, { closeObjects: true, rewriteRefs: true }));
+
+// Resolve a #/components/... reference inside the spec
+const resolveRef = (spec, value) => {
+  if (!value?.$ref) {
+    return value;
+  }
+  return value.$ref.slice(2).split('/').reduce((node, key) => node?.[key], spec);
+};
+
+// Turn Ajv errors into { location, pointer, message } entries
+const formatErrors = (location, errors) => {
+  const seen = new Set();
+  const formatted = [];
+
+  for (const error of errors) {
+    let pointer = error.instancePath;
+    let message = error.message;
+
+    if (error.keyword === 'required') {
+      pointer = `${pointer}/${error.params.missingProperty}`;
+      message = 'is required';
+    } else if (error.keyword === 'additionalProperties') {
+      pointer = `${pointer}/${error.params.additionalProperty}`;
+      message = 'is not allowed';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+
+    const key = `${location} ${pointer} ${message}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      formatted.push({ location, pointer: pointer || '/', message });
+    }
+  }
+
+  return formatted;
+};
+
+// Express path for an OpenAPI path: /api/records/{id} -> ^/api/records/([^/]+)/?$
+const pathMatcher = (path) => {
+  const names = [];
+  const source = path.split('/').map((segment) => {
+    const match = /^\{(.+)\}$/.exec(segment);
+    if (!match) {
+      return segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    }
+    names.push(match[1]);
+    return '([^/]+)';
+  }).join('/');
+
+  return { regex: new RegExp(`^${source}/?$`, 'i'), names };
+};
+
+// Compile the validators of every operation under pathPrefix
+const compileOperations = (spec, pathPrefix) => {
+  const ajv = createAjv(spec);
+  const coercingAjv = createAjv(spec, { coerceTypes: true });
+  const operations = [];
+
+  for (const [path, item] of Object.entries(spec.paths ?? {})) {
+    if (!path.startsWith(pathPrefix)) {
+      continue;
+    }
+
+    const { regex, names } = pathMatcher(path);
+
+    for (const method of HTTP_METHODS) {
+      const operation = item[method];
+      if (!operation) {
+        continue;
+      }
+
+      const parameters = [...(item.parameters ?? []), ...(operation.parameters ?? [])]
+        .map((parameter) => resolveRef(spec, parameter));
+
+      // Query and path values arrive as strings, so their validators coerce types
+      const parameterValidator = (location) => {
+        const own = parameters.filter((parameter) => parameter.in === location);
+        return compile(coercingAjv, {
+          type: 'object',
+          properties: Object.fromEntries(own.map((parameter) => [parameter.name, parameter.schema ?? {}])),
+          required: own.filter((parameter) => parameter.required).map((parameter) => parameter.name)
+        });
+      };
+
+      const requestBody = resolveRef(spec, operation.requestBody);
+      const jsonBody = requestBody?.content?.['application/json'];
+
+      const responses = {};
+      for (const [status, response] of Object.entries(operation.responses ?? {})) {
+        const schema = resolveRef(spec, response)?.content?.['application/json']?.schema;
+        if (schema) {
+          responses[status] = compile(ajv, schema);
+        }
+      }
+
+      operations.push({
+        method: method.toUpperCase(),
+        path,
+        regex,
+        names,
+        templated: names.length,
+        validatePath: parameterValidator('path'),
+        validateQuery: parameterValidator('query'),
+        body: requestBody && {
+          required: Boolean(requestBody.required),
+          contentTypes: Object.keys(requestBody.content ?? {}),
+          validate: jsonBody?.schema && compile(ajv, jsonBody.schema)
+        },
+        responses
+      });
+    }
+  }
+
+  // Literal paths win over templated ones, as /records/export does over /records/{id}
+  return operations.sort((a, b) => a.templated - b.templated);
+};
+
+const findOperation = (operations, req) => {
+  const path = req.originalUrl.split('?')[0];
+
+  for (const operation of operations) {
+    if (operation.method !== req.method) {
+      continue;
+    }
+    const match = operation.regex.exec(path);
+    if (match) {
+      return {
+        operation,
+        params: Object.fromEntries(operation.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]))
+      };
+    }
+  }
+
+  return undefined;
+};
+
+// Collect every problem with a request; empty when it is valid
+const checkRequest = (operation, params, req) => {
+  const errors = [];
+
+  if (!operation.validatePath({ ...params })) {
+    errors.push(...formatErrors('path', operation.validatePath.errors));
+  }
+
+  // Validate a copy so coercion does not change what the route handlers see
+  if (!operation.validateQuery({ ...req.query })) {
+    errors.push(...formatErrors('query', operation.validateQuery.errors));
+  }
+
+  // Only JSON bodies are checked here; routes taking other content types parse them themselves
+  const { body } = operation;
+  const isJson = Boolean(req.is('application/json'));
+
+  if (body?.validate) {
+    if (isJson) {
+      if (!body.validate(req.body)) {
+        errors.push(...formatErrors('body', body.validate.errors));
+      }
+    } else if (body.required && body.contentTypes.length === 1) {
+      errors.push({ location: 'body', pointer: '/', message: 'is required as application/json' });
+    }
+  } else if (!body && isJson && Object.keys(req.body ?? {}).length > 0) {
+    errors.push({ location: 'body', pointer: '/', message: 'is not allowed' });
+  }
+
+  return errors;
+};
+
+const describeErrors = (errors) => {
+  return errors.map((error) => `${error.location} ${error.pointer} ${error.message}`).join('; ');
+};
+
+// Middleware rejecting requests that do not match their documented operation.
+// Requests for paths the spec does not describe are passed on untouched.
+// With validateResponses, JSON responses are checked against the documented
+// schema for their status code and a mismatch is logged. The response is sent
+// unchanged either way: by then the request's work has already been done.
+export const createOpenApiValidator = (spec, { pathPrefix = '/api', validateResponses = false } = {}) => {
+  const operations = compileOperations(spec, pathPrefix);
+
+  return (req, res, next) => {
+    const found = findOperation(operations, req);
+    if (!found) {
+      return next();
+    }
+
+    const { operation, params } = found;
+
+    const errors = checkRequest(operation, params, req);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: describeErrors(errors),
+        errors
+      });
+    }
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+
+      res.json = (data) => {
+        const validate = operation.responses[res.statusCode] ?? operation.responses.default;
+        if (!validate) {
+          if (res.statusCode < 500) {
+            console.warn(`⚠️  ${operation.method} ${operation.path} responded ${res.statusCode}, which is not documented`);
+          }
+          return json(data);
+        }
+
+        // Round-trip so dates and other toJSON values are checked as they are sent
+        if (!validate(JSON.parse(JSON.stringify(data)))) {
+          console.error(`❌ ${operation.method} ${operation.path} ${res.statusCode} response does not match the API docs: ` +
+            describeErrors(formatErrors('response', validate.errors)));
+        }
+        return json(data);
+      };
+    }
+
+    next();
+  };
+};
@@ -1,13 +1,126 @@
+import { readFileSync } from 'fs';
 import rateLimit from 'express-rate-limit';
+import { settings } from './settings.js';
+import { ROLES, findRequestPrincipal } from './auth.js';
+import { SqliteRateLimitStore, rateLimitClient } from '../services/rateLimitStore.js';
+import { rateLimitRejectionsTotal } from '../services/metrics.js';
+
+// Event streams stay open and reconnect on their own, so they are capped per
+// API key in routes/events.js instead of counting as repeated requests
+const EVENT_STREAM_PATH = '/api/events/stream';
+
+// Health probes and metric scrapes come every few seconds from the same hosts
+const UNLIMITED_PATHS = [EVENT_STREAM_PATH, '/health', '/health/live', '/health/ready', '/metrics'];
+
+const LIMITERS = ['general', 'upload', 'search', 'aiSummary', 'export'];
+
+const isLimit = (value) => Number.isInteger(value) && value > 0;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Window and request limit of each limiter from the settings (config/settings.js),
+// without role or key overrides
+const defaultPolicies = () => Object.fromEntries(LIMITERS.map((name) => {
+  const { windowMinutes, max } = settings.rateLimits[name];
+  return [name, { windowMs: windowMinutes * 60 * 1000, max, roles: {}, keys: {} }];
+}));
+
+// Read and check a policy file such as
+//   { "general": { "max": 300, "roles": { "admin": 1000 }, "keys": { "ward-3-import": 2000 } } }
+// Returns the configured policies with the overrides applied.
+export const loadRateLimitPolicies = (path) => {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`RATE_LIMIT_POLICY_FILE ${path} could not be read: ${error.message}`);
+  }
+
+  if (!isObject(config)) {
+    throw new Error(`RATE_LIMIT_POLICY_FILE ${path}: expected an object with a policy per limiter`);
+  }
+
+  const policies = defaultPolicies();
+  for (const [name, override] of Object.entries(config)) {
+    const where = `RATE_LIMIT_POLICY_FILE ${path} ${name}`;
+    if (!policies[name]) {
+      throw new Error(`${where}: unknown limiter; expected one of ${Object.keys(policies).join(', ')}`);
+    }
+    if (!isObject(override) || [override.roles, override.keys].some((map) => map !== undefined && !isObject(map))) {
+      throw new Error(`${where}: expected { max, roles, keys } with roles and keys as objects`);
+    }
+
+    if (override.max !== undefined) {
+      if (!isLimit(override.max)) {
+        throw new Error(`${where}: max must be a positive integer`);
+      }
+      policies[name].max = override.max;
+    }
+
+    for (const [role, max] of Object.entries(override.roles ?? {})) {
+      if (!ROLES.includes(role)) {
+        throw new Error(`${where}: unknown role "${role}"; expected one of ${ROLES.join(', ')}`);
+      }
+      if (!isLimit(max)) {
+        throw new Error(`${where}: roles.${role} must be a positive integer`);
+      }
+      policies[name].roles[role] = max;
+    }
+
+    for (const [keyName, max] of Object.entries(override.keys ?? {})) {
+      if (!isLimit(max)) {
+        throw new Error(`${where}: keys.${keyName} must be a positive integer`);
+      }
+      policies[name].keys[keyName] = max;
+    }
+  }
+
+  return policies;
+};
+
+let policies;
+
+// Policies with the overrides from RATE_LIMIT_POLICY_FILE, loaded on first use
+export const getRateLimitPolicies = () => {
+  if (!policies) {
+    policies = settings.rateLimits.policyFile
+      ? loadRateLimitPolicies(settings.rateLimits.policyFile)
+      : defaultPolicies();
+  }
+  return policies;
+};
+
+// Request limit of a limiter for a principal: an override for its API key name
+// wins over one for its role, which wins over the limiter's own limit.
+// Requests without a valid key get the limiter's own limit.
+export const limitFor = (limiter, principal) => {
+  const policy = getRateLimitPolicies()[limiter];
+  return policy.keys[principal?.name] ?? policy.roles[principal?.role] ?? policy.max;
+};
+
+// Window, limit, key and store of a limiter. Requests are counted per API key,
+// so staff behind one NAT address do not share a limit; only requests without a
+// valid key are counted per IP. Refused requests are counted in
+// rate_limit_rejections_total before the limiter's message is sent.
+const policyOptions = (limiter) => ({
+  windowMs: settings.rateLimits[limiter].windowMinutes * 60 * 1000,
+  max: (req) => limitFor(limiter, findRequestPrincipal(req)),
+  keyGenerator: (req) => rateLimitClient(findRequestPrincipal(req), req.ip),
+  store: new SqliteRateLimitStore(limiter),
+  handler: (req, res, next, options) => {
+    rateLimitRejectionsTotal.inc({ limiter });
+    res.status(options.statusCode).send(options.message);
+  }
+});
 
 // General API rate limiter
 export const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minute
-  max: 100, // Limit each IP to 100 requests per windowMs
+  ...policyOptions('general'),
+  skip: (req) => UNLIMITED_PATHS.includes(req.path),
   message: {
     success: false,
     error: 'Rate limit exceeded',
-    message: 'Too many requests from this IP, please try again later.'
+    message: 'Too many requests, please try again later.'
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
@@ -15,12 +128,11 @@ export const generalLimiter = rateLimit({
 
 // Stricter limiter for upload operations
 export const uploadLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // Limit each IP to 10 upload requests per windowMs
+  ...policyOptions('upload'),
   message: {
     success: false,
     error: 'Upload rate limit exceeded',
-    message: 'Too many upload requests from this IP, please try again later.'
+    message: 'Too many upload requests, please try again later.'
   },
   standardHeaders: true,
   legacyHeaders: false,
@@ -28,12 +140,11 @@ export const uploadLimiter = rateLimit({
 
 // Search rate limiter
 export const searchLimiter = rateLimit({
-  windowMs: 5 * 60 * 1000, // 5 minutes
-  max: 30, // Limit each IP to 30 search requests per windowMs
+  ...policyOptions('search'),
   message: {
     success: false,
     error: 'Search rate limit exceeded',
-    message: 'Too many search requests from this IP, please try again later.'
+    message: 'Too many search requests, please try again later.'
   },
   standardHeaders: true,
   legacyHeaders: false,
@@ -41,13 +152,24 @@ export const searchLimiter = rateLimit({
 
 // AI summary rate limiter (more restrictive due to potential costs)
 export const aiSummaryLimiter = rateLimit({
-  windowMs: 10 * 60 * 1000, // 10 minutes
-  max: 5, // Limit each IP to 5 AI summary requests per windowMs
+  ...policyOptions('aiSummary'),
   message: {
     success: false,
     error: 'AI summary rate limit exceeded',
-    message: 'Too many AI summary requests from this IP, please try again later.'
+    message: 'Too many AI summary requests, please try again later.'
   },
   standardHeaders: true,
   legacyHeaders: false,
-}); 
\ No newline at end of file
+});
+
+// Export rate limiter (each export can read the whole records table)
+export const exportLimiter = rateLimit({
+  ...policyOptions('export'),
+  message: {
+    success: false,
+    error: 'Export rate limit exceeded',
+    message: 'Too many export requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
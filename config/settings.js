@@ -0,0 +1,287 @@
+// Server, database, auth, idempotency and rate limit settings in one place.
+// Each setting comes from its environment variable, else from the JSON file
+// named by CONFIG_FILE, else from the default of the profile selected by
+// NODE_ENV (development, test or production). Everything is checked when this
+// module is first imported, before the database is opened, and every problem
+// is reported at once; the production profile also refuses settings that are
+// only acceptable on a developer's machine.
+//
+// Settings of individual features (AI summaries, de-identification, webhooks,
+// field encryption keys) are read by those features; see the README.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PROJECT_ROOT = resolve(__dirname, '..');
+
+export const PROFILES = ['development', 'test', 'production'];
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Limiters in config/rateLimit.js, with the environment variable prefix of each
+const RATE_LIMITERS = {
+  general: 'RATE_LIMIT_GENERAL',
+  upload: 'RATE_LIMIT_UPLOAD',
+  search: 'RATE_LIMIT_SEARCH',
+  aiSummary: 'RATE_LIMIT_AI_SUMMARY',
+  export: 'RATE_LIMIT_EXPORT'
+};
+
+const DEFAULT_RATE_LIMITS = {
+  general: { windowMinutes: 15, max: 100 },
+  upload: { windowMinutes: 15, max: 10 },
+  search: { windowMinutes: 5, max: 30 },
+  aiSummary: { windowMinutes: 10, max: 5 },
+  export: { windowMinutes: 15, max: 10 }
+};
+
+// Shortest bootstrap admin key the production profile accepts
+const MIN_PRODUCTION_KEY_LENGTH = 32;
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Parsers take an environment variable string or a value from the config file
+// and return { value } or { error }
+const integer = (min, max) => (raw) => {
+  const value = typeof raw === 'string' && /^\s*\d+\s*$/.test(raw) ? Number(raw) : raw;
+  return Number.isInteger(value) && value >= min && value <= max
+    ? { value }
+    : { error: `must be an integer between ${min} and ${max}` };
+};
+
+const boolean = (raw) => {
+  if (typeof raw === 'boolean') {
+    return { value: raw };
+  }
+  const text = String(raw).trim().toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(text)) {
+    return { value: true };
+  }
+  if (['false', '0', 'no', 'off'].includes(text)) {
+    return { value: false };
+  }
+  return { error: 'must be true or false' };
+};
+
+const oneOf = (values) => (raw) => (values.includes(raw)
+  ? { value: raw }
+  : { error: `must be one of: ${values.join(', ')}` });
+
+const nonEmptyString = (raw) => (typeof raw === 'string' && raw.trim() !== ''
+  ? { value: raw.trim() }
+  : { error: 'must be a non-empty string' });
+
+// Relative paths are taken from the project root, wherever the process starts
+const filePath = (raw) => {
+  const parsed = nonEmptyString(raw);
+  return parsed.error ? parsed : { value: resolve(PROJECT_ROOT, parsed.value) };
+};
+
+// A comma-separated list (environment) or an array (file) of origins such as
+// https://app.example.org, or * for any origin
+const origins = (raw) => {
+  const list = typeof raw === 'string' ? raw.split(',').map((origin) => origin.trim()).filter(Boolean) : raw;
+  if (!Array.isArray(list) || list.some((origin) => typeof origin !== 'string')) {
+    return { error: 'must be a list of origins' };
+  }
+
+  const invalid = list.filter((origin) => {
+    if (origin === '*') {
+      return false;
+    }
+    try {
+      return new URL(origin).origin !== origin;
+    } catch {
+      return true;
+    }
+  });
+  if (invalid.length > 0) {
+    return { error: `must be * or origins like https://app.example.org without a path; got ${invalid.join(', ')}` };
+  }
+  return { value: list };
+};
+
+// Every setting: where it goes in the settings object, its environment
+// variable and parser, and its default, optionally per profile
+const SETTINGS = [
+  { path: 'server.port', env: 'PORT', parse: integer(1, 65535), default: 3000 },
+  {
+    path: 'server.corsOrigins',
+    env: 'CORS_ORIGINS',
+    parse: origins,
+    default: { development: ['*'], test: ['*'], production: [] }
+  },
+  {
+    path: 'server.swagger',
+    env: 'SWAGGER_ENABLED',
+    parse: boolean,
+    default: { development: true, test: true, production: false }
+  },
+  { path: 'server.validateResponses', env: 'VALIDATE_RESPONSES', parse: boolean, default: false },
+  {
+    path: 'server.logLevel',
+    env: 'LOG_LEVEL',
+    parse: oneOf(LOG_LEVELS),
+    default: { development: 'debug', test: 'warn', production: 'info' }
+  },
+  {
+    path: 'database.path',
+    env: 'DATABASE_PATH',
+    parse: filePath,
+    default: {
+      development: resolve(PROJECT_ROOT, 'database.sqlite'),
+      test: resolve(PROJECT_ROOT, 'database.test.sqlite'),
+      production: resolve(PROJECT_ROOT, 'database.sqlite')
+    }
+  },
+  { path: 'auth.bootstrapAdminKey', env: 'BOOTSTRAP_ADMIN_API_KEY', parse: nonEmptyString },
+  { path: 'idempotency.ttlHours', env: 'IDEMPOTENCY_KEY_TTL_HOURS', parse: integer(1, 30 * 24), default: 24 },
+  { path: 'rateLimits.policyFile', env: 'RATE_LIMIT_POLICY_FILE', parse: filePath },
+  ...Object.entries(RATE_LIMITERS).flatMap(([name, prefix]) => [
+    {
+      path: `rateLimits.${name}.windowMinutes`,
+      env: `${prefix}_WINDOW_MINUTES`,
+      parse: integer(1, 24 * 60),
+      default: DEFAULT_RATE_LIMITS[name].windowMinutes
+    },
+    {
+      path: `rateLimits.${name}.max`,
+      env: `${prefix}_MAX`,
+      parse: integer(1, 1000000),
+      default: DEFAULT_RATE_LIMITS[name].max
+    }
+  ])
+];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), object);
+  parent[last] = value;
+};
+
+// Dotted paths of the values in a config file; arrays are values
+const leafPaths = (object, prefix = '') => Object.entries(object).flatMap(([key, value]) => (
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+    ? leafPaths(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]
+));
+
+const readConfigFile = (path) => {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(resolve(PROJECT_ROOT, path), 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${path} could not be read: ${error.message}`]);
+  }
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new ConfigError([`CONFIG_FILE ${path} must hold a JSON object`]);
+  }
+  return config;
+};
+
+// Settings the production profile refuses
+const productionProblems = (settings) => {
+  const problems = [];
+
+  if (settings.server.corsOrigins.includes('*')) {
+    problems.push('CORS_ORIGINS must list the allowed origins in production; * lets any website call the API');
+  }
+  const { bootstrapAdminKey } = settings.auth;
+  if (bootstrapAdminKey !== undefined && bootstrapAdminKey.length < MIN_PRODUCTION_KEY_LENGTH) {
+    problems.push(`BOOTSTRAP_ADMIN_API_KEY must be at least ${MIN_PRODUCTION_KEY_LENGTH} characters in production`);
+  }
+
+  return problems;
+};
+
+// Build the settings from an environment such as process.env. Throws a
+// ConfigError listing every invalid setting.
+export const loadSettings = (env) => {
+  const profile = env.NODE_ENV || 'development';
+  if (!PROFILES.includes(profile)) {
+    throw new ConfigError([`NODE_ENV must be one of: ${PROFILES.join(', ')}; got "${profile}"`]);
+  }
+
+  const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+  const settings = { profile, configFile: env.CONFIG_FILE ? resolve(PROJECT_ROOT, env.CONFIG_FILE) : null };
+  const known = SETTINGS.map((setting) => setting.path);
+  const problems = leafPaths(file)
+    .filter((path) => !known.includes(path))
+    .map((path) => `${path} in CONFIG_FILE is not a known setting`);
+
+  for (const setting of SETTINGS) {
+    const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '';
+    const raw = fromEnv ? env[setting.env] : getPath(file, setting.path);
+
+    if (raw === undefined) {
+      const fallback = setting.default;
+      setPath(settings, setting.path, fallback !== null && typeof fallback === 'object' && !Array.isArray(fallback)
+        ? fallback[profile]
+        : fallback);
+      continue;
+    }
+
+    const { value, error } = setting.parse(raw);
+    if (error) {
+      problems.push(fromEnv ? `${setting.env} ${error}` : `${setting.path} in CONFIG_FILE ${error}`);
+    }
+    setPath(settings, setting.path, value);
+  }
+
+  if (problems.length === 0 && profile === 'production') {
+    problems.push(...productionProblems(settings));
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return settings;
+};
+
+// The code logs through console.error, console.warn, console.log and
+// console.debug; below the configured level they are silenced
+export const applyLogLevel = (level) => {
+  const rank = LOG_LEVELS.indexOf(level);
+  const silence = (...methods) => methods.forEach((method) => {
+    console[method] = () => {};
+  });
+
+  if (rank < LOG_LEVELS.indexOf('debug')) {
+    silence('debug');
+  }
+  if (rank < LOG_LEVELS.indexOf('info')) {
+    silence('log', 'info');
+  }
+  if (rank < LOG_LEVELS.indexOf('warn')) {
+    silence('warn');
+  }
+};
+
+// Loaded on first import, so the server and the scripts stop with the list of
+// problems before they touch the database
+const loadOrExit = () => {
+  try {
+    return loadSettings(process.env);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+};
+
+export const settings = loadOrExit();
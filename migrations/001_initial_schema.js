@@ -0,0 +1,216 @@
+// Baseline: the schema as it stood before versioned migrations. Databases
+// created by earlier versions already hold some or all of it, so every step is
+// idempotent and legacy tables get their missing columns added.
+
+import { addColumnIfMissing } from '../config/migrations.js';
+
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS patients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mrn TEXT UNIQUE,
+      first_name TEXT NOT NULL,
+      last_name TEXT NOT NULL,
+      date_of_birth TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      patient_id INTEGER NOT NULL REFERENCES patients(id),
+      diagnosis TEXT,
+      status TEXT,
+      note TEXT,
+      code_system TEXT,
+      code TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      deleted_at DATETIME
+    )
+  `);
+
+  // Databases created before patients existed keep their records table, so the
+  // column is added here. Those legacy rows have no patient until reassigned.
+  addColumnIfMissing(db, 'records', 'patient_id', 'INTEGER REFERENCES patients(id)');
+  addColumnIfMissing(db, 'records', 'deleted_at', 'DATETIME');
+  addColumnIfMissing(db, 'records', 'code_system', 'TEXT');
+  addColumnIfMissing(db, 'records', 'code', 'TEXT');
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_records_patient_id ON records(patient_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_records_created_at ON records(created_at, id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_records_updated_at ON records(updated_at, id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_records_code ON records(code_system, code)');
+
+  // Full-text index over diagnosis and note. It is an external-content FTS5
+  // table, so the triggers keep it in step with every change to records.
+  const hasSearchIndex = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'records_fts'"
+  ).get();
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS records_fts USING fts5(
+      diagnosis,
+      note,
+      content = 'records',
+      content_rowid = 'id',
+      tokenize = 'porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS records_fts_insert AFTER INSERT ON records BEGIN
+      INSERT INTO records_fts (rowid, diagnosis, note) VALUES (new.id, new.diagnosis, new.note);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS records_fts_delete AFTER DELETE ON records BEGIN
+      INSERT INTO records_fts (records_fts, rowid, diagnosis, note) VALUES ('delete', old.id, old.diagnosis, old.note);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS records_fts_update AFTER UPDATE OF diagnosis, note ON records BEGIN
+      INSERT INTO records_fts (records_fts, rowid, diagnosis, note) VALUES ('delete', old.id, old.diagnosis, old.note);
+      INSERT INTO records_fts (rowid, diagnosis, note) VALUES (new.id, new.diagnosis, new.note);
+    END;
+  `);
+
+  // Index the records that existed before the search index did
+  if (!hasSearchIndex) {
+    db.exec("INSERT INTO records_fts (records_fts) VALUES ('rebuild')");
+  }
+
+  // Append-only history of every change to a record. Each revision is a snapshot
+  // of the record after the change; the triggers reject edits and deletes.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS record_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      record_id INTEGER NOT NULL REFERENCES records(id),
+      revision INTEGER NOT NULL,
+      change_type TEXT NOT NULL,
+      patient_id INTEGER,
+      diagnosis TEXT,
+      status TEXT,
+      note TEXT,
+      code_system TEXT,
+      code TEXT,
+      reason TEXT,
+      changed_by TEXT,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (record_id, revision)
+    );
+
+    CREATE TRIGGER IF NOT EXISTS record_revisions_no_update
+    BEFORE UPDATE ON record_revisions
+    BEGIN
+      SELECT RAISE(ABORT, 'record_revisions is append-only');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS record_revisions_no_delete
+    BEFORE DELETE ON record_revisions
+    BEGIN
+      SELECT RAISE(ABORT, 'record_revisions is append-only');
+    END;
+  `);
+
+  // Reason given for a status change
+  addColumnIfMissing(db, 'record_revisions', 'reason', 'TEXT');
+  addColumnIfMissing(db, 'record_revisions', 'code_system', 'TEXT');
+  addColumnIfMissing(db, 'record_revisions', 'code', 'TEXT');
+
+  // Generated summaries, kept per note version. The latest row for a record,
+  // note hash, provider and model is served as the cached summary.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS summaries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      record_id INTEGER NOT NULL REFERENCES records(id),
+      note_hash TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT,
+      summary TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_summaries_record_note ON summaries(record_id, note_hash);
+  `);
+
+  // API keys are stored as SHA-256 hashes; the plaintext key is only shown once
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      expires_at DATETIME,
+      revoked INTEGER NOT NULL DEFAULT 0,
+      revoked_at DATETIME,
+      last_used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Terminology for coded diagnoses (ICD-10-CM), with a full-text index over
+  // the descriptions for autocomplete. The index is rebuilt whenever codes are loaded.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS terminology_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code_system TEXT NOT NULL,
+      code TEXT NOT NULL,
+      display TEXT NOT NULL,
+      UNIQUE (code_system, code)
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS terminology_fts USING fts5(
+      display,
+      content = 'terminology_codes',
+      content_rowid = 'id',
+      tokenize = 'porter unicode61'
+    );
+  `);
+
+  // Bulk import jobs. Rejected rows are kept per job so the report can be
+  // polled while the import runs and reviewed afterwards.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      format TEXT NOT NULL,
+      dry_run INTEGER NOT NULL DEFAULT 0,
+      total_rows INTEGER NOT NULL DEFAULT 0,
+      processed_rows INTEGER NOT NULL DEFAULT 0,
+      valid_rows INTEGER NOT NULL DEFAULT 0,
+      inserted_rows INTEGER NOT NULL DEFAULT 0,
+      error_rows INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS import_job_errors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL REFERENCES import_jobs(id),
+      row INTEGER NOT NULL,
+      line INTEGER,
+      messages TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_import_job_errors_job ON import_job_errors(job_id, row);
+  `);
+};
+
+export const down = (db) => {
+  db.exec(`
+    DROP TABLE IF EXISTS import_job_errors;
+    DROP TABLE IF EXISTS import_jobs;
+    DROP TABLE IF EXISTS terminology_fts;
+    DROP TABLE IF EXISTS terminology_codes;
+    DROP TABLE IF EXISTS api_keys;
+    DROP TABLE IF EXISTS summaries;
+    DROP TABLE IF EXISTS record_revisions;
+    DROP TABLE IF EXISTS records_fts;
+    DROP TABLE IF EXISTS records;
+    DROP TABLE IF EXISTS patients;
+  `);
+};
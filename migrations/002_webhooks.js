@@ -0,0 +1,53 @@
+// Webhook subscriptions and their outbox. Record events are appended to
+// record_events in the same transaction as the record change, with one
+// webhook_deliveries row per matching subscription for the dispatcher to send.
+
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      description TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE record_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      record_id INTEGER NOT NULL REFERENCES records(id),
+      patient_id INTEGER,
+      data TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+      event_id INTEGER NOT NULL REFERENCES record_events(id),
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_attempt_at DATETIME,
+      last_status_code INTEGER,
+      last_error TEXT,
+      delivered_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, id);
+  `);
+};
+
+export const down = (db) => {
+  db.exec(`
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS record_events;
+    DROP TABLE IF EXISTS webhook_subscriptions;
+  `);
+};
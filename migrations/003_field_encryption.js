@@ -0,0 +1,92 @@
+// Field-level encryption of record diagnosis and note (see config/encryption.js).
+// Each row that holds encrypted text records the ID of its key; NULL means the
+// row predates encryption and `npm run encryption:rotate` still has to encrypt it.
+//
+// The full-text index moves out of the database file: an index over ciphertext
+// is useless and one over plaintext would defeat the encryption, so the server
+// keeps it in memory instead (see services/search.js).
+
+import { addColumnIfMissing, MigrationError } from '../config/migrations.js';
+
+const REVISION_COLUMNS = [
+  'id', 'record_id', 'revision', 'change_type', 'patient_id', 'status',
+  'code_system', 'code', 'reason', 'changed_by', 'changed_at'
+];
+
+export const up = (db) => {
+  addColumnIfMissing(db, 'records', 'encryption_key_id', 'TEXT');
+  addColumnIfMissing(db, 'record_revisions', 'encryption_key_id', 'TEXT');
+  addColumnIfMissing(db, 'record_events', 'encryption_key_id', 'TEXT');
+
+  db.exec(`
+    DROP TRIGGER IF EXISTS records_fts_insert;
+    DROP TRIGGER IF EXISTS records_fts_delete;
+    DROP TRIGGER IF EXISTS records_fts_update;
+    DROP TABLE IF EXISTS records_fts;
+  `);
+
+  // Revisions stay append-only, except that their text may be rewritten under
+  // another key by the rotation command
+  db.exec(`
+    DROP TRIGGER IF EXISTS record_revisions_no_update;
+
+    CREATE TRIGGER record_revisions_no_update
+    BEFORE UPDATE ON record_revisions
+    WHEN NEW.encryption_key_id IS OLD.encryption_key_id
+      OR ${REVISION_COLUMNS.map((column) => `NEW.${column} IS NOT OLD.${column}`).join(' OR ')}
+    BEGIN
+      SELECT RAISE(ABORT, 'record_revisions is append-only');
+    END;
+  `);
+};
+
+export const down = (db) => {
+  const encrypted = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM records WHERE encryption_key_id IS NOT NULL) +
+      (SELECT COUNT(*) FROM record_revisions WHERE encryption_key_id IS NOT NULL) +
+      (SELECT COUNT(*) FROM record_events WHERE encryption_key_id IS NOT NULL) AS count
+  `).get().count;
+
+  // Older code would read ciphertext as text and index it
+  if (encrypted > 0) {
+    throw new MigrationError(`${encrypted} row(s) hold encrypted text; the schema cannot go back to plaintext storage`);
+  }
+
+  db.exec(`
+    DROP TRIGGER IF EXISTS record_revisions_no_update;
+
+    CREATE TRIGGER record_revisions_no_update
+    BEFORE UPDATE ON record_revisions
+    BEGIN
+      SELECT RAISE(ABORT, 'record_revisions is append-only');
+    END;
+
+    CREATE VIRTUAL TABLE records_fts USING fts5(
+      diagnosis,
+      note,
+      content = 'records',
+      content_rowid = 'id',
+      tokenize = 'porter unicode61'
+    );
+
+    CREATE TRIGGER records_fts_insert AFTER INSERT ON records BEGIN
+      INSERT INTO records_fts (rowid, diagnosis, note) VALUES (new.id, new.diagnosis, new.note);
+    END;
+
+    CREATE TRIGGER records_fts_delete AFTER DELETE ON records BEGIN
+      INSERT INTO records_fts (records_fts, rowid, diagnosis, note) VALUES ('delete', old.id, old.diagnosis, old.note);
+    END;
+
+    CREATE TRIGGER records_fts_update AFTER UPDATE OF diagnosis, note ON records BEGIN
+      INSERT INTO records_fts (records_fts, rowid, diagnosis, note) VALUES ('delete', old.id, old.diagnosis, old.note);
+      INSERT INTO records_fts (rowid, diagnosis, note) VALUES (new.id, new.diagnosis, new.note);
+    END;
+
+    INSERT INTO records_fts (records_fts) VALUES ('rebuild');
+
+    ALTER TABLE record_events DROP COLUMN encryption_key_id;
+    ALTER TABLE record_revisions DROP COLUMN encryption_key_id;
+    ALTER TABLE records DROP COLUMN encryption_key_id;
+  `);
+};
@@ -0,0 +1,63 @@
+// Access audit log: one row per API request that touches patient data, written
+// by the auditRequests middleware (config/audit.js). Rows are hash-chained and
+// append-only; audit_log_records indexes them by record for lookups.
+
+const APPEND_ONLY_TABLES = ['audit_log', 'audit_log_records'];
+
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      occurred_at TEXT NOT NULL,
+      principal_key_id INTEGER,
+      principal_name TEXT,
+      principal_role TEXT,
+      ip TEXT,
+      method TEXT NOT NULL,
+      route TEXT NOT NULL,
+      path TEXT NOT NULL,
+      record_ids TEXT NOT NULL DEFAULT '[]',
+      patient_id INTEGER,
+      status_code INTEGER,
+      outcome TEXT NOT NULL,
+      details TEXT,
+      prev_hash TEXT NOT NULL,
+      hash TEXT NOT NULL UNIQUE
+    );
+
+    CREATE INDEX idx_audit_log_occurred_at ON audit_log(occurred_at, id);
+    CREATE INDEX idx_audit_log_principal ON audit_log(principal_name, id);
+    CREATE INDEX idx_audit_log_patient ON audit_log(patient_id, id);
+
+    CREATE TABLE audit_log_records (
+      record_id INTEGER NOT NULL,
+      audit_id INTEGER NOT NULL REFERENCES audit_log(id),
+      PRIMARY KEY (record_id, audit_id)
+    ) WITHOUT ROWID;
+
+    CREATE INDEX idx_audit_log_records_audit ON audit_log_records(audit_id);
+  `);
+
+  for (const table of APPEND_ONLY_TABLES) {
+    db.exec(`
+      CREATE TRIGGER ${table}_no_update
+      BEFORE UPDATE ON ${table}
+      BEGIN
+        SELECT RAISE(ABORT, '${table} is append-only');
+      END;
+
+      CREATE TRIGGER ${table}_no_delete
+      BEFORE DELETE ON ${table}
+      BEGIN
+        SELECT RAISE(ABORT, '${table} is append-only');
+      END;
+    `);
+  }
+};
+
+export const down = (db) => {
+  db.exec(`
+    DROP TABLE IF EXISTS audit_log_records;
+    DROP TABLE IF EXISTS audit_log;
+  `);
+};
@@ -0,0 +1,21 @@
+// Rate limit counters, one row per limiter and client (an API key or, for
+// unauthenticated requests, an IP). Kept in the database so limits survive a
+// restart; see services/rateLimitStore.js.
+
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE rate_limit_counters (
+      limiter TEXT NOT NULL,
+      client TEXT NOT NULL,
+      hits INTEGER NOT NULL,
+      reset_at INTEGER NOT NULL,
+      PRIMARY KEY (limiter, client)
+    ) WITHOUT ROWID;
+
+    CREATE INDEX idx_rate_limit_counters_reset_at ON rate_limit_counters(reset_at);
+  `);
+};
+
+export const down = (db) => {
+  db.exec('DROP TABLE IF EXISTS rate_limit_counters');
+};
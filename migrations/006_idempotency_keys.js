@@ -0,0 +1,26 @@
+// Idempotency keys of create requests, one row per API key and Idempotency-Key
+// header value: a hash of the request and, once it has been answered, the
+// response to replay when the request is retried. Rows expire after the
+// configured window; see config/idempotency.js.
+
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE idempotency_keys (
+      principal_key_id INTEGER NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status_code INTEGER,
+      response_body TEXT,
+      location TEXT,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      PRIMARY KEY (principal_key_id, idempotency_key)
+    ) WITHOUT ROWID;
+
+    CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+  `);
+};
+
+export const down = (db) => {
+  db.exec('DROP TABLE IF EXISTS idempotency_keys');
+};
@@ -0,0 +1,69 @@
+// Field encryption for generated summaries and the reasons given for status
+// changes (see config/encryption.js). Summaries get their own key ID column;
+// reasons are stored in revisions and status_changed events, whose rows
+// already record a key ID.
+//
+// Rows written before this migration keep their plaintext until
+// `npm run encryption:rotate` encrypts them: summaries have no key ID yet, and
+// revisions and events holding a plaintext reason are marked as such by
+// clearing theirs. Rows from before field encryption have no key ID to clear
+// and are left alone; the append-only trigger refuses a revision update that
+// keeps the key ID as it is.
+
+import { addColumnIfMissing, MigrationError } from '../config/migrations.js';
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Revision columns migration 3 keeps from changing. The reason may now be
+// rewritten under another key by the rotation command, like the snapshot text.
+const REVISION_COLUMNS = [
+  'id', 'record_id', 'revision', 'change_type', 'patient_id', 'status',
+  'code_system', 'code', 'reason', 'changed_by', 'changed_at'
+];
+const IMMUTABLE_REVISION_COLUMNS = REVISION_COLUMNS.filter((column) => column !== 'reason');
+
+const createRevisionTrigger = (db, columns) => {
+  db.exec(`
+    DROP TRIGGER IF EXISTS record_revisions_no_update;
+
+    CREATE TRIGGER record_revisions_no_update
+    BEFORE UPDATE ON record_revisions
+    WHEN NEW.encryption_key_id IS OLD.encryption_key_id
+      OR ${columns.map((column) => `NEW.${column} IS NOT OLD.${column}`).join(' OR ')}
+    BEGIN
+      SELECT RAISE(ABORT, 'record_revisions is append-only');
+    END;
+  `);
+};
+
+export const up = (db) => {
+  addColumnIfMissing(db, 'summaries', 'encryption_key_id', 'TEXT');
+  createRevisionTrigger(db, IMMUTABLE_REVISION_COLUMNS);
+
+  db.prepare(`
+    UPDATE record_revisions SET encryption_key_id = NULL
+    WHERE reason IS NOT NULL AND reason NOT LIKE '${ENCRYPTED_PREFIX}%' AND encryption_key_id IS NOT NULL
+  `).run();
+  db.prepare(`
+    UPDATE record_events SET encryption_key_id = NULL
+    WHERE json_extract(data, '$.reason') IS NOT NULL AND json_extract(data, '$.reason') NOT LIKE '${ENCRYPTED_PREFIX}%'
+      AND encryption_key_id IS NOT NULL
+  `).run();
+};
+
+export const down = (db) => {
+  const encrypted = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM summaries WHERE encryption_key_id IS NOT NULL) +
+      (SELECT COUNT(*) FROM record_revisions WHERE reason LIKE '${ENCRYPTED_PREFIX}%') +
+      (SELECT COUNT(*) FROM record_events WHERE json_extract(data, '$.reason') LIKE '${ENCRYPTED_PREFIX}%') AS count
+  `).get().count;
+
+  // Older code would return ciphertext as summaries and reasons
+  if (encrypted > 0) {
+    throw new MigrationError(`${encrypted} summary or reason value(s) are encrypted; the schema cannot go back to plaintext storage`);
+  }
+
+  createRevisionTrigger(db, REVISION_COLUMNS);
+  db.exec('ALTER TABLE summaries DROP COLUMN encryption_key_id');
+};
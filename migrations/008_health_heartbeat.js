@@ -0,0 +1,16 @@
+// Single-row table the readiness probe writes to (see services/health.js), so
+// a read-only database file or a full disk fails the probe instead of the next
+// request that writes.
+
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE health_heartbeat (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      checked_at TEXT NOT NULL
+    );
+  `);
+};
+
+export const down = (db) => {
+  db.exec('DROP TABLE IF EXISTS health_heartbeat');
+};
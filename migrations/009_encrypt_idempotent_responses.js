@@ -0,0 +1,33 @@
+// Field encryption for the responses stored with idempotency keys (see
+// config/encryption.js), which can hold decrypted record text. Rows get a key
+// ID column like the other encrypted tables. Webhook signing secrets are no
+// longer stored at all, so they are removed from responses already stored.
+//
+// Responses stored before this migration keep their plaintext until
+// `npm run encryption:rotate` encrypts them or they expire.
+
+import { addColumnIfMissing, MigrationError } from '../config/migrations.js';
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+export const up = (db) => {
+  addColumnIfMissing(db, 'idempotency_keys', 'encryption_key_id', 'TEXT');
+
+  db.prepare(`
+    UPDATE idempotency_keys SET response_body = json_remove(response_body, '$.secret')
+    WHERE json_valid(response_body) AND json_type(response_body, '$.secret') IS NOT NULL
+  `).run();
+};
+
+export const down = (db) => {
+  const encrypted = db.prepare(`
+    SELECT COUNT(*) AS count FROM idempotency_keys WHERE response_body LIKE '${ENCRYPTED_PREFIX}%'
+  `).get().count;
+
+  // Older code would parse ciphertext as the stored response
+  if (encrypted > 0) {
+    throw new MigrationError(`${encrypted} stored idempotent response(s) are encrypted; the schema cannot go back to plaintext storage`);
+  }
+
+  db.exec('ALTER TABLE idempotency_keys DROP COLUMN encryption_key_id');
+};
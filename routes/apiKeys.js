@@ -0,0 +1,534 @@
+// API key management endpoints (admin only).
+// Plaintext keys are returned once, when a key is created or rotated; only
+// their hashes are stored.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import {
+  ROLES,
+  requireRole,
+  generateApiKey,
+  hashApiKey,
+  getKeyPrefix,
+  toSqliteTimestamp
+} from '../config/auth.js';
+import { parseId, isNonEmptyString } from '../utils/validation.js';
+
+const router = express.Router();
+
+// Everything except the hash
+const API_KEY_COLUMNS = 'id, name, role, key_prefix, expires_at, revoked, revoked_at, last_used_at, created_at, updated_at';
+
+const getApiKey = (db, id) => {
+  const apiKey = db.prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`).get(id);
+  return apiKey && { ...apiKey, revoked: Boolean(apiKey.revoked) };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKeyInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - role
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           description: Unique name identifying who or what uses the key
+ *           example: "ward-3-clinician"
+ *         role:
+ *           type: string
+ *           enum: [reader, clinician, admin]
+ *           example: "clinician"
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           description: When the key stops working. Omit for a key that does not expire.
+ *           example: "2026-01-01T00:00:00Z"
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 2
+ *         name:
+ *           type: string
+ *           example: "ward-3-clinician"
+ *         role:
+ *           type: string
+ *           example: "clinician"
+ *         key_prefix:
+ *           type: string
+ *           example: "elv_Xk3f9a"
+ *         expires_at:
+ *           type: string
+ *           nullable: true
+ *           example: "2026-01-01 00:00:00"
+ *         revoked:
+ *           type: boolean
+ *           example: false
+ *         revoked_at:
+ *           type: string
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *         updated_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *     ApiKeySecretResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           $ref: '#/components/schemas/ApiKey'
+ *         key:
+ *           type: string
+ *           description: The plaintext API key. It is only returned here and cannot be retrieved later.
+ *           example: "elv_Xk3f9a..."
+ */
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Lists all API keys without their secret values. Requires the admin role.
+ *     tags: [API Keys]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/api-keys', requireRole('admin'), (req, res) => {
+  try {
+    const db = getDatabase();
+
+    const keys = db.prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id ASC`).all()
+      .map((apiKey) => ({ ...apiKey, revoked: Boolean(apiKey.revoked) }));
+
+    res.json({
+      success: true,
+      keys: keys,
+      count: keys.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch API keys'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: Creates a key with the given name, role and optional expiry. The plaintext key is only returned in this response. Requires the admin role.
+ *     tags: [API Keys]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyInput'
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeySecretResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A key with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/admin/api-keys', requireRole('admin'), (req, res) => {
+  try {
+    const { name, role, expires_at } = req.body;
+
+    if (!isNonEmptyString(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'name is required and must be a non-empty string'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    let expiresAt = null;
+    if (expires_at !== undefined && expires_at !== null) {
+      expiresAt = toSqliteTimestamp(expires_at);
+      if (!expiresAt || new Date(expires_at) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'expires_at must be a valid date in the future'
+        });
+      }
+    }
+
+    const db = getDatabase();
+    const key = generateApiKey();
+
+    const result = db.prepare(`
+      INSERT INTO api_keys (name, role, key_prefix, key_hash, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name.trim(), role, getKeyPrefix(key), hashApiKey(key), expiresAt);
+
+    res.status(201).json({
+      success: true,
+      data: getApiKey(db, result.lastInsertRowid),
+      key: key
+    });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'An API key with this name already exists'
+      });
+    }
+
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Replaces the key's secret with a new one and returns it. The old value stops working immediately; name, role and expiry are kept. Requires the admin role.
+ *     tags: [API Keys]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key rotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeySecretResponse'
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: API key is revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/admin/api-keys/:id/rotate', requireRole('admin'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid API key ID is required'
+      });
+    }
+
+    const db = getDatabase();
+
+    const existing = getApiKey(db, id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `API key with ID ${id} not found`
+      });
+    }
+
+    if (existing.revoked) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `API key with ID ${id} is revoked and cannot be rotated`
+      });
+    }
+
+    const key = generateApiKey();
+
+    db.prepare(`
+      UPDATE api_keys
+      SET key_prefix = ?, key_hash = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(getKeyPrefix(key), hashApiKey(key), id);
+
+    res.json({
+      success: true,
+      data: getApiKey(db, id),
+      key: key
+    });
+
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to rotate API key'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}/revoke:
+ *   post:
+ *     summary: Revoke an API key
+ *     description: Permanently disables the key. Requires the admin role.
+ *     tags: [API Keys]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid ID parameter, or an attempt to revoke the key making the request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/admin/api-keys/:id/revoke', requireRole('admin'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid API key ID is required'
+      });
+    }
+
+    // Revoking your own key could lock the last admin out of key management
+    if (id === req.principal.keyId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'An API key cannot revoke itself'
+      });
+    }
+
+    const db = getDatabase();
+
+    const result = db.prepare(`
+      UPDATE api_keys
+      SET revoked = 1, revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `API key with ID ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: getApiKey(db, id)
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,563 @@
+// Access audit log endpoints (admin only): query the log by record, principal,
+// patient or time window, export it, and verify its hash chain.
+
+import express from 'express';
+import { getDatabase, openReadConnection } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { parseId, parseTimestampParam } from '../utils/validation.js';
+import {
+  AUDIT_ENTRY_FIELDS,
+  formatAuditEntry,
+  listAuditEntries,
+  iterateAuditEntries,
+  verifyAuditChain
+} from '../services/auditLog.js';
+import { EXPORT_FORMATS, exportFileName } from '../services/recordExport.js';
+
+const router = express.Router();
+
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 200;
+
+const sendValidationError = (res, message) => res.status(400).json({
+  success: false,
+  error: 'Validation error',
+  message: message
+});
+
+// Parse the filters shared by the list and the export. Returns the filters or { error }.
+const parseAuditFilters = (query) => {
+  const filters = {};
+
+  for (const [param, key] of [['record_id', 'recordId'], ['patient_id', 'patientId'], ['before_id', 'beforeId']]) {
+    if (query[param] !== undefined) {
+      filters[key] = parseId(query[param]);
+      if (!filters[key]) {
+        return { error: `${param} must be a positive integer` };
+      }
+    }
+  }
+
+  if (query.principal !== undefined) {
+    if (typeof query.principal !== 'string' || query.principal.trim() === '') {
+      return { error: 'principal must be an API key name' };
+    }
+    filters.principal = query.principal.trim();
+  }
+
+  if (query.query !== undefined) {
+    if (typeof query.query !== 'string' || query.query.trim() === '') {
+      return { error: 'query must be non-empty search text' };
+    }
+    filters.query = query.query;
+  }
+
+  for (const [param, endOfDay] of [['from', false], ['to', true]]) {
+    if (query[param] !== undefined) {
+      filters[param] = parseTimestampParam(query[param], { endOfDay });
+      if (!filters[param]) {
+        return { error: `${param} must be a date (YYYY-MM-DD) or an ISO 8601 date-time` };
+      }
+    }
+  }
+
+  return filters;
+};
+
+// Resolve once the response can take more data or the client has gone
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1042
+ *         occurred_at:
+ *           type: string
+ *           description: When the request was received (UTC)
+ *           example: "2025-01-16 08:12:00"
+ *         principal_key_id:
+ *           type: integer
+ *           nullable: true
+ *           description: API key that made the request; null when authentication failed
+ *           example: 3
+ *         principal_name:
+ *           type: string
+ *           nullable: true
+ *           example: "ward-3-clinician"
+ *         principal_role:
+ *           type: string
+ *           nullable: true
+ *           example: "clinician"
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *           example: "10.0.4.17"
+ *         method:
+ *           type: string
+ *           example: "GET"
+ *         route:
+ *           type: string
+ *           description: Route pattern the request matched
+ *           example: "/api/problem-summary/:id"
+ *         path:
+ *           type: string
+ *           description: Requested path, without the query string
+ *           example: "/api/problem-summary/12"
+ *         record_ids:
+ *           type: array
+ *           description: Records the request read, listed, exported, created or changed
+ *           items:
+ *             type: integer
+ *           example: [12]
+ *         patient_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 4
+ *         status_code:
+ *           type: integer
+ *           nullable: true
+ *           description: HTTP status of the response; null when the client left before it started
+ *           example: 200
+ *         outcome:
+ *           type: string
+ *           enum: [success, denied, failed, error]
+ *           description: >
+ *             success for 2xx and 3xx, denied for 401, 403 and 429, failed for
+ *             other 4xx, error for 5xx and abandoned requests
+ *           example: "success"
+ *         details:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             For searches, a keyed HMAC of the search text as <key id>:<hex>
+ *             rather than the text; match it with the query filter
+ *           example: { "query_hmac": "2026-01:5d41402abc4b2a76b9719d911017c592ae1b0c4e8e5f3d2a1b0c9d8e7f6a5b4c" }
+ *         prev_hash:
+ *           type: string
+ *           description: Hash of the previous entry
+ *           example: "9f2c1e0b7a4d3c2b1a0f9e8d7c6b5a4f3e2d1c0b9a8f7e6d5c4b3a2f1e0d9c8b"
+ *         hash:
+ *           type: string
+ *           description: SHA-256 over prev_hash and this entry's fields
+ *           example: "1b7e3f9a0c2d4e6f8a1b3c5d7e9f0a2b4c6d8e0f1a3b5c7d9e1f2a4b6c8d0e2f"
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: Query the access audit log
+ *     description: >
+ *       Lists audit entries newest first, optionally only those for one record,
+ *       principal or patient, searches for some text, or within a time window.
+ *       Page with before_id set to the last ID of the previous page. Requires
+ *       the admin role.
+ *     tags: [Audit]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: record_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only return requests that touched this record
+ *       - in: query
+ *         name: principal
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only return requests made with the API key of this name
+ *       - in: query
+ *         name: patient_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only return requests scoped to this patient
+ *       - in: query
+ *         name: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only return searches for this text, ignoring case and surrounding spaces
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only return requests at or after this date (YYYY-MM-DD) or ISO 8601 date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only return requests at or before this date (inclusive) or ISO 8601 date-time
+ *       - in: query
+ *         name: before_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only return entries with a lower ID
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Page size
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/audit-log', requireRole('admin'), (req, res) => {
+  try {
+    const filters = parseAuditFilters(req.query);
+    if (filters.error) {
+      return sendValidationError(res, filters.error);
+    }
+
+    const limit = req.query.limit !== undefined ? parseId(req.query.limit) : DEFAULT_AUDIT_LIMIT;
+    if (!limit || limit > MAX_AUDIT_LIMIT) {
+      return sendValidationError(res, `limit must be between 1 and ${MAX_AUDIT_LIMIT}`);
+    }
+
+    const entries = listAuditEntries(getDatabase(), { ...filters, limit });
+
+    res.json({
+      success: true,
+      entries: entries,
+      count: entries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log/export:
+ *   get:
+ *     summary: Export the access audit log
+ *     description: >
+ *       Streams every matching audit entry, oldest first, with the hash fields,
+ *       so the chain can be checked outside the service. Takes the same filters
+ *       as the audit log query. In CSV, record_ids and details are JSON text.
+ *       Requires the admin role.
+ *     tags: [Audit]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [ndjson, csv, json]
+ *           default: ndjson
+ *         description: Output format
+ *       - in: query
+ *         name: record_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only export requests that touched this record
+ *       - in: query
+ *         name: principal
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only export requests made with the API key of this name
+ *       - in: query
+ *         name: patient_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only export requests scoped to this patient
+ *       - in: query
+ *         name: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only export searches for this text, ignoring case and surrounding spaces
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only export requests at or after this date (YYYY-MM-DD) or ISO 8601 date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only export requests at or before this date (inclusive) or ISO 8601 date-time
+ *     responses:
+ *       200:
+ *         description: Audit entries streamed as an attachment
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/audit-log/export', requireRole('admin'), async (req, res) => {
+  let db;
+  let rows;
+
+  try {
+    const formatName = req.query.format ?? 'ndjson';
+    const format = EXPORT_FORMATS[formatName];
+    if (!format) {
+      return sendValidationError(res, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const { beforeId, ...filters } = parseAuditFilters(req.query);
+    if (filters.error) {
+      return sendValidationError(res, filters.error);
+    }
+
+    // Read through a separate connection so the shared one stays free for
+    // the requests being audited while the export streams
+    db = openReadConnection();
+    rows = iterateAuditEntries(db, filters);
+    // CSV keeps the JSON columns as stored text; the JSON formats nest them
+    const serialize = formatName === 'csv' ? (row) => row : formatAuditEntry;
+
+    res.status(200);
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${exportFileName(formatName, 'audit-log')}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    res.write(format.start(AUDIT_ENTRY_FIELDS));
+
+    let count = 0;
+    for (let step = rows.next(); !step.done && !closed; step = rows.next()) {
+      if (!res.write(format.row(serialize(step.value), AUDIT_ENTRY_FIELDS, count++))) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (!closed) {
+      res.end(format.end(count));
+    }
+
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+
+    // Once streaming has started the only way to signal failure is to cut the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to export audit log'
+    });
+
+  } finally {
+    rows?.return();
+    db?.close();
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log/verify:
+ *   get:
+ *     summary: Verify the audit log hash chain
+ *     description: >
+ *       Recomputes every entry's hash from the first entry on and checks the
+ *       per-record index. Reports the first entry that was modified, removed or
+ *       reordered. Deleting the newest entries leaves a valid, shorter chain, so
+ *       compare head_hash with a copy kept elsewhere. Requires the admin role.
+ *     tags: [Audit]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Chain checked; see valid for the result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 valid:
+ *                   type: boolean
+ *                   example: true
+ *                 checked:
+ *                   type: integer
+ *                   description: Entries verified before the first problem, or all of them
+ *                   example: 1042
+ *                 head_hash:
+ *                   type: string
+ *                   description: Hash of the last verified entry
+ *                   example: "1b7e3f9a0c2d4e6f8a1b3c5d7e9f0a2b4c6d8e0f1a3b5c7d9e1f2a4b6c8d0e2f"
+ *                 first_invalid_id:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Only when valid is false
+ *                   example: 517
+ *                 problem:
+ *                   type: string
+ *                   description: Only when valid is false
+ *                   example: "hash does not match the entry; it was modified"
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/audit-log/verify', requireRole('admin'), (req, res) => {
+  try {
+    const result = verifyAuditChain(getDatabase());
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to verify audit log'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+// Standalone PHI de-identification, with the same rules used before notes are
+// sent for summarization. The placeholder mapping is never returned.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { parseId } from '../utils/validation.js';
+import { RECORD_TEXT_MAX_LENGTHS } from '../services/recordInput.js';
+import { getDeidentifier, getPatientTerms } from '../services/deidentify/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeidentificationReport:
+ *       type: object
+ *       properties:
+ *         categories:
+ *           type: object
+ *           description: Number of values replaced per category (NAME, DATE, PHONE, EMAIL, SSN, MRN, ADDRESS, AGE and any configured ones)
+ *           additionalProperties:
+ *             type: integer
+ *           example: { "NAME": 2, "DATE": 1 }
+ *         total:
+ *           type: integer
+ *           example: 3
+ *         restored:
+ *           type: boolean
+ *           description: True when the placeholders in the summary were replaced with the original values
+ *           example: true
+ *     DeidentifyInput:
+ *       type: object
+ *       required:
+ *         - text
+ *       properties:
+ *         text:
+ *           type: string
+ *           maxLength: 10000
+ *           example: "Jane Doe (MRN: A12345) was seen on 2024-01-05; call (555) 123-4567."
+ *         patient_id:
+ *           type: integer
+ *           description: Also treat this patient's name and MRN as PHI wherever they appear
+ *           example: 1
+ */
+
+/**
+ * @swagger
+ * /api/deidentify:
+ *   post:
+ *     summary: De-identify text
+ *     description: >
+ *       Replaces names, dates, phone numbers, email addresses, SSNs, MRNs, street addresses,
+ *       ages over 89 and any configured categories with placeholders such as [NAME_1]. The same value
+ *       gets the same placeholder throughout the text. Detection is rule- and dictionary-based and runs
+ *       entirely on the server.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeidentifyInput'
+ *     responses:
+ *       200:
+ *         description: Text de-identified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 text:
+ *                   type: string
+ *                   example: "[NAME_1] [NAME_2] (MRN: [MRN_1]) was seen on [DATE_1]; call [PHONE_1]."
+ *                 categories:
+ *                   type: object
+ *                   description: Number of values replaced per category
+ *                   additionalProperties:
+ *                     type: integer
+ *                   example: { "NAME": 2, "MRN": 1, "DATE": 1, "PHONE": 1 }
+ *                 total:
+ *                   type: integer
+ *                   example: 5
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/deidentify', requireRole('reader'), (req, res) => {
+  try {
+    const { text, patient_id } = req.body;
+
+    if (typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'text is required and must be a string'
+      });
+    }
+
+    if (text.length > RECORD_TEXT_MAX_LENGTHS.note) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `text must be at most ${RECORD_TEXT_MAX_LENGTHS.note} characters`
+      });
+    }
+
+    let terms = [];
+    if (patient_id !== undefined) {
+      const patientId = parseId(patient_id);
+      if (!patientId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'patient_id must be a positive integer'
+        });
+      }
+
+      terms = getPatientTerms(getDatabase(), patientId);
+      if (!terms) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: `Patient with ID ${patientId} not found`
+        });
+      }
+    }
+
+    const result = getDeidentifier().deidentify(text, { terms });
+
+    res.json({
+      success: true,
+      text: result.text,
+      categories: result.categories,
+      total: result.total
+    });
+
+  } catch (error) {
+    console.error('Error de-identifying text:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to de-identify text'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+// Real-time record change stream over Server-Sent Events.
+// Streams are exempt from the general rate limiter because browsers keep them
+// open and reconnect on their own; instead each API key may hold only a few open.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { parseId } from '../utils/validation.js';
+import { RECORD_STATUSES } from '../services/recordStatus.js';
+import { RECORD_EVENT_TYPES, getLatestRecordEventId } from '../services/recordEvents.js';
+import { openEventStream, countOpenStreams } from '../services/eventStream.js';
+
+const router = express.Router();
+
+const MAX_STREAMS_PER_KEY = 5;
+
+// Split a comma-separated filter and check every value. Returns the values,
+// undefined when the filter is absent, or null when a value is not allowed.
+const parseListFilter = (value, allowed) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const values = [...new Set(String(value).split(',').map((item) => item.trim().toLowerCase()))];
+  return values.every((item) => allowed.includes(item)) ? values : null;
+};
+
+/**
+ * @swagger
+ * /api/events/stream:
+ *   get:
+ *     summary: Stream record changes
+ *     description: >
+ *       Server-Sent Events stream of record.created, record.updated, record.status_changed,
+ *       record.deleted, record.restored and record.summarized events. Each event has an id line
+ *       with its event ID and a JSON data line shaped { id, type, created_at, data: { record, ... } };
+ *       records are sent without their note. Reconnecting with the Last-Event-ID header (browsers' EventSource does this itself)
+ *       first sends every matching event after that ID. Without it the stream starts with new
+ *       events only. A comment line is sent every 15 seconds as a heartbeat. Streams do not count
+ *       against the general rate limit, but an API key may hold at most 5 open at once.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: ID of the last event received; the stream resumes after it
+ *       - in: query
+ *         name: last_event_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Same as Last-Event-ID, for clients that cannot set headers. 0 replays the whole log.
+ *       - in: query
+ *         name: types
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types to send (default all)
+ *         example: "record.created,record.status_changed"
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Comma-separated statuses. Only events for records that have, or had before the change,
+ *           one of these statuses are sent, so records leaving the status are seen too.
+ *         example: "active,recurrence,relapse"
+ *       - in: query
+ *         name: patient_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only send events for this patient's records, including records moved away from them
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 42\nevent: record.created\ndata: {\"id\":42,\"type\":\"record.created\",\"created_at\":\"2025-01-15 10:30:00\",\"data\":{\"record\":{\"id\":7,\"patient_id\":1,\"diagnosis\":\"Asthma\",\"status\":\"active\"}}}\n\n"
+ *       400:
+ *         description: Invalid filter or Last-Event-ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many open streams for this API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/events/stream', requireRole('reader'), (req, res) => {
+  try {
+    const types = parseListFilter(req.query.types, RECORD_EVENT_TYPES);
+    if (types === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `types must only contain: ${RECORD_EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const statuses = parseListFilter(req.query.status, RECORD_STATUSES);
+    if (statuses === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `status must only contain: ${RECORD_STATUSES.join(', ')}`
+      });
+    }
+
+    let patientId;
+    if (req.query.patient_id !== undefined) {
+      patientId = parseId(req.query.patient_id);
+      if (!patientId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'patient_id must be a positive integer'
+        });
+      }
+    }
+
+    const lastEventId = req.get('Last-Event-ID') ?? req.query.last_event_id;
+    if (lastEventId !== undefined && !/^\d+$/.test(String(lastEventId).trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Last-Event-ID must be a non-negative integer'
+      });
+    }
+
+    if (countOpenStreams(req.principal.keyId) >= MAX_STREAMS_PER_KEY) {
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded',
+        message: `At most ${MAX_STREAMS_PER_KEY} event streams may be open per API key`
+      });
+    }
+
+    openEventStream(req, res, {
+      keyId: req.principal.keyId,
+      afterId: lastEventId !== undefined ? parseInt(lastEventId, 10) : getLatestRecordEventId(getDatabase()),
+      filters: { types, statuses, patientId }
+    });
+
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to open event stream'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,448 @@
+// FHIR R4 facade over records, exposed as Condition resources under /fhir.
+// Responses use application/fhir+json and every error, including failed
+// authentication, is returned as an OperationOutcome.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { validateToken, requireRole } from '../config/auth.js';
+import { auditRecordAccess } from '../config/audit.js';
+import { idempotent } from '../config/idempotency.js';
+import { parseId } from '../utils/validation.js';
+import { createRecordRedactor } from '../services/deidentify/index.js';
+import { resolveRecordCode, insertRecord } from '../services/recordInput.js';
+import { RECORD_STATUSES } from '../services/recordStatus.js';
+import { parseListParams, listRecordsPage, ListParamError, RECORD_FIELDS, recordSelectList } from '../services/recordListing.js';
+import {
+  CLINICAL_STATUS_SYSTEM,
+  FhirValidationError,
+  recordToCondition,
+  conditionToRecord,
+  operationOutcome,
+  issue
+} from '../services/fhir/condition.js';
+
+const router = express.Router();
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+// OperationOutcome issue code for each HTTP error status
+const ISSUE_CODES = {
+  400: 'invalid',
+  401: 'login',
+  403: 'forbidden',
+  404: 'not-found',
+  409: 'conflict',
+  422: 'business-rule',
+  429: 'throttled'
+};
+
+// Send FHIR content types, and turn the { error, message } bodies produced by
+// the shared middleware (authentication, roles) into OperationOutcomes
+const fhirResponses = (req, res, next) => {
+  res.type(FHIR_CONTENT_TYPE);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body?.resourceType !== 'OperationOutcome') {
+      const code = ISSUE_CODES[res.statusCode] ?? 'exception';
+      return json(operationOutcome([issue(code, body?.message ?? body?.error ?? 'Request failed')]));
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+const sendOutcome = (res, status, issues) => {
+  return res.status(status).json(operationOutcome(issues));
+};
+
+router.use(fhirResponses, validateToken);
+router.use(express.json({ type: FHIR_CONTENT_TYPE }));
+
+// Base URL of this FHIR endpoint, used for fullUrl and paging links
+const fhirBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+// clinical-status is a comma-separated list of tokens, each a code or system|code
+const parseClinicalStatuses = (value) => {
+  const statuses = String(value).split(',').map((token) => {
+    const [system, code] = token.includes('|') ? token.split('|') : [undefined, token];
+    return { system, code: code.trim() };
+  });
+
+  const invalid = statuses.filter(({ system, code }) => {
+    return (system && system !== CLINICAL_STATUS_SYSTEM) || !RECORD_STATUSES.includes(code);
+  });
+  if (invalid.length > 0) {
+    return { error: `clinical-status must be one of: ${RECORD_STATUSES.join(', ')}` };
+  }
+
+  return { statuses: statuses.map(({ code }) => code) };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FhirCondition:
+ *       type: object
+ *       description: FHIR R4 Condition. Only the elements below are read or written.
+ *       properties:
+ *         resourceType:
+ *           type: string
+ *           example: "Condition"
+ *         id:
+ *           type: string
+ *           example: "1"
+ *         clinicalStatus:
+ *           type: object
+ *           example: { "coding": [{ "system": "http://terminology.hl7.org/CodeSystem/condition-clinical", "code": "active" }] }
+ *         code:
+ *           type: object
+ *           description: >
+ *             code.text is the diagnosis. An ICD-10-CM coding (system http://hl7.org/fhir/sid/icd-10-cm)
+ *             is stored as the record's code and must exist in the terminology; when code.text is left
+ *             out the diagnosis is taken from the code's description.
+ *           example: { "text": "Essential (primary) hypertension", "coding": [{ "system": "http://hl7.org/fhir/sid/icd-10-cm", "code": "I10" }] }
+ *         subject:
+ *           type: object
+ *           example: { "reference": "Patient/1" }
+ *         note:
+ *           type: array
+ *           items:
+ *             type: object
+ *           example: [{ "text": "Patient shows improvement" }]
+ *         recordedDate:
+ *           type: string
+ *           example: "2025-01-15T10:30:00Z"
+ *     FhirBundle:
+ *       type: object
+ *       properties:
+ *         resourceType:
+ *           type: string
+ *           example: "Bundle"
+ *         type:
+ *           type: string
+ *           example: "searchset"
+ *         total:
+ *           type: integer
+ *           example: 2
+ *         link:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               relation:
+ *                 type: string
+ *                 example: "next"
+ *               url:
+ *                 type: string
+ *         entry:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               fullUrl:
+ *                 type: string
+ *                 example: "http://localhost:3000/fhir/Condition/1"
+ *               resource:
+ *                 $ref: '#/components/schemas/FhirCondition'
+ *               search:
+ *                 type: object
+ *                 example: { "mode": "match" }
+ *     OperationOutcome:
+ *       type: object
+ *       properties:
+ *         resourceType:
+ *           type: string
+ *           example: "OperationOutcome"
+ *         issue:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               severity:
+ *                 type: string
+ *                 example: "error"
+ *               code:
+ *                 type: string
+ *                 example: "required"
+ *               diagnostics:
+ *                 type: string
+ *                 example: "At least one note with text is required"
+ *               expression:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Condition.note"]
+ */
+
+/**
+ * @swagger
+ * /fhir/Condition:
+ *   get:
+ *     summary: Search Conditions
+ *     description: >
+ *       Returns records as a FHIR searchset Bundle, oldest first. Follow the "next"
+ *       link for more pages. Records not yet assigned to a patient are left out,
+ *       since a Condition needs a subject.
+ *     tags: [FHIR]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: clinical-status
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Comma-separated clinical status codes, optionally as system|code
+ *         example: "active,recurrence"
+ *       - in: query
+ *         name: patient
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Patient ID or Patient/<id> reference
+ *       - in: query
+ *         name: _count
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Page size
+ *     responses:
+ *       200:
+ *         description: Search results
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirBundle'
+ *       400:
+ *         description: Invalid search parameter
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationOutcome'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationOutcome'
+ */
+router.get('/Condition', requireRole('reader'), (req, res) => {
+  try {
+    let statuses;
+    if (req.query['clinical-status'] !== undefined) {
+      const parsed = parseClinicalStatuses(req.query['clinical-status']);
+      if (parsed.error) {
+        return sendOutcome(res, 400, [issue('invalid', parsed.error, 'clinical-status')]);
+      }
+      statuses = parsed.statuses;
+    }
+
+    let patientId;
+    const patient = req.query.patient ?? req.query.subject;
+    if (patient !== undefined) {
+      patientId = parseId(String(patient).replace(/^Patient\//, ''));
+      if (!patientId) {
+        return sendOutcome(res, 400, [issue('invalid', 'patient must be a patient ID or Patient/<id>', 'patient')]);
+      }
+    }
+
+    const params = parseListParams({ limit: req.query._count, cursor: req.query._cursor }, {
+      sorts: ['created_at'],
+      defaultSort: 'created_at',
+      defaultFields: RECORD_FIELDS
+    });
+
+    const db = getDatabase();
+    const page = listRecordsPage(db, { patientId, withPatient: true, statuses, params });
+    auditRecordAccess(res, page.items.map((record) => record.id));
+
+    const baseUrl = fhirBaseUrl(req);
+    const link = [{ relation: 'self', url: `${baseUrl}${req.url}` }];
+    if (page.nextCursor) {
+      const next = new URLSearchParams({ ...req.query, _cursor: page.nextCursor });
+      link.push({ relation: 'next', url: `${baseUrl}/Condition?${next}` });
+    }
+
+    res.json({
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: page.total,
+      link,
+      entry: page.items.map(createRecordRedactor(db, req.principal)).map((record) => ({
+        fullUrl: `${baseUrl}/Condition/${record.id}`,
+        resource: recordToCondition(record),
+        search: { mode: 'match' }
+      }))
+    });
+
+  } catch (error) {
+    if (error instanceof ListParamError) {
+      return sendOutcome(res, 400, [issue('invalid', error.message)]);
+    }
+
+    console.error('Error searching FHIR Conditions:', error);
+    sendOutcome(res, 500, [issue('exception', 'Failed to search Conditions')]);
+  }
+});
+
+/**
+ * @swagger
+ * /fhir/Condition/{id}:
+ *   get:
+ *     summary: Read a Condition
+ *     description: >
+ *       Returns one record as a FHIR Condition. Deleted records and records not
+ *       yet assigned to a patient are not returned.
+ *     tags: [FHIR]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     responses:
+ *       200:
+ *         description: The Condition
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirCondition'
+ *       404:
+ *         description: Condition not found
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationOutcome'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationOutcome'
+ */
+router.get('/Condition/:id', requireRole('reader'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const db = getDatabase();
+
+    const record = id && db.prepare(`SELECT ${recordSelectList()} FROM records WHERE id = ? AND deleted_at IS NULL AND patient_id IS NOT NULL`).get(id);
+    if (!record) {
+      return sendOutcome(res, 404, [issue('not-found', `Condition/${req.params.id} not found`)]);
+    }
+
+    res.json(recordToCondition(createRecordRedactor(db, req.principal)(record)));
+
+  } catch (error) {
+    console.error('Error reading FHIR Condition:', error);
+    sendOutcome(res, 500, [issue('exception', 'Failed to read Condition')]);
+  }
+});
+
+/**
+ * @swagger
+ * /fhir/Condition:
+ *   post:
+ *     summary: Create a Condition
+ *     description: >
+ *       Validates a FHIR Condition and stores it as a record. clinicalStatus, code, subject
+ *       (Patient/<id>) and at least one note are required; any id in the body is ignored.
+ *       Accepts an Idempotency-Key header like the other create endpoints.
+ *     tags: [FHIR]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/fhir+json:
+ *           schema:
+ *             $ref: '#/components/schemas/FhirCondition'
+ *     responses:
+ *       201:
+ *         description: Condition created; Location points to the new resource
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirCondition'
+ *       400:
+ *         description: Invalid resource
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationOutcome'
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationOutcome'
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationOutcome'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationOutcome'
+ */
+router.post('/Condition', requireRole('clinician'), idempotent, (req, res) => {
+  try {
+    const input = conditionToRecord(req.body);
+    const { patientId } = input;
+
+    const db = getDatabase();
+
+    if (!db.prepare('SELECT id FROM patients WHERE id = ?').get(patientId)) {
+      return sendOutcome(res, 400, [
+        issue('not-found', `Patient/${patientId} does not exist`, 'Condition.subject')
+      ]);
+    }
+
+    const { error, record: fields } = resolveRecordCode(db, input);
+    if (error) {
+      return sendOutcome(res, 400, [issue('code-invalid', error, 'Condition.code.coding')]);
+    }
+
+    const recordId = insertRecord(db, fields, req.principal.name);
+    auditRecordAccess(res, [recordId]);
+
+    const record = db.prepare(`SELECT ${recordSelectList()} FROM records WHERE id = ?`).get(recordId);
+
+    res.status(201)
+      .location(`${fhirBaseUrl(req)}/Condition/${recordId}`)
+      .json(recordToCondition(createRecordRedactor(db, req.principal)(record)));
+
+  } catch (error) {
+    if (error instanceof FhirValidationError) {
+      return sendOutcome(res, 400, error.issues);
+    }
+
+    console.error('Error creating FHIR Condition:', error);
+    sendOutcome(res, 500, [issue('exception', 'Failed to create Condition')]);
+  }
+});
+
+// Malformed JSON bodies are reported as OperationOutcomes too
+router.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    res.type(FHIR_CONTENT_TYPE);
+    return sendOutcome(res, 400, [issue('structure', 'Request body is not valid JSON')]);
+  }
+  next(err);
+});
+
+export default router;
@@ -0,0 +1,224 @@
+// Health and metrics endpoints for load balancers, orchestrators and
+// Prometheus. They are served outside /api without authentication and are not
+// rate limited, so probes and scrapes never need an API key.
+
+import express from 'express';
+import { checkReadiness } from '../services/health.js';
+import { renderMetrics, METRICS_CONTENT_TYPE } from '../services/metrics.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReadinessCheck:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [pass, fail]
+ *           example: "pass"
+ *         latency_ms:
+ *           type: number
+ *           description: How long the check took
+ *           example: 0.42
+ *         error:
+ *           type: string
+ *           description: Why the check failed; only present when it did
+ *           example: "AI provider is unreachable"
+ *     ReadinessReport:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ready, not_ready]
+ *           example: "ready"
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         checks:
+ *           type: object
+ *           properties:
+ *             database:
+ *               $ref: '#/components/schemas/ReadinessCheck'
+ *             migrations:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ReadinessCheck'
+ *                 - type: object
+ *                   properties:
+ *                     version:
+ *                       type: integer
+ *                       description: Latest applied migration
+ *                       example: 8
+ *             ai_provider:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ReadinessCheck'
+ *                 - type: object
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                       example: "rule-based"
+ *                     checked_at:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the provider was last asked
+ */
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check endpoint
+ *     description: Returns a simple health check response. Kept for existing monitors; use /health/live and /health/ready for probes.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Server is healthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "OK"
+ *                 message:
+ *                   type: string
+ *                   example: "Server is running"
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ */
+router.get('/health', (req, res) => {
+  res.json({
+    status: 'OK',
+    message: 'Server is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: >
+ *       Answers as long as the process is serving requests. It checks no
+ *       dependencies, so a failing database or AI provider does not get the
+ *       process restarted; use /health/ready to decide whether to send it traffic.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "alive"
+ *                 uptime_seconds:
+ *                   type: number
+ *                   example: 3605.2
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ */
+router.get('/health/live', (req, res) => {
+  res.json({
+    status: 'alive',
+    uptime_seconds: Math.round(process.uptime() * 10) / 10,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: >
+ *       Checks the server's dependencies: a write to the database (a
+ *       heartbeat row, waiting at most 250 ms for other writers), that
+ *       every migration has been applied, and that the configured AI summary
+ *       provider answers (asked at most every 30 seconds; the last answer is
+ *       reported in between). Answers 503 when any check fails.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: All checks passed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadinessReport'
+ *       503:
+ *         description: At least one check failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadinessReport'
+ */
+router.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks: checks
+    });
+
+  } catch (error) {
+    console.error('Error running readiness checks:', error);
+    res.status(503).json({
+      status: 'not_ready',
+      timestamp: new Date().toISOString(),
+      error: 'Failed to run readiness checks'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: >
+ *       Metrics in the Prometheus text exposition format: HTTP request counts
+ *       and latency histograms per route and status, rate limit rejections per
+ *       limiter, AI summary generation time and summary cache lookups, and
+ *       database query durations. Counts start over when the process restarts.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Current metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP http_requests_total HTTP requests answered, by method, route pattern and status code.
+ *                 # TYPE http_requests_total counter
+ *                 http_requests_total{method="GET",route="/api/records/:id",status="200"} 42
+ */
+router.get('/metrics', (req, res) => {
+  try {
+    res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to render metrics'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,388 @@
+// Bulk import of records from CSV or NDJSON files.
+// Small files are imported within the request; larger ones run as a background
+// job whose progress and per-row report are polled through GET /imports/:id.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { uploadLimiter } from '../config/rateLimit.js';
+import { idempotent } from '../config/idempotency.js';
+import { parseId } from '../utils/validation.js';
+import { IMPORT_FORMATS, ImportFormatError, parseImportFile } from '../services/import/parsers.js';
+import { createImportJob, getImportJob, runImportJob } from '../services/import/jobs.js';
+
+const router = express.Router();
+
+// Files with more rows than this are imported in the background
+const IMPORT_SYNC_MAX_ROWS = 1000;
+
+const IMPORT_MAX_BYTES = '20mb';
+
+// Content types accepted for each format when ?format= is not given
+const FORMAT_CONTENT_TYPES = {
+  csv: ['text/csv'],
+  ndjson: ['application/x-ndjson', 'application/ndjson', 'application/jsonl']
+};
+
+const readImportBody = express.text({
+  type: Object.values(FORMAT_CONTENT_TYPES).flat(),
+  limit: IMPORT_MAX_BYTES
+});
+
+const resolveFormat = (req) => {
+  if (req.query.format !== undefined) {
+    return IMPORT_FORMATS.includes(req.query.format) ? req.query.format : null;
+  }
+
+  return IMPORT_FORMATS.find((format) => FORMAT_CONTENT_TYPES[format].some((type) => req.is(type))) ?? null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 4
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *           example: "completed"
+ *         format:
+ *           type: string
+ *           example: "csv"
+ *         dry_run:
+ *           type: boolean
+ *           example: false
+ *         total_rows:
+ *           type: integer
+ *           example: 2500
+ *         processed_rows:
+ *           type: integer
+ *           description: Rows validated (and inserted, if valid) so far
+ *           example: 2500
+ *         valid_rows:
+ *           type: integer
+ *           example: 2497
+ *         inserted_rows:
+ *           type: integer
+ *           description: Always 0 for a dry run
+ *           example: 2497
+ *         error_rows:
+ *           type: integer
+ *           example: 3
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the job failed, if it did
+ *         created_by:
+ *           type: string
+ *           example: "ward-3-clinician"
+ *         created_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *         started_at:
+ *           type: string
+ *           nullable: true
+ *         finished_at:
+ *           type: string
+ *           nullable: true
+ *         errors:
+ *           type: array
+ *           description: Rejected rows, in file order
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Data row number, starting at 1 (the CSV header is not counted)
+ *                 example: 17
+ *               line:
+ *                 type: integer
+ *                 description: Line of the file the row starts on
+ *                 example: 18
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["status must be one of: active, recurrence, relapse, inactive, remission, resolved"]
+ *     ImportJobResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         job:
+ *           $ref: '#/components/schemas/ImportJob'
+ */
+
+/**
+ * @swagger
+ * /api/imports:
+ *   post:
+ *     summary: Bulk import records
+ *     description: >
+ *       Imports records from a CSV file (header row with patient_id, diagnosis, status and note,
+ *       plus optional code_system and code columns)
+ *       or an NDJSON file (one JSON object per line). Each row is validated like /api/upload-record;
+ *       invalid rows are skipped and reported with their row number, and valid rows are inserted in
+ *       batches of 500 per transaction. Files of up to 1000 rows are imported within the request;
+ *       larger files return 202 and run as a job to poll at /api/imports/{id}.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         description: File format; defaults to the one implied by the Content-Type
+ *       - in: query
+ *         name: dry_run
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Validate every row and report the result without inserting anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "patient_id,diagnosis,status,note\n1,Hypertension,active,Blood pressure elevated"
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             example: "{\"patient_id\":1,\"diagnosis\":\"Hypertension\",\"status\":\"active\",\"note\":\"Blood pressure elevated\"}"
+ *     responses:
+ *       200:
+ *         description: Import finished; the job holds the report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJobResponse'
+ *       202:
+ *         description: Import started as a job; poll the Location header for progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJobResponse'
+ *       400:
+ *         description: Unknown format, or a file that cannot be read at all
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       413:
+ *         description: File larger than 20 MB
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/imports', requireRole('clinician'), readImportBody, idempotent, uploadLimiter, async (req, res) => {
+  try {
+    const format = resolveFormat(req);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `Send a text/csv or application/x-ndjson body, or set format to one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    if (typeof req.body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `Content-Type must be one of: ${Object.values(FORMAT_CONTENT_TYPES).flat().join(', ')}`
+      });
+    }
+
+    const dryRun = req.query.dry_run === 'true';
+    const rows = parseImportFile(format, req.body);
+
+    const db = getDatabase();
+    const jobId = createImportJob(db, { format, dryRun, totalRows: rows.length, createdBy: req.principal.name });
+
+    res.location(`${req.baseUrl}/imports/${jobId}`);
+
+    if (rows.length > IMPORT_SYNC_MAX_ROWS) {
+      // The job reports its own failures, so nothing is awaited here
+      runImportJob(jobId, rows);
+
+      return res.status(202).json({
+        success: true,
+        job: getImportJob(db, jobId)
+      });
+    }
+
+    await runImportJob(jobId, rows);
+
+    res.json({
+      success: true,
+      job: getImportJob(db, jobId)
+    });
+
+  } catch (error) {
+    if (error instanceof ImportFormatError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.message
+      });
+    }
+
+    console.error('Error importing records:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to import records'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/imports/{id}:
+ *   get:
+ *     summary: Get an import job
+ *     description: Returns the job's progress and the rows rejected so far
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Import job ID
+ *     responses:
+ *       200:
+ *         description: Import job retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJobResponse'
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Import job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/imports/:id', requireRole('clinician'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid import job ID is required'
+      });
+    }
+
+    const db = getDatabase();
+    const job = getImportJob(db, id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Import job with ID ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      job: job
+    });
+
+  } catch (error) {
+    console.error('Error fetching import job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch import job'
+    });
+  }
+});
+
+// Oversized files are rejected by the body parser before the handler runs
+router.use('/imports', (err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      error: 'Validation error',
+      message: `Import files are limited to ${IMPORT_MAX_BYTES}`
+    });
+  }
+  next(err);
+});
+
+export default router;
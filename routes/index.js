@@ -1,4 +1,5 @@
 import express from 'express';
+import { requireRole } from '../config/auth.js';
 
 const router = express.Router();
 
@@ -24,6 +25,15 @@ const router = express.Router();
  *                 version:
  *                   type: string
  *                   example: "1.0.0"
+ *                 endpoints:
+ *                   type: object
+ *                   properties:
+ *                     health:
+ *                       type: string
+ *                       example: "/health"
+ *                     documentation:
+ *                       type: string
+ *                       example: "/api-docs"
  *       401:
  *         description: Authentication required
  *         content:
@@ -43,7 +53,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', (req, res) => {
+router.get('/', requireRole('reader'), (req, res) => {
   res.json({
     message: 'ElevAid API v1.0.0',
     version: '1.0.0',
@@ -0,0 +1,689 @@
+// Patient management endpoints.
+// Every record belongs to a patient, so problem lists can be scoped per patient
+// (see the /patients/{id}/problems/* routes in routes/records.js).
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { idempotent } from '../config/idempotency.js';
+import { parseId, isNonEmptyString } from '../utils/validation.js';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate the patient fields present in the body.
+// When `partial` is true (updates), missing fields are allowed.
+const validatePatientInput = (body, { partial = false } = {}) => {
+  const { first_name, last_name, date_of_birth, mrn } = body;
+
+  for (const [field, value] of Object.entries({ first_name, last_name })) {
+    if (value === undefined && partial) continue;
+    if (!isNonEmptyString(value)) {
+      return `${field} is required and must be a non-empty string`;
+    }
+  }
+
+  if (date_of_birth !== undefined && date_of_birth !== null) {
+    if (typeof date_of_birth !== 'string' || !DATE_PATTERN.test(date_of_birth) || isNaN(Date.parse(date_of_birth))) {
+      return 'date_of_birth must be a date in YYYY-MM-DD format';
+    }
+  }
+
+  if (mrn !== undefined && mrn !== null && !isNonEmptyString(mrn)) {
+    return 'mrn must be a non-empty string';
+  }
+
+  return null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PatientInput:
+ *       type: object
+ *       required:
+ *         - first_name
+ *         - last_name
+ *       properties:
+ *         first_name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Jane"
+ *         last_name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Doe"
+ *         date_of_birth:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: "1970-04-12"
+ *         mrn:
+ *           type: string
+ *           maxLength: 64
+ *           nullable: true
+ *           description: Medical record number, unique per patient
+ *           example: "MRN-004512"
+ *     PatientUpdate:
+ *       type: object
+ *       description: Fields to change; at least one is required
+ *       minProperties: 1
+ *       properties:
+ *         first_name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Jane"
+ *         last_name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Doe"
+ *         date_of_birth:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: "1970-04-12"
+ *         mrn:
+ *           type: string
+ *           maxLength: 64
+ *           nullable: true
+ *           example: "MRN-004512"
+ *     Patient:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         first_name:
+ *           type: string
+ *           example: "Jane"
+ *         last_name:
+ *           type: string
+ *           example: "Doe"
+ *         date_of_birth:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: "1970-04-12"
+ *         mrn:
+ *           type: string
+ *           nullable: true
+ *           example: "MRN-004512"
+ *         created_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *         updated_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *     PatientResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           $ref: '#/components/schemas/Patient'
+ *     PatientsResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         patients:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Patient'
+ *         count:
+ *           type: integer
+ *           example: 1
+ */
+
+/**
+ * @swagger
+ * /api/patients:
+ *   post:
+ *     summary: Create a patient
+ *     tags: [Patients]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientInput'
+ *     responses:
+ *       201:
+ *         description: Patient created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Patient created successfully"
+ *                 patientId:
+ *                   type: integer
+ *                   example: 1
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A patient with this MRN already exists, or a request with the same Idempotency-Key is still being processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/patients', requireRole('clinician'), idempotent, (req, res) => {
+  try {
+    const validationError = validatePatientInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: validationError
+      });
+    }
+
+    const { first_name, last_name, date_of_birth, mrn } = req.body;
+    const db = getDatabase();
+
+    const result = db.prepare(`
+      INSERT INTO patients (first_name, last_name, date_of_birth, mrn, created_at, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `).run(first_name.trim(), last_name.trim(), date_of_birth || null, mrn ? mrn.trim() : null);
+
+    res.status(201).json({
+      success: true,
+      message: 'Patient created successfully',
+      patientId: result.lastInsertRowid
+    });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'A patient with this MRN already exists'
+      });
+    }
+
+    console.error('Error creating patient:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to create patient'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients:
+ *   get:
+ *     summary: List patients
+ *     tags: [Patients]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Patients retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PatientsResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/patients', requireRole('reader'), (req, res) => {
+  try {
+    const db = getDatabase();
+
+    const patients = db.prepare(`
+      SELECT id, first_name, last_name, date_of_birth, mrn, created_at, updated_at
+      FROM patients
+      ORDER BY id ASC
+    `).all();
+
+    res.json({
+      success: true,
+      patients: patients,
+      count: patients.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching patients:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch patients'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   get:
+ *     summary: Get a patient
+ *     tags: [Patients]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Patient retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PatientResponse'
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/patients/:id', requireRole('reader'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid patient ID is required'
+      });
+    }
+
+    const db = getDatabase();
+
+    const patient = db.prepare(`
+      SELECT id, first_name, last_name, date_of_birth, mrn, created_at, updated_at
+      FROM patients
+      WHERE id = ?
+    `).get(id);
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Patient with ID ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Error fetching patient:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch patient'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   patch:
+ *     summary: Update a patient
+ *     description: Updates the given patient fields. Fields that are omitted keep their current value.
+ *     tags: [Patients]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientUpdate'
+ *     responses:
+ *       200:
+ *         description: Patient updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PatientResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A patient with this MRN already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch('/patients/:id', requireRole('clinician'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid patient ID is required'
+      });
+    }
+
+    const validationError = validatePatientInput(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: validationError
+      });
+    }
+
+    const db = getDatabase();
+
+    const existing = db.prepare('SELECT * FROM patients WHERE id = ?').get(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Patient with ID ${id} not found`
+      });
+    }
+
+    const { first_name, last_name, date_of_birth, mrn } = req.body;
+
+    db.prepare(`
+      UPDATE patients
+      SET first_name = ?, last_name = ?, date_of_birth = ?, mrn = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      first_name !== undefined ? first_name.trim() : existing.first_name,
+      last_name !== undefined ? last_name.trim() : existing.last_name,
+      date_of_birth !== undefined ? date_of_birth : existing.date_of_birth,
+      mrn !== undefined ? (mrn ? mrn.trim() : null) : existing.mrn,
+      id
+    );
+
+    const patient = db.prepare(`
+      SELECT id, first_name, last_name, date_of_birth, mrn, created_at, updated_at
+      FROM patients
+      WHERE id = ?
+    `).get(id);
+
+    res.json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'A patient with this MRN already exists'
+      });
+    }
+
+    console.error('Error updating patient:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to update patient'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   delete:
+ *     summary: Delete a patient
+ *     description: Deletes a patient that has no records. Patients with records cannot be deleted.
+ *     tags: [Patients]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Patient deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Patient deleted successfully"
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Patient still has records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/patients/:id', requireRole('clinician'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid patient ID is required'
+      });
+    }
+
+    const db = getDatabase();
+
+    const result = db.prepare('DELETE FROM patients WHERE id = ?').run(id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Patient with ID ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Patient deleted successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Patient still has records and cannot be deleted'
+      });
+    }
+
+    console.error('Error deleting patient:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to delete patient'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,321 @@
+// Rate limit administration (admin only): current usage per limiter and client,
+// and resetting an API key's counters.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { getRateLimitPolicies, limitFor } from '../config/rateLimit.js';
+import { listRateLimitUsage, resetRateLimitsForKey } from '../services/rateLimitStore.js';
+import { parseId } from '../utils/validation.js';
+
+const router = express.Router();
+
+// Stored counter -> API shape, with the limit that applies to its client
+const formatUsage = (row) => {
+  const principal = row.key_id ? { name: row.key_name, role: row.key_role } : null;
+  const limit = limitFor(row.limiter, principal);
+
+  return {
+    limiter: row.limiter,
+    api_key: principal && { id: row.key_id, ...principal },
+    ip: row.client.startsWith('ip:') ? row.client.slice(3) : null,
+    hits: row.hits,
+    limit: limit,
+    remaining: Math.max(limit - row.hits, 0),
+    reset_at: new Date(row.reset_at).toISOString()
+  };
+};
+
+const formatPolicies = () => Object.fromEntries(
+  Object.entries(getRateLimitPolicies()).map(([name, { windowMs, max, roles, keys }]) => [
+    name,
+    { window_seconds: windowMs / 1000, max, roles, keys }
+  ])
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RateLimitUsage:
+ *       type: object
+ *       properties:
+ *         limiter:
+ *           type: string
+ *           enum: [general, upload, search, aiSummary, export]
+ *           example: "search"
+ *         api_key:
+ *           type: object
+ *           nullable: true
+ *           description: API key the requests were counted for; null when counted by IP
+ *           properties:
+ *             id:
+ *               type: integer
+ *               example: 3
+ *             name:
+ *               type: string
+ *               example: "ward-3-clinician"
+ *             role:
+ *               type: string
+ *               example: "clinician"
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *           description: Client IP, for requests without a valid API key
+ *           example: null
+ *         hits:
+ *           type: integer
+ *           description: Requests counted in the current window
+ *           example: 12
+ *         limit:
+ *           type: integer
+ *           description: Requests allowed in the window for this client
+ *           example: 30
+ *         remaining:
+ *           type: integer
+ *           example: 18
+ *         reset_at:
+ *           type: string
+ *           format: date-time
+ *           description: When the current window ends and the count starts over
+ *           example: "2025-01-16T08:17:00.000Z"
+ *     RateLimitPolicy:
+ *       type: object
+ *       properties:
+ *         window_seconds:
+ *           type: integer
+ *           example: 300
+ *         max:
+ *           type: integer
+ *           description: Requests allowed per window unless an override applies
+ *           example: 30
+ *         roles:
+ *           type: object
+ *           description: Limits for keys with a given role
+ *           additionalProperties:
+ *             type: integer
+ *           example: { "admin": 100 }
+ *         keys:
+ *           type: object
+ *           description: Limits for API keys by name; these win over role limits
+ *           additionalProperties:
+ *             type: integer
+ *           example: { "ward-3-import": 500 }
+ */
+
+/**
+ * @swagger
+ * /api/admin/rate-limits:
+ *   get:
+ *     summary: Show rate limit usage
+ *     description: >
+ *       Lists the request count of every client in each limiter's current window,
+ *       or only those of one API key, together with the configured policies.
+ *       Requires the admin role.
+ *     tags: [API Keys]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: key_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only return the counters of this API key
+ *     responses:
+ *       200:
+ *         description: Usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 usage:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RateLimitUsage'
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 policies:
+ *                   type: object
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/RateLimitPolicy'
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/rate-limits', requireRole('admin'), (req, res) => {
+  try {
+    let keyId;
+    if (req.query.key_id !== undefined) {
+      keyId = parseId(req.query.key_id);
+      if (!keyId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'key_id must be a positive integer'
+        });
+      }
+    }
+
+    const usage = listRateLimitUsage(getDatabase(), { keyId }).map(formatUsage);
+
+    res.json({
+      success: true,
+      usage: usage,
+      count: usage.length,
+      policies: formatPolicies()
+    });
+
+  } catch (error) {
+    console.error('Error fetching rate limit usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch rate limit usage'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/rate-limits/{keyId}:
+ *   delete:
+ *     summary: Reset an API key's rate limits
+ *     description: Clears the key's counters in every limiter, so its next request starts a new window. Requires the admin role.
+ *     tags: [API Keys]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: Counters reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Rate limits reset"
+ *                 reset:
+ *                   type: integer
+ *                   description: Number of limiter counters cleared
+ *                   example: 2
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/admin/rate-limits/:keyId', requireRole('admin'), (req, res) => {
+  try {
+    const keyId = parseId(req.params.keyId);
+    if (!keyId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid API key ID is required'
+      });
+    }
+
+    const db = getDatabase();
+
+    if (!db.prepare('SELECT id FROM api_keys WHERE id = ?').get(keyId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `API key with ID ${keyId} not found`
+      });
+    }
+
+    const reset = resetRateLimitsForKey(db, keyId);
+
+    res.json({
+      success: true,
+      message: 'Rate limits reset',
+      reset: reset
+    });
+
+  } catch (error) {
+    console.error('Error resetting rate limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to reset rate limits'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,289 @@
+// Bulk export of records for analysts and auditors.
+// Mounted before routes/records.js so /records/export is not taken for a record ID.
+
+import express from 'express';
+import { getDatabase, openReadConnection } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { auditRecordAccess } from '../config/audit.js';
+import { exportLimiter } from '../config/rateLimit.js';
+import { parseId } from '../utils/validation.js';
+import { parseRecordFilters, parseFields, ListParamError, RECORD_FIELDS } from '../services/recordListing.js';
+import { normalizeStatus, invalidStatusMessage } from '../services/recordStatus.js';
+import { SearchQueryError, findMatchingRecordIds } from '../services/search.js';
+import { EXPORT_FORMATS, iterateExportRows, exportFileName } from '../services/recordExport.js';
+import { canRevealPhi, createRecordRedactor } from '../services/deidentify/index.js';
+
+const router = express.Router();
+
+// Parse the export options from the query string. Returns the options or { error }.
+const parseExportOptions = (query) => {
+  const format = query.format ?? 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  let patientId;
+  if (query.patient_id !== undefined) {
+    patientId = parseId(query.patient_id);
+    if (!patientId) {
+      return { error: 'Valid patient ID is required' };
+    }
+  }
+
+  let statuses;
+  if (query.status !== undefined) {
+    statuses = String(query.status).split(',').map(normalizeStatus);
+    if (statuses.includes(null)) {
+      return { error: invalidStatusMessage() };
+    }
+  }
+
+  if (query.q !== undefined && (typeof query.q !== 'string' || query.q.trim() === '')) {
+    return { error: 'Search query parameter "q" must not be empty' };
+  }
+
+  if (query.include_notes !== undefined && !['true', 'false'].includes(query.include_notes)) {
+    return { error: 'include_notes must be true or false' };
+  }
+
+  // Free-text notes can be left out, for example when sharing data for analysis
+  let fields = parseFields(query.fields, RECORD_FIELDS);
+  if (query.include_notes === 'false') {
+    fields = fields.filter((field) => field !== 'note');
+  }
+
+  return {
+    format,
+    fields,
+    patientId,
+    statuses,
+    query: query.q?.trim(),
+    filters: parseRecordFilters(query)
+  };
+};
+
+// Resolves when the response can take more data or the client has gone away
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * @swagger
+ * /api/records/export:
+ *   get:
+ *     summary: Export records
+ *     description: >
+ *       Streams every matching record, oldest first, as a file download in CSV (with a header row),
+ *       NDJSON or a JSON array. Deleted records are not exported. Filters match the problem list and
+ *       search endpoints; q limits the export to full-text matches.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, json]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses to export
+ *         example: "active,recurrence"
+ *       - in: query
+ *         name: patient_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only export this patient's records
+ *       - in: query
+ *         name: q
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: Only export records matching this full-text search (same syntax as /api/problems/search)
+ *       - $ref: '#/components/parameters/CreatedFrom'
+ *       - $ref: '#/components/parameters/CreatedTo'
+ *       - $ref: '#/components/parameters/UpdatedFrom'
+ *       - $ref: '#/components/parameters/UpdatedTo'
+ *       - $ref: '#/components/parameters/CodeFilter'
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Comma-separated fields to export in addition to id, patient_id and diagnosis
+ *           (status, note, code_system, code, created_at, updated_at). Defaults to all fields.
+ *       - in: query
+ *         name: include_notes
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to leave out the free-text note
+ *     responses:
+ *       200:
+ *         description: The export file, sent as an attachment
+ *         headers:
+ *           Content-Disposition:
+ *             schema:
+ *               type: string
+ *             example: attachment; filename="records-20250115-103000.csv"
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Record'
+ *       400:
+ *         description: Invalid export option
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/records/export', requireRole('reader'), exportLimiter, async (req, res) => {
+  let db;
+  let rows;
+
+  try {
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: options.error
+      });
+    }
+
+    // The stream pauses between chunks, so it reads through its own connection
+    // rather than holding the shared one busy for the whole download
+    db = openReadConnection();
+
+    if (options.patientId && !db.prepare('SELECT id FROM patients WHERE id = ?').get(options.patientId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Patient with ID ${options.patientId} not found`
+      });
+    }
+
+    // The search index lives on the shared connection, so matches are found
+    // there. Callers who see de-identified notes only search those.
+    const matchingIds = options.query !== undefined
+      ? findMatchingRecordIds(getDatabase(), options.query, { deidentified: !canRevealPhi(req.principal) })
+      : undefined;
+
+    // Read the first row before sending headers so query errors still get a JSON response
+    rows = iterateExportRows(db, { ...options, matchingIds });
+    let step = rows.next();
+
+    const format = EXPORT_FORMATS[options.format];
+    const { fields } = options;
+    const redact = createRecordRedactor(db, req.principal);
+
+    res.status(200);
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${exportFileName(options.format)}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    res.write(format.start(fields));
+
+    let count = 0;
+    for (; !step.done && !closed; step = rows.next()) {
+      // Only rows actually written count as exported
+      auditRecordAccess(res, [step.value.id]);
+      if (!res.write(format.row(redact(step.value), fields, count++))) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (!closed) {
+      res.end(format.end(count));
+    }
+
+  } catch (error) {
+    if (error instanceof ListParamError || error instanceof SearchQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.message
+      });
+    }
+
+    console.error('Error exporting records:', error);
+
+    // Once streaming has started the only way to signal failure is to cut the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to export records'
+    });
+
+  } finally {
+    rows?.return();
+    db?.close();
+  }
+});
+
+export default router;
@@ -0,0 +1,312 @@
+// Read-only access to the revision history kept in record_revisions.
+// History stays available after a record is soft-deleted.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { parseId } from '../utils/validation.js';
+import { listRevisions, getRevision } from '../services/recordRevisions.js';
+import { createRecordRedactor } from '../services/deidentify/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FieldChange:
+ *       type: object
+ *       properties:
+ *         from:
+ *           description: Value before the change (any type, null when unset)
+ *           example: "active"
+ *         to:
+ *           description: Value after the change (any type, null when unset)
+ *           example: "resolved"
+ *     RecordRevision:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 7
+ *         record_id:
+ *           type: integer
+ *           example: 1
+ *         revision:
+ *           type: integer
+ *           example: 2
+ *         change_type:
+ *           type: string
+ *           description: create, update, status, delete, restore, or baseline for records written before history existed
+ *           example: "status"
+ *         patient_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         diagnosis:
+ *           type: string
+ *           example: "Hypertension"
+ *         status:
+ *           type: string
+ *           example: "resolved"
+ *         note:
+ *           type: string
+ *           description: De-identified for callers below DEID_REVEAL_ROLE
+ *           example: "Blood pressure back to normal range"
+ *         code_system:
+ *           type: string
+ *           nullable: true
+ *           example: "ICD-10-CM"
+ *         code:
+ *           type: string
+ *           nullable: true
+ *           example: "I10"
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Reason given for a status change
+ *           example: "Blood pressure controlled for six months"
+ *         changed_by:
+ *           type: string
+ *           nullable: true
+ *           description: API key name of the author; null for baseline revisions
+ *           example: "ward-3-clinician"
+ *         changed_at:
+ *           type: string
+ *           example: "2025-01-16 08:12:00"
+ *         previous_revision:
+ *           type: integer
+ *           nullable: true
+ *           description: Revision the changes are measured against; only returned for a single revision, null for the first
+ *           example: 1
+ *         changes:
+ *           type: object
+ *           description: Fields that differ from the previous revision
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/FieldChange'
+ *     RecordHistoryResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         revisions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RecordRevision'
+ *         count:
+ *           type: integer
+ *           example: 2
+ */
+
+/**
+ * @swagger
+ * /api/records/{id}/history:
+ *   get:
+ *     summary: List a record's revisions
+ *     description: Returns every revision of the record, oldest first, each with a field-level diff against the revision before it
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecordHistoryResponse'
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/records/:id/history', requireRole('reader'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid record ID is required'
+      });
+    }
+
+    const db = getDatabase();
+
+    const record = db.prepare('SELECT id FROM records WHERE id = ?').get(id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Record with ID ${id} not found`
+      });
+    }
+
+    const revisions = listRevisions(db, id, createRecordRedactor(db, req.principal));
+
+    res.json({
+      success: true,
+      revisions: revisions,
+      count: revisions.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching record history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch record history'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/records/{id}/history/{rev}:
+ *   get:
+ *     summary: Get one revision of a record
+ *     description: Returns the record as it was at the given revision, with a field-level diff against the previous revision
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number, starting at 1
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RecordRevision'
+ *       400:
+ *         description: Invalid ID or revision parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/records/:id/history/:rev', requireRole('reader'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const rev = parseId(req.params.rev);
+    if (!id || !rev) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid record ID and revision number are required'
+      });
+    }
+
+    const db = getDatabase();
+    const revision = getRevision(db, id, rev, createRecordRedactor(db, req.principal));
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Revision ${rev} of record ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+
+  } catch (error) {
+    console.error('Error fetching record revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch record revision'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,281 @@
+// Status changes for records.
+// The status vocabulary and allowed transitions live in services/recordStatus.js;
+// every change is written to the revision history together with its reason.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { parseId, isNonEmptyString } from '../utils/validation.js';
+import { findRecord, changeRecordStatus } from '../services/recordRepository.js';
+import { createRecordRedactor } from '../services/deidentify/index.js';
+import {
+  RECORD_STATUSES,
+  STATUS_GROUPS,
+  STATUS_TRANSITIONS,
+  normalizeStatus,
+  invalidStatusMessage,
+  canTransition
+} from '../services/recordStatus.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StatusChange:
+ *       type: object
+ *       required:
+ *         - status
+ *         - reason
+ *       properties:
+ *         status:
+ *           type: string
+ *           maxLength: 32
+ *           description: >
+ *             New status, case-insensitive: active, recurrence, relapse, inactive, remission or resolved
+ *           example: "resolved"
+ *         reason:
+ *           type: string
+ *           maxLength: 1000
+ *           description: Why the status is changing; kept in the record's history
+ *           example: "Blood pressure controlled for six months"
+ *     StatusChangeResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *           example: "Status changed from active to resolved"
+ *         data:
+ *           $ref: '#/components/schemas/Record'
+ *     TransitionErrorResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         error:
+ *           type: string
+ *           example: "Conflict"
+ *         message:
+ *           type: string
+ *           example: "Cannot change status from resolved to remission"
+ *         allowed_statuses:
+ *           type: array
+ *           description: Statuses the record can move to from its current status
+ *           items:
+ *             type: string
+ *           example: ["recurrence"]
+ */
+
+/**
+ * @swagger
+ * /api/record-statuses:
+ *   get:
+ *     summary: List record statuses
+ *     description: Returns the status vocabulary, the statuses in each problem list and the allowed transitions
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Status vocabulary retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 statuses:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["active", "recurrence", "relapse", "inactive", "remission", "resolved"]
+ *                 groups:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   example: { "active": ["active", "recurrence", "relapse"], "resolved": ["inactive", "remission", "resolved"] }
+ *                 transitions:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   example: { "active": ["inactive", "remission", "resolved"], "resolved": ["recurrence"] }
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/record-statuses', requireRole('reader'), (req, res) => {
+  res.json({
+    success: true,
+    statuses: RECORD_STATUSES,
+    groups: STATUS_GROUPS,
+    transitions: STATUS_TRANSITIONS
+  });
+});
+
+/**
+ * @swagger
+ * /api/records/{id}/status:
+ *   post:
+ *     summary: Change a record's status
+ *     description: >
+ *       Moves the record to a new status if the transition from its current status is allowed
+ *       (see /api/record-statuses). The reason is stored in the record's revision history.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatusChange'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusChangeResponse'
+ *       400:
+ *         description: Unknown status or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Transition not allowed from the current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransitionErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/records/:id/status', requireRole('clinician'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid record ID is required'
+      });
+    }
+
+    const status = normalizeStatus(req.body.status);
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: invalidStatusMessage()
+      });
+    }
+
+    if (!isNonEmptyString(req.body.reason)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'reason is required'
+      });
+    }
+
+    const record = findRecord(id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Record with ID ${id} not found`
+      });
+    }
+
+    if (!canTransition(record.status, status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: record.status === status
+          ? `Record is already ${status}`
+          : `Cannot change status from ${record.status} to ${status}`,
+        allowed_statuses: STATUS_TRANSITIONS[record.status]
+      });
+    }
+
+    changeRecordStatus(id, status, { changedBy: req.principal.name, reason: req.body.reason.trim() });
+
+    res.json({
+      success: true,
+      message: `Status changed from ${record.status} to ${status}`,
+      data: createRecordRedactor(getDatabase(), req.principal)(findRecord(id))
+    });
+
+  } catch (error) {
+    console.error('Error changing record status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to change record status'
+    });
+  }
+});
+
+export default router;
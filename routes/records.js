@@ -8,8 +8,65 @@
 import express from 'express';
 import { getDatabase } from '../config/database.js';
 import { uploadLimiter, searchLimiter, aiSummaryLimiter } from '../config/rateLimit.js';
+import { parseId, isNonEmptyString } from '../utils/validation.js';
+import { requireRole } from '../config/auth.js';
+import { auditRecordAccess } from '../config/audit.js';
+import { idempotent } from '../config/idempotency.js';
+import { generateAISummary, getSummaryProvider, SummaryProviderError } from '../services/summary/index.js';
+import { hashNote, findCachedSummary, saveSummary } from '../services/summary/store.js';
+import { summaryCacheLookupsTotal } from '../services/metrics.js';
+import { SearchQueryError } from '../services/search.js';
+import { STATUS_GROUPS, normalizeStatus, invalidStatusMessage } from '../services/recordStatus.js';
+import { validateRecordInput, validateCodeInput, resolveRecordCode } from '../services/recordInput.js';
+import { findCode } from '../services/terminology.js';
+import { deidentifyNote, reidentify, canRevealPhi, createRecordRedactor } from '../services/deidentify/index.js';
+import {
+  patientExists,
+  findRecord,
+  findRecordIncludingDeleted,
+  createRecord,
+  updateRecord,
+  softDeleteRecord,
+  restoreRecord,
+  listByStatus,
+  search
+} from '../services/recordRepository.js';
+import {
+  parseListParams,
+  ListParamError,
+  SORT_EXPRESSIONS,
+  RECORD_FIELDS,
+  BASE_FIELDS
+} from '../services/recordListing.js';
 
 const router = express.Router();
+
+
+// Resolve the patient a request is scoped to. Patient-scoped routes carry it in
+// the :patientId path parameter, the flat routes accept an optional ?patient_id=.
+// Returns { patientId } (undefined when not scoped) or { error } to send back.
+const resolvePatientScope = (req) => {
+  const rawId = req.params.patientId ?? req.query.patient_id;
+
+  if (rawId === undefined) {
+    return { patientId: undefined };
+  }
+
+  const patientId = parseId(rawId);
+  if (!patientId) {
+    return { error: { status: 400, error: 'Validation error', message: 'Valid patient ID is required' } };
+  }
+
+  if (!patientExists(patientId)) {
+    return { error: { status: 404, error: 'Not found', message: `Patient with ID ${patientId} not found` } };
+  }
+
+  return { patientId };
+};
+
+const sendScopeError = (res, { status, error, message }) => {
+  return res.status(status).json({ success: false, error, message });
+};
 /**
  * @swagger
  * components:
@@ -17,20 +74,39 @@ const router = express.Router();
  *     RecordInput:
  *       type: object
  *       required:
- *         - diagnosis
+ *         - patient_id
  *         - status
  *         - note
  *       properties:
+ *         patient_id:
+ *           type: integer
+ *           description: ID of the patient the record belongs to
+ *           example: 1
  *         diagnosis:
  *           type: string
- *           description: Medical diagnosis
+ *           maxLength: 500
+ *           description: Medical diagnosis. Required unless a code is given, in which case it defaults to the code's display text.
  *           example: "Hypertension"
+ *         code_system:
+ *           type: string
+ *           description: Code system of the coded diagnosis (defaults to ICD-10-CM when a code is given)
+ *           enum: [ICD-10-CM]
+ *           example: "ICD-10-CM"
+ *         code:
+ *           type: string
+ *           maxLength: 16
+ *           description: Diagnosis code; must exist in the terminology (see /api/terminology/search)
+ *           example: "I10"
  *         status:
  *           type: string
- *           description: Current status of the record
- *           example: "Active"
+ *           maxLength: 32
+ *           description: >
+ *             Clinical status of the problem, case-insensitive: active, recurrence, relapse,
+ *             inactive, remission or resolved
+ *           example: "active"
  *         note:
  *           type: string
+ *           maxLength: 10000
  *           description: Additional notes about the record
  *           example: "Patient shows improvement"
  *     RecordResponse:
@@ -56,7 +132,34 @@ const router = express.Router();
  *           example: "Validation error"
  *         message:
  *           type: string
- *           example: "All fields are required"
+ *           example: "patient_id is required"
+ *   parameters:
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       schema:
+ *         type: string
+ *         maxLength: 255
+ *       description: >
+ *         A unique value, such as a UUID, that makes retries safe. The first response
+ *         for the key is stored, and retrying the same request with the key returns it
+ *         again with an Idempotent-Replayed header instead of creating another copy.
+ *         Keys are scoped to the API key and expire after IDEMPOTENCY_KEY_TTL_HOURS.
+ *       example: "5f1c9a3e-8d2b-4c7a-9e61-2b7d4f0a1c33"
+ *   responses:
+ *     IdempotencyInProgress:
+ *       description: A request with the same Idempotency-Key is still being processed
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
+ *     IdempotencyKeyReused:
+ *       description: The Idempotency-Key was already used for a different request
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
  */
 
 /**
@@ -64,10 +167,12 @@ const router = express.Router();
  * /api/upload-record:
  *   post:
  *     summary: Upload a new medical record
- *     description: Creates a new record in the database with diagnosis, status, and note
+ *     description: Creates a new record for a patient with diagnosis, status, and note, optionally coded with an ICD-10-CM code
  *     tags: [Records]
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -99,6 +204,10 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  *       429:
  *         description: Rate limit exceeded
  *         content:
@@ -112,44 +221,45 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/upload-record', uploadLimiter, (req, res) => {
+router.post('/upload-record', requireRole('clinician'), idempotent, uploadLimiter, (req, res) => {
   try {
-    const { diagnosis, status, note } = req.body;
-
-    // Validate all fields are present
-    if (!diagnosis || !status || !note) {
+    const { errors, record: input } = validateRecordInput(req.body);
+    if (errors) {
       return res.status(400).json({
         success: false,
         error: 'Validation error',
-        message: 'All fields (diagnosis, status, note) are required'
+        message: errors[0]
       });
     }
 
-    // Validate fields are not empty strings
-    if (diagnosis.trim() === '' || status.trim() === '' || note.trim() === '') {
+    // The foreign key would reject an unknown patient too, but this gives a clearer error
+    if (!patientExists(input.patientId)) {
       return res.status(400).json({
         success: false,
         error: 'Validation error',
-        message: 'All fields must not be empty'
+        message: `Patient with ID ${input.patientId} does not exist`
       });
     }
 
-    // Get database instance
-    const db = getDatabase();
-
-    // Insert the record into the database
-    const stmt = db.prepare(`
-      INSERT INTO records (diagnosis, status, note, created_at, updated_at)
-      VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-    `);
+    // A coded diagnosis must exist in the terminology; its display text fills in a missing diagnosis
+    const { error: codeError, record } = resolveRecordCode(getDatabase(), input);
+    if (codeError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: codeError
+      });
+    }
 
-    const result = stmt.run(diagnosis.trim(), status.trim(), note.trim());
+    // Insert the record into the database together with its first revision
+    const recordId = createRecord(record, req.principal.name);
+    auditRecordAccess(res, [recordId]);
 
     // Return the inserted record ID
     res.status(201).json({
       success: true,
       message: 'Record created successfully',
-      recordId: result.lastInsertRowid
+      recordId: recordId
     });
 
   } catch (error) {
@@ -173,10 +283,41 @@ router.post('/upload-record', uploadLimiter, (req, res) => {
  *           type: integer
  *           description: Record ID
  *           example: 1
+ *         patient_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Patient ID; null for records created before patients existed until they are assigned
+ *           example: 1
  *         diagnosis:
  *           type: string
  *           description: Medical diagnosis
  *           example: "Hypertension"
+ *         status:
+ *           type: string
+ *           description: Record status (when requested with fields)
+ *           example: "active"
+ *         note:
+ *           type: string
+ *           description: Medical note (when requested with fields), de-identified for callers below DEID_REVEAL_ROLE
+ *           example: "Patient shows improvement"
+ *         code_system:
+ *           type: string
+ *           nullable: true
+ *           description: Code system (when requested with fields)
+ *           example: "ICD-10-CM"
+ *         code:
+ *           type: string
+ *           nullable: true
+ *           description: Diagnosis code (when requested with fields)
+ *           example: "I10"
+ *         created_at:
+ *           type: string
+ *           description: Creation time (when requested with fields)
+ *           example: "2025-01-15 10:30:00"
+ *         updated_at:
+ *           type: string
+ *           description: Last update time (when requested with fields)
+ *           example: "2025-01-16 08:12:00"
  *     ActiveProblemsResponse:
  *       type: object
  *       properties:
@@ -189,19 +330,117 @@ router.post('/upload-record', uploadLimiter, (req, res) => {
  *             $ref: '#/components/schemas/ActiveProblem'
  *         count:
  *           type: integer
- *           description: Number of active problems
+ *           description: Number of active problems in this page
  *           example: 2
+ *         total:
+ *           type: integer
+ *           description: Number of matching records across all pages
+ *           example: 120
+ *         limit:
+ *           type: integer
+ *           example: 50
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as cursor to fetch the next page; null on the last page
  */
 
 /**
  * @swagger
  * /api/problems/active:
  *   get:
- *     summary: Get all active problems
- *     description: Retrieves all records with status "active" and returns their ID and diagnosis
+ *     summary: Get active problems
+ *     description: >
+ *       Retrieves one page of records with status active, recurrence or relapse. Each problem has its ID, patient and
+ *       diagnosis plus any fields requested with the fields parameter. Follow next_cursor for more pages.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only return problems for this patient
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/CreatedFrom'
+ *       - $ref: '#/components/parameters/CreatedTo'
+ *       - $ref: '#/components/parameters/UpdatedFrom'
+ *       - $ref: '#/components/parameters/UpdatedTo'
+ *       - $ref: '#/components/parameters/CodeFilter'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: Active problems retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ActiveProblemsResponse'
+ *       400:
+ *         description: Invalid patient ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *
+ * /api/patients/{patientId}/problems/active:
+ *   get:
+ *     summary: Get a patient's active problems
+ *     description: Retrieves one page of the patient's records with status active, recurrence or relapse
  *     tags: [Records]
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Patient ID
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/CreatedFrom'
+ *       - $ref: '#/components/parameters/CreatedTo'
+ *       - $ref: '#/components/parameters/UpdatedFrom'
+ *       - $ref: '#/components/parameters/UpdatedTo'
+ *       - $ref: '#/components/parameters/CodeFilter'
+ *       - $ref: '#/components/parameters/Fields'
  *     responses:
  *       200:
  *         description: Active problems retrieved successfully
@@ -209,6 +448,12 @@ router.post('/upload-record', uploadLimiter, (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ActiveProblemsResponse'
+ *       400:
+ *         description: Invalid patient ID or list parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Authentication required
  *         content:
@@ -221,6 +466,12 @@ router.post('/upload-record', uploadLimiter, (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       429:
  *         description: Rate limit exceeded
  *         content:
@@ -234,37 +485,53 @@ router.post('/upload-record', uploadLimiter, (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/problems/active', (req, res) => {
+// Both problem lists share this handler; only the group of statuses they match differs
+const listProblemsByStatus = (group) => (req, res) => {
   try {
-    // Get database instance
-    const db = getDatabase();
+    const scope = resolvePatientScope(req);
+    if (scope.error) {
+      return sendScopeError(res, scope.error);
+    }
 
-    // Query all records with status "active" (case-insensitive)
-    const stmt = db.prepare(`
-      SELECT id, diagnosis 
-      FROM records 
-      WHERE LOWER(status) = LOWER(?)
-      ORDER BY id ASC
-    `);
+    const params = parseListParams(req.query, {
+      sorts: Object.keys(SORT_EXPRESSIONS),
+      defaultSort: 'created_at',
+      defaultFields: BASE_FIELDS
+    });
 
-    const problems = stmt.all('active');
+    // One page of records with a status in the group, optionally for one patient
+    const page = listByStatus({ patientId: scope.patientId, statuses: STATUS_GROUPS[group], params });
+    auditRecordAccess(res, page.items.map((item) => item.id));
 
-    // Return the array of objects with id and diagnosis
+    // Return the page of problems with id and diagnosis plus any requested fields
     res.json({
       success: true,
-      problems: problems,
-      count: problems.length
+      problems: page.items.map(createRecordRedactor(getDatabase(), req.principal)),
+      count: page.items.length,
+      total: page.total,
+      limit: params.limit,
+      next_cursor: page.nextCursor
     });
 
   } catch (error) {
-    console.error('Error fetching active problems:', error);
+    if (error instanceof ListParamError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.message
+      });
+    }
+
+    console.error(`Error fetching ${group} problems:`, error);
     res.status(500).json({
       success: false,
       error: 'Server error',
-      message: 'Failed to fetch active problems'
+      message: `Failed to fetch ${group} problems`
     });
   }
-});
+};
+
+router.get(['/problems/active', '/patients/:patientId/problems/active'], requireRole('reader'), listProblemsByStatus('active'));
 
 /**
  * @swagger
@@ -277,10 +544,41 @@ router.get('/problems/active', (req, res) => {
  *           type: integer
  *           description: Record ID
  *           example: 2
+ *         patient_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Patient ID; null for records created before patients existed until they are assigned
+ *           example: 1
  *         diagnosis:
  *           type: string
  *           description: Medical diagnosis
  *           example: "Common Cold"
+ *         status:
+ *           type: string
+ *           description: Record status (when requested with fields)
+ *           example: "resolved"
+ *         note:
+ *           type: string
+ *           description: Medical note (when requested with fields), de-identified for callers below DEID_REVEAL_ROLE
+ *           example: "Patient shows improvement"
+ *         code_system:
+ *           type: string
+ *           nullable: true
+ *           description: Code system (when requested with fields)
+ *           example: "ICD-10-CM"
+ *         code:
+ *           type: string
+ *           nullable: true
+ *           description: Diagnosis code (when requested with fields)
+ *           example: "I10"
+ *         created_at:
+ *           type: string
+ *           description: Creation time (when requested with fields)
+ *           example: "2025-01-15 10:30:00"
+ *         updated_at:
+ *           type: string
+ *           description: Last update time (when requested with fields)
+ *           example: "2025-01-16 08:12:00"
  *     ResolvedProblemsResponse:
  *       type: object
  *       properties:
@@ -293,19 +591,117 @@ router.get('/problems/active', (req, res) => {
  *             $ref: '#/components/schemas/ResolvedProblem'
  *         count:
  *           type: integer
- *           description: Number of resolved problems
+ *           description: Number of resolved problems in this page
  *           example: 1
+ *         total:
+ *           type: integer
+ *           description: Number of matching records across all pages
+ *           example: 120
+ *         limit:
+ *           type: integer
+ *           example: 50
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as cursor to fetch the next page; null on the last page
  */
 
 /**
  * @swagger
  * /api/problems/resolved:
  *   get:
- *     summary: Get all resolved problems
- *     description: Retrieves all records with status "resolved" and returns their ID and diagnosis
+ *     summary: Get resolved problems
+ *     description: >
+ *       Retrieves one page of records with status inactive, remission or resolved. Each problem has its ID, patient and
+ *       diagnosis plus any fields requested with the fields parameter. Follow next_cursor for more pages.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only return problems for this patient
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/CreatedFrom'
+ *       - $ref: '#/components/parameters/CreatedTo'
+ *       - $ref: '#/components/parameters/UpdatedFrom'
+ *       - $ref: '#/components/parameters/UpdatedTo'
+ *       - $ref: '#/components/parameters/CodeFilter'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: Resolved problems retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResolvedProblemsResponse'
+ *       400:
+ *         description: Invalid patient ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *
+ * /api/patients/{patientId}/problems/resolved:
+ *   get:
+ *     summary: Get a patient's resolved problems
+ *     description: Retrieves one page of the patient's records with status inactive, remission or resolved
  *     tags: [Records]
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Patient ID
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/CreatedFrom'
+ *       - $ref: '#/components/parameters/CreatedTo'
+ *       - $ref: '#/components/parameters/UpdatedFrom'
+ *       - $ref: '#/components/parameters/UpdatedTo'
+ *       - $ref: '#/components/parameters/CodeFilter'
+ *       - $ref: '#/components/parameters/Fields'
  *     responses:
  *       200:
  *         description: Resolved problems retrieved successfully
@@ -313,6 +709,12 @@ router.get('/problems/active', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ResolvedProblemsResponse'
+ *       400:
+ *         description: Invalid patient ID or list parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Authentication required
  *         content:
@@ -325,6 +727,12 @@ router.get('/problems/active', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       429:
  *         description: Rate limit exceeded
  *         content:
@@ -338,37 +746,7 @@ router.get('/problems/active', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/problems/resolved', (req, res) => {
-  try {
-    // Get database instance
-    const db = getDatabase();
-
-    // Query all records with status "resolved" (case-insensitive)
-    const stmt = db.prepare(`
-      SELECT id, diagnosis 
-      FROM records 
-      WHERE LOWER(status) = LOWER(?)
-      ORDER BY id ASC
-    `);
-
-    const problems = stmt.all('resolved');
-
-    // Return the array of objects with id and diagnosis
-    res.json({
-      success: true,
-      problems: problems,
-      count: problems.length
-    });
-
-  } catch (error) {
-    console.error('Error fetching resolved problems:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server error',
-      message: 'Failed to fetch resolved problems'
-    });
-  }
-});
+router.get(['/problems/resolved', '/patients/:patientId/problems/resolved'], requireRole('reader'), listProblemsByStatus('resolved'));
 
 /**
  * @swagger
@@ -377,14 +755,64 @@ router.get('/problems/resolved', (req, res) => {
  *     ProblemSummary:
  *       type: object
  *       properties:
+ *         record_id:
+ *           type: integer
+ *           description: Record ID
+ *           example: 1
+ *         patient_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Patient ID; null for records created before patients existed until they are assigned
+ *           example: 1
  *         original_note:
  *           type: string
- *           description: Original medical note
+ *           description: Original medical note; de-identified for callers below DEID_REVEAL_ROLE
  *           example: "Patient shows improvement in blood pressure readings"
  *         ai_summary:
  *           type: string
- *           description: AI-generated layman summary
+ *           description: >
+ *             AI-generated layman summary. It is generated from the de-identified note; placeholders
+ *             such as [NAME_1] are replaced with the original values for callers with DEID_REVEAL_ROLE
+ *             (clinician by default) or above.
  *           example: "The patient's blood pressure has gotten better"
+ *         provider:
+ *           type: string
+ *           description: Summary provider that generated the summary
+ *           example: "rule-based"
+ *         model:
+ *           type: string
+ *           description: Model used by the provider
+ *           example: "rule-based-v1"
+ *         summary_id:
+ *           type: integer
+ *           description: ID of the stored summary
+ *           example: 12
+ *         generated_at:
+ *           type: string
+ *           description: When the summary was generated
+ *           example: "2025-01-15 10:30:00"
+ *         cached:
+ *           type: boolean
+ *           description: True when a stored summary of the current note was returned instead of generating a new one
+ *           example: true
+ *         deidentification:
+ *           $ref: '#/components/schemas/DeidentificationReport'
+ *     ProviderErrorResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         error:
+ *           type: string
+ *           example: "AI provider error"
+ *         message:
+ *           type: string
+ *           example: "AI provider did not respond within 15000ms"
+ *         reason:
+ *           type: string
+ *           description: Machine-readable failure reason
+ *           example: "provider_timeout"
  *     ProblemSummaryResponse:
  *       type: object
  *       properties:
@@ -400,7 +828,12 @@ router.get('/problems/resolved', (req, res) => {
  * /api/problem-summary/{id}:
  *   get:
  *     summary: Get AI summary of a problem
- *     description: Retrieves a record by ID and generates an AI summary of the note in layman terms
+ *     description: >
+ *       Retrieves a record by ID and returns an AI summary of the note in layman terms.
+ *       Summaries are stored per note version; a stored summary of the current note is returned
+ *       with cached set to true and does not count against the AI summary rate limit.
+ *       Names, dates, phone numbers, MRNs, addresses and other PHI are replaced with placeholders
+ *       before the note is sent to the AI provider; deidentification reports what was replaced.
  *     tags: [Records]
  *     security:
  *       - ApiKeyAuth: []
@@ -412,6 +845,18 @@ router.get('/problems/resolved', (req, res) => {
  *           type: integer
  *         description: Record ID
  *         example: 1
+ *       - in: query
+ *         name: patient_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only return the record if it belongs to this patient
+ *       - in: query
+ *         name: refresh
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Generate a new summary even if a stored one exists
  *     responses:
  *       200:
  *         description: Problem summary generated successfully
@@ -455,8 +900,49 @@ router.get('/problems/resolved', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       502:
+ *         description: The AI provider returned an error or an unusable response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProviderErrorResponse'
+ *       503:
+ *         description: The AI provider is unreachable, timed out or is rate limiting
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProviderErrorResponse'
  */
-router.get('/problem-summary/:id', aiSummaryLimiter, async (req, res) => {
+// Build the problem-summary response from a stored summary row. Stored
+// summaries hold placeholders; they are only filled in for callers allowed to see PHI.
+const formatProblemSummary = (req, record, summary, cached, deidentified) => {
+  const reveal = canRevealPhi(req.principal);
+
+  return {
+    success: true,
+    data: {
+      record_id: record.id,
+      patient_id: record.patient_id,
+      original_note: reveal ? record.note : deidentified.text,
+      ai_summary: reveal ? reidentify(summary.summary, deidentified.placeholders) : summary.summary,
+      provider: summary.provider,
+      model: summary.model,
+      summary_id: summary.id,
+      generated_at: summary.created_at,
+      cached: cached,
+      deidentification: {
+        categories: deidentified.categories,
+        total: deidentified.total,
+        restored: reveal
+      }
+    }
+  };
+};
+
+// First half of /problem-summary: load the record and answer from the summary
+// cache when possible. It runs before aiSummaryLimiter, so cache hits do not
+// count against the AI limit.
+const serveCachedSummary = (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -469,20 +955,16 @@ router.get('/problem-summary/:id', aiSummaryLimiter, async (req, res) => {
       });
     }
 
-    // Get database instance
-    const db = getDatabase();
+    const scope = resolvePatientScope(req);
+    if (scope.error) {
+      return sendScopeError(res, scope.error);
+    }
 
     // Retrieve the record with the given ID
-    const stmt = db.prepare(`
-      SELECT id, note 
-      FROM records 
-      WHERE id = ?
-    `);
+    const record = findRecord(parseInt(id));
 
-    const record = stmt.get(parseInt(id));
-
-    // Check if record exists
-    if (!record) {
+    // Check if record exists (and belongs to the patient when scoped)
+    if (!record || (scope.patientId && record.patient_id !== scope.patientId)) {
       return res.status(404).json({
         success: false,
         error: 'Not found',
@@ -490,61 +972,188 @@ router.get('/problem-summary/:id', aiSummaryLimiter, async (req, res) => {
       });
     }
 
-    // Generate AI summary using Cursor prompt
-    const aiSummary = await generateAISummary(record.note);
+    // Only the de-identified note is sent to the provider. Summaries are cached
+    // by its hash, so the same text always maps back with the same placeholders.
+    const deidentified = deidentifyNote(getDatabase(), record);
+    const noteHash = hashNote(deidentified.text);
 
-    // Return the original note and AI summary
-    res.json({
-      success: true,
-      data: {
-        original_note: record.note,
-        ai_summary: aiSummary
+    if (req.query.refresh !== 'true') {
+      const { name, model } = getSummaryProvider();
+      const cached = findCachedSummary(getDatabase(), { recordId: record.id, noteHash, provider: name, model });
+      summaryCacheLookupsTotal.inc({ result: cached ? 'hit' : 'miss' });
+
+      if (cached) {
+        return res.json(formatProblemSummary(req, record, cached, true, deidentified));
       }
-    });
+    }
+
+    res.locals.record = record;
+    res.locals.deidentified = deidentified;
+    res.locals.noteHash = noteHash;
+    next();
 
   } catch (error) {
-    console.error('Error generating problem summary:', error);
+    console.error('Error loading problem summary:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
       message: 'Failed to generate problem summary'
     });
   }
-});
+};
 
-// AI summary generation function
-async function generateAISummary(note) {
+// Second half of /problem-summary: generate a new summary and store it
+const generateProblemSummary = async (req, res) => {
   try {
-    // This is a placeholder for the AI integration
-    // In a real implementation, you would call an AI service here
-    // For now, we'll create a simple summary transformation
-    
-    const summary = note
-      .toLowerCase()
-      .replace(/patient shows improvement/gi, 'the patient is getting better')
-      .replace(/blood pressure/gi, 'blood pressure')
-      .replace(/readings/gi, 'measurements')
-      .replace(/symptoms/gi, 'signs of illness')
-      .replace(/diagnosis/gi, 'medical condition')
-      .replace(/treatment/gi, 'care plan')
-      .replace(/medication/gi, 'medicine')
-      .replace(/prescribed/gi, 'given')
-      .replace(/administered/gi, 'given')
-      .replace(/monitoring/gi, 'watching')
-      .replace(/follow-up/gi, 'next visit')
-      .replace(/appointment/gi, 'visit')
-      .replace(/consultation/gi, 'doctor visit');
-
-    return summary.charAt(0).toUpperCase() + summary.slice(1);
+    const { record, deidentified, noteHash } = res.locals;
+
+    // Generate AI summary of the de-identified note with the configured provider
+    const { summary, provider, model } = await generateAISummary(deidentified.text);
+
+    const stored = saveSummary(getDatabase(), { recordId: record.id, noteHash, provider, model, summary });
+
+    // Return the original note and AI summary
+    res.json(formatProblemSummary(req, record, stored, false, deidentified));
+
   } catch (error) {
-    console.error('Error generating AI summary:', error);
-    return 'Unable to generate summary at this time.';
+    if (error instanceof SummaryProviderError) {
+      console.error('AI provider failed to generate summary:', error.message);
+      return res.status(error.status).json({
+        success: false,
+        error: 'AI provider error',
+        message: error.message,
+        reason: error.reason
+      });
+    }
+
+    console.error('Error generating problem summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to generate problem summary'
+    });
   }
-}
+};
+
+router.get('/problem-summary/:id', requireRole('reader'), serveCachedSummary, aiSummaryLimiter, generateProblemSummary);
 
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     SearchQuery:
+ *       in: query
+ *       name: q
+ *       required: true
+ *       schema:
+ *         type: string
+ *         maxLength: 500
+ *       description: >
+ *         Search terms. Words must all match; use "quotes" for phrases, a trailing * for
+ *         prefixes (hyperten*), and upper-case AND, OR, NOT with parentheses for boolean queries.
+ *         Callers below DEID_REVEAL_ROLE search the de-identified note, so names and
+ *         other PHI in notes do not match for them.
+ *       example: "\"blood pressure\" OR hyperten*"
+ *     StatusFilter:
+ *       in: query
+ *       name: status
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [active, recurrence, relapse, inactive, remission, resolved]
+ *       description: Only return records with this status
+ *     CreatedFrom:
+ *       in: query
+ *       name: created_from
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Only return records created at or after this date (YYYY-MM-DD) or ISO 8601 date-time
+ *     CreatedTo:
+ *       in: query
+ *       name: created_to
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Only return records created at or before this date (inclusive) or ISO 8601 date-time
+ *     UpdatedFrom:
+ *       in: query
+ *       name: updated_from
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Only return records last updated at or after this date (YYYY-MM-DD) or ISO 8601 date-time
+ *     UpdatedTo:
+ *       in: query
+ *       name: updated_to
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Only return records last updated at or before this date (inclusive) or ISO 8601 date-time
+ *     Limit:
+ *       in: query
+ *       name: limit
+ *       required: false
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 200
+ *         default: 50
+ *       description: Page size
+ *     Cursor:
+ *       in: query
+ *       name: cursor
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: The next_cursor value from the previous page. Keep the same sort and order when paging.
+ *     ListSort:
+ *       in: query
+ *       name: sort
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [created_at, updated_at, diagnosis]
+ *         default: created_at
+ *       description: Sort key; ties are broken by record ID
+ *     SearchSort:
+ *       in: query
+ *       name: sort
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [relevance, created_at, updated_at, diagnosis]
+ *         default: relevance
+ *       description: Sort key. Relevance always lists the best match first.
+ *     Order:
+ *       in: query
+ *       name: order
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *         default: asc
+ *       description: Sort direction
+ *     CodeFilter:
+ *       in: query
+ *       name: code
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Comma-separated diagnosis codes (I10), code prefixes (E11*) or inclusive ranges (I10-I16,
+ *         which includes every code under I16)
+ *       example: "I10-I16,E11*"
+ *     Fields:
+ *       in: query
+ *       name: fields
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Comma-separated record fields to return in addition to id, patient_id and diagnosis
+ *         (status, note, code_system, code, created_at, updated_at)
+ *       example: "status,updated_at"
  *   schemas:
  *     SearchResult:
  *       type: object
@@ -553,6 +1162,11 @@ async function generateAISummary(note) {
  *           type: integer
  *           description: Record ID
  *           example: 1
+ *         patient_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Patient ID; null for records created before patients existed until they are assigned
+ *           example: 1
  *         diagnosis:
  *           type: string
  *           description: Medical diagnosis
@@ -560,11 +1174,33 @@ async function generateAISummary(note) {
  *         status:
  *           type: string
  *           description: Record status
- *           example: "Active"
+ *           example: "active"
  *         note:
  *           type: string
- *           description: Medical note
+ *           description: Medical note, de-identified for callers below DEID_REVEAL_ROLE
  *           example: "Patient shows improvement"
+ *         code_system:
+ *           type: string
+ *           nullable: true
+ *           example: "ICD-10-CM"
+ *         code:
+ *           type: string
+ *           nullable: true
+ *           example: "I10"
+ *         created_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *         updated_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *         snippet:
+ *           type: string
+ *           description: Best-matching excerpt of the diagnosis or note, with matches wrapped in <mark> tags; de-identified like the note
+ *           example: "Patient shows <mark>improvement</mark> in blood pressure"
+ *         score:
+ *           type: number
+ *           description: BM25 relevance score; higher is more relevant
+ *           example: 3.217
  *     SearchResponse:
  *       type: object
  *       properties:
@@ -577,8 +1213,19 @@ async function generateAISummary(note) {
  *             $ref: '#/components/schemas/SearchResult'
  *         count:
  *           type: integer
- *           description: Number of search results
+ *           description: Number of search results in this page
  *           example: 2
+ *         total:
+ *           type: integer
+ *           description: Number of matching records across all pages
+ *           example: 120
+ *         limit:
+ *           type: integer
+ *           example: 50
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as cursor to fetch the next page; null on the last page
  *         query:
  *           type: string
  *           description: Search query used
@@ -590,18 +1237,99 @@ async function generateAISummary(note) {
  * /api/problems/search:
  *   get:
  *     summary: Search problems by diagnosis or note
- *     description: Searches all records for the given query term in diagnosis or note fields (case-insensitive)
+ *     description: Full-text search over diagnosis and note, ranked by relevance (BM25) with a highlighted snippet per result
  *     tags: [Records]
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/SearchQuery'
+ *       - $ref: '#/components/parameters/StatusFilter'
+ *       - $ref: '#/components/parameters/CreatedFrom'
+ *       - $ref: '#/components/parameters/CreatedTo'
  *       - in: query
- *         name: q
+ *         name: patient_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only search this patient's records
+ *       - $ref: '#/components/parameters/UpdatedFrom'
+ *       - $ref: '#/components/parameters/UpdatedTo'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/SearchSort'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/CodeFilter'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: Search results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchResponse'
+ *       400:
+ *         description: Invalid search query, patient ID or list parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *
+ * /api/patients/{patientId}/problems/search:
+ *   get:
+ *     summary: Search a patient's problems by diagnosis or note
+ *     description: Full-text search over the patient's records, ranked by relevance (BM25) with a highlighted snippet per result
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
  *         required: true
  *         schema:
- *           type: string
- *         description: Search query term
- *         example: "hypertension"
+ *           type: integer
+ *         description: Patient ID
+ *       - $ref: '#/components/parameters/SearchQuery'
+ *       - $ref: '#/components/parameters/StatusFilter'
+ *       - $ref: '#/components/parameters/CreatedFrom'
+ *       - $ref: '#/components/parameters/CreatedTo'
+ *       - $ref: '#/components/parameters/UpdatedFrom'
+ *       - $ref: '#/components/parameters/UpdatedTo'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/SearchSort'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/CodeFilter'
+ *       - $ref: '#/components/parameters/Fields'
  *     responses:
  *       200:
  *         description: Search results retrieved successfully
@@ -610,7 +1338,7 @@ async function generateAISummary(note) {
  *             schema:
  *               $ref: '#/components/schemas/SearchResponse'
  *       400:
- *         description: Missing search query
+ *         description: Missing or invalid search query, invalid date filter or invalid patient ID
  *         content:
  *           application/json:
  *             schema:
@@ -627,6 +1355,12 @@ async function generateAISummary(note) {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       429:
  *         description: Rate limit exceeded
  *         content:
@@ -640,12 +1374,12 @@ async function generateAISummary(note) {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/problems/search', searchLimiter, (req, res) => {
+router.get(['/problems/search', '/patients/:patientId/problems/search'], requireRole('reader'), searchLimiter, (req, res) => {
   try {
     const { q } = req.query;
 
     // Validate search query parameter
-    if (!q || q.trim() === '') {
+    if (typeof q !== 'string' || q.trim() === '') {
       return res.status(400).json({
         success: false,
         error: 'Validation error',
@@ -653,30 +1387,56 @@ router.get('/problems/search', searchLimiter, (req, res) => {
       });
     }
 
-    // Get database instance
-    const db = getDatabase();
+    const scope = resolvePatientScope(req);
+    if (scope.error) {
+      return sendScopeError(res, scope.error);
+    }
 
-    // Search records where diagnosis or note contains the search term (case-insensitive)
-    const stmt = db.prepare(`
-      SELECT id, diagnosis, status, note
-      FROM records 
-      WHERE LOWER(diagnosis) LIKE LOWER(?) 
-         OR LOWER(note) LIKE LOWER(?)
-      ORDER BY id ASC
-    `);
+    const params = parseListParams(req.query, {
+      sorts: ['relevance', ...Object.keys(SORT_EXPRESSIONS)],
+      defaultSort: 'relevance',
+      defaultFields: RECORD_FIELDS
+    });
+    const { status } = req.query;
+    if (status !== undefined && !normalizeStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: invalidStatusMessage()
+      });
+    }
 
-    const searchTerm = `%${q.trim()}%`;
-    const results = stmt.all(searchTerm, searchTerm);
+    // Full-text search over diagnosis and note, best matches first unless sorted
+    // otherwise. Callers who see de-identified notes only search those.
+    const page = search({
+      query: q.trim(),
+      patientId: scope.patientId,
+      statuses: status !== undefined ? [normalizeStatus(status)] : undefined,
+      params,
+      deidentified: !canRevealPhi(req.principal)
+    });
+    auditRecordAccess(res, page.items.map((item) => item.id));
 
     // Return the search results
     res.json({
       success: true,
-      results: results,
-      count: results.length,
+      results: page.items.map(createRecordRedactor(getDatabase(), req.principal)),
+      count: page.items.length,
+      total: page.total,
+      limit: params.limit,
+      next_cursor: page.nextCursor,
       query: q.trim()
     });
 
   } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof ListParamError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.message
+      });
+    }
+
     console.error('Error searching problems:', error);
     res.status(500).json({
       success: false,
@@ -686,4 +1446,568 @@ router.get('/problems/search', searchLimiter, (req, res) => {
   }
 });
 
+// Status is changed through POST /records/:id/status so transitions can be enforced
+const UPDATABLE_FIELDS = ['diagnosis', 'note'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Record:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         patient_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for records created before patients existed until they are assigned
+ *           example: 1
+ *         diagnosis:
+ *           type: string
+ *           example: "Hypertension"
+ *         status:
+ *           type: string
+ *           enum: [active, recurrence, relapse, inactive, remission, resolved]
+ *           example: "active"
+ *         note:
+ *           type: string
+ *           description: De-identified for callers below DEID_REVEAL_ROLE
+ *           example: "Patient shows improvement"
+ *         code_system:
+ *           type: string
+ *           nullable: true
+ *           example: "ICD-10-CM"
+ *         code:
+ *           type: string
+ *           nullable: true
+ *           example: "I10"
+ *         created_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *         updated_at:
+ *           type: string
+ *           example: "2025-01-16 08:12:00"
+ *     RecordUpdate:
+ *       type: object
+ *       description: >
+ *         Fields to change. Omitted fields keep their current value. The status is changed
+ *         with POST /api/records/{id}/status instead.
+ *       properties:
+ *         patient_id:
+ *           type: integer
+ *           example: 1
+ *         diagnosis:
+ *           type: string
+ *           maxLength: 500
+ *           example: "Hypertension"
+ *         note:
+ *           type: string
+ *           maxLength: 10000
+ *           example: "Blood pressure back to normal range"
+ *         code_system:
+ *           type: string
+ *           nullable: true
+ *           enum: [ICD-10-CM, null]
+ *           example: "ICD-10-CM"
+ *         code:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 16
+ *           description: New diagnosis code, or null to remove the code
+ *           example: "I10"
+ *     RecordDetailResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           $ref: '#/components/schemas/Record'
+ */
+
+/**
+ * @swagger
+ * /api/records/{id}:
+ *   get:
+ *     summary: Get a record
+ *     description: Retrieves one full record. Deleted records are not returned.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     responses:
+ *       200:
+ *         description: Record retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecordDetailResponse'
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/records/:id', requireRole('reader'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid record ID is required'
+      });
+    }
+
+    const record = findRecord(id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Record with ID ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: createRecordRedactor(getDatabase(), req.principal)(record)
+    });
+
+  } catch (error) {
+    console.error('Error fetching record:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch record'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/records/{id}:
+ *   patch:
+ *     summary: Update a record
+ *     description: Changes the diagnosis, note, code or patient of a record and refreshes updated_at
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecordUpdate'
+ *     responses:
+ *       200:
+ *         description: Record updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecordDetailResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch('/records/:id', requireRole('clinician'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid record ID is required'
+      });
+    }
+
+    if (req.body.status !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'status cannot be changed here; use POST /api/records/:id/status with a reason'
+      });
+    }
+
+    const changes = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+
+      if (!isNonEmptyString(req.body[field])) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `${field} must be a non-empty string`
+        });
+      }
+      changes[field] = req.body[field].trim();
+    }
+
+    if (req.body.patient_id !== undefined) {
+      changes.patient_id = parseId(req.body.patient_id);
+      if (!changes.patient_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'patient_id must be a valid patient ID'
+        });
+      }
+    }
+
+    if (req.body.code !== undefined || req.body.code_system !== undefined) {
+      const codeInput = validateCodeInput(req.body);
+      if (codeInput.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: codeInput.error
+        });
+      }
+      changes.code_system = codeInput.codeSystem;
+      changes.code = codeInput.code;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `At least one of patient_id, ${UPDATABLE_FIELDS.join(', ')}, code is required`
+      });
+    }
+
+    const existing = findRecord(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Record with ID ${id} not found`
+      });
+    }
+
+    if (changes.patient_id && !patientExists(changes.patient_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `Patient with ID ${changes.patient_id} does not exist`
+      });
+    }
+
+    if (changes.code && !findCode(getDatabase(), changes.code_system, changes.code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `Code ${changes.code} does not exist in ${changes.code_system}`
+      });
+    }
+
+    updateRecord(id, { ...existing, ...changes }, req.principal.name);
+
+    res.json({
+      success: true,
+      data: createRecordRedactor(getDatabase(), req.principal)(findRecord(id))
+    });
+
+  } catch (error) {
+    console.error('Error updating record:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to update record'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/records/{id}:
+ *   delete:
+ *     summary: Delete a record
+ *     description: Soft-deletes a record by setting deleted_at. Deleted records are left out of the problem lists and search, and can be restored.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     responses:
+ *       200:
+ *         description: Record deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Record deleted successfully"
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/records/:id', requireRole('clinician'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid record ID is required'
+      });
+    }
+
+    if (!findRecord(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Record with ID ${id} not found`
+      });
+    }
+
+    softDeleteRecord(id, req.principal.name);
+
+    res.json({
+      success: true,
+      message: 'Record deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting record:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to delete record'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/records/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted record
+ *     description: Clears deleted_at on a soft-deleted record so it shows up in lists and search again. Requires the admin role.
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     responses:
+ *       200:
+ *         description: Record restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecordDetailResponse'
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Record is not deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/records/:id/restore', requireRole('admin'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid record ID is required'
+      });
+    }
+
+    const record = findRecordIncludingDeleted(id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Record with ID ${id} not found`
+      });
+    }
+
+    if (!record.deleted_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Record with ID ${id} is not deleted`
+      });
+    }
+
+    restoreRecord(id, req.principal.name);
+
+    res.json({
+      success: true,
+      data: createRecordRedactor(getDatabase(), req.principal)(findRecord(id))
+    });
+
+  } catch (error) {
+    console.error('Error restoring record:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to restore record'
+    });
+  }
+});
+
 export default router; 
\ No newline at end of file
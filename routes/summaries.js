@@ -0,0 +1,165 @@
+// Review of stored AI summaries.
+// Summaries are generated through /problem-summary (routes/records.js); every
+// generated summary is kept so earlier versions can be reviewed here.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { parseId } from '../utils/validation.js';
+import { hashNote, listSummaries } from '../services/summary/store.js';
+import { deidentifyNote } from '../services/deidentify/index.js';
+import { recordColumn } from '../services/recordListing.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StoredSummary:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         record_id:
+ *           type: integer
+ *           example: 1
+ *         note_hash:
+ *           type: string
+ *           description: SHA-256 of the note the summary was generated from
+ *         provider:
+ *           type: string
+ *           example: "openai-compatible"
+ *         model:
+ *           type: string
+ *           example: "gpt-4o-mini"
+ *         summary:
+ *           type: string
+ *           example: "The patient's blood pressure has gotten better"
+ *         created_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *         current:
+ *           type: boolean
+ *           description: True when the summary was generated from the record's current note
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * /api/records/{id}/summaries:
+ *   get:
+ *     summary: List stored summaries of a record
+ *     description: Returns every summary generated for the record, newest first, including summaries of earlier note versions
+ *     tags: [Records]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     responses:
+ *       200:
+ *         description: Summaries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 summaries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StoredSummary'
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/records/:id/summaries', requireRole('reader'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid record ID is required'
+      });
+    }
+
+    const db = getDatabase();
+
+    const record = db.prepare(`SELECT id, patient_id, ${recordColumn('note')} FROM records WHERE id = ? AND deleted_at IS NULL`).get(id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Record with ID ${id} not found`
+      });
+    }
+
+    // Summaries are generated from, and keyed by, the de-identified note
+    const currentHash = hashNote(deidentifyNote(db, record).text);
+    const summaries = listSummaries(db, id).map((summary) => ({
+      ...summary,
+      current: summary.note_hash === currentHash
+    }));
+
+    res.json({
+      success: true,
+      summaries: summaries,
+      count: summaries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching summaries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch summaries'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+// Terminology lookups for coded diagnoses (ICD-10-CM autocomplete).
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { parseId } from '../utils/validation.js';
+import { searchTerminology, TERMINOLOGY_SEARCH_MAX_LIMIT } from '../services/terminology.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TerminologyCode:
+ *       type: object
+ *       properties:
+ *         code_system:
+ *           type: string
+ *           example: "ICD-10-CM"
+ *         code:
+ *           type: string
+ *           example: "E11.9"
+ *         display:
+ *           type: string
+ *           example: "Type 2 diabetes mellitus without complications"
+ */
+
+/**
+ * @swagger
+ * /api/terminology/search:
+ *   get:
+ *     summary: Search diagnosis codes
+ *     description: >
+ *       Autocomplete for ICD-10-CM codes. Codes starting with q (with or without the dot) come first,
+ *       followed by codes whose description contains every word of q; the last word may be incomplete,
+ *       so "diab typ" finds "Type 2 diabetes mellitus".
+ *     tags: [Terminology]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: Code prefix or description words
+ *         example: "diab typ"
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Maximum number of codes to return
+ *     responses:
+ *       200:
+ *         description: Matching codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TerminologyCode'
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 query:
+ *                   type: string
+ *                   example: "diab typ"
+ *       400:
+ *         description: Missing query or invalid limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/terminology/search', requireRole('reader'), (req, res) => {
+  try {
+    const { q } = req.query;
+    if (typeof q !== 'string' || q.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Search query parameter "q" is required'
+      });
+    }
+
+    let limit = 10;
+    if (req.query.limit !== undefined) {
+      limit = parseId(req.query.limit);
+      if (!limit || limit > TERMINOLOGY_SEARCH_MAX_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: `limit must be an integer between 1 and ${TERMINOLOGY_SEARCH_MAX_LIMIT}`
+        });
+      }
+    }
+
+    const db = getDatabase();
+    const results = searchTerminology(db, { query: q, limit });
+
+    res.json({
+      success: true,
+      results,
+      count: results.length,
+      query: q.trim()
+    });
+
+  } catch (error) {
+    console.error('Error searching terminology:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to search terminology'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,1018 @@
+// Webhook subscription and delivery management (admin only).
+// A subscription's secret is returned once, when it is created or replaced;
+// payloads sent to it are signed with that secret.
+
+import express from 'express';
+import { getDatabase } from '../config/database.js';
+import { requireRole } from '../config/auth.js';
+import { idempotent } from '../config/idempotency.js';
+import { parseId } from '../utils/validation.js';
+import {
+  validateSubscriptionInput,
+  generateWebhookSecret,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription
+} from '../services/webhooks/subscriptions.js';
+import {
+  DELIVERY_STATUSES,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  replayDeadDeliveries
+} from '../services/webhooks/outbox.js';
+
+const router = express.Router();
+
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscriptionInput:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         url:
+ *           type: string
+ *           maxLength: 2000
+ *           description: Absolute http or https URL that receives the events
+ *           example: "https://care-coordination.example.org/hooks/elevaid"
+ *         events:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: string
+ *             enum: [record.created, record.updated, record.status_changed, record.deleted, record.restored, record.summarized]
+ *           example: ["record.created", "record.status_changed"]
+ *         secret:
+ *           type: string
+ *           minLength: 16
+ *           maxLength: 200
+ *           description: Signing secret. Omit to have one generated.
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 500
+ *           example: "Care coordination service"
+ *     WebhookSubscriptionUpdate:
+ *       type: object
+ *       minProperties: 1
+ *       description: Fields to change; at least one is required
+ *       properties:
+ *         url:
+ *           type: string
+ *           maxLength: 2000
+ *           example: "https://care-coordination.example.org/hooks/elevaid"
+ *         events:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: string
+ *             enum: [record.created, record.updated, record.status_changed, record.deleted, record.restored, record.summarized]
+ *           example: ["record.created"]
+ *         secret:
+ *           type: string
+ *           minLength: 16
+ *           maxLength: 200
+ *           description: New signing secret; it replaces the old one immediately
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 500
+ *         active:
+ *           type: boolean
+ *           description: Paused subscriptions get no new events; deliveries already queued wait until it is resumed
+ *           example: false
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         url:
+ *           type: string
+ *           example: "https://care-coordination.example.org/hooks/elevaid"
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["record.created", "record.status_changed"]
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           example: "Care coordination service"
+ *         active:
+ *           type: boolean
+ *           example: true
+ *         created_by:
+ *           type: string
+ *           nullable: true
+ *           example: "bootstrap-admin"
+ *         created_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *         updated_at:
+ *           type: string
+ *           example: "2025-01-15 10:30:00"
+ *     WebhookSubscriptionSecretResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           $ref: '#/components/schemas/WebhookSubscription'
+ *         secret:
+ *           type: string
+ *           description: The signing secret. It is only returned here and cannot be retrieved later.
+ *           example: "whsec_Q2x0..."
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         subscription_id:
+ *           type: integer
+ *           example: 1
+ *         event_id:
+ *           type: integer
+ *           example: 40
+ *         event_type:
+ *           type: string
+ *           example: "record.status_changed"
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, dead]
+ *           description: dead means every attempt failed; replay it to try again
+ *           example: "dead"
+ *         attempts:
+ *           type: integer
+ *           example: 8
+ *         next_attempt_at:
+ *           type: string
+ *           nullable: true
+ *           description: When a pending delivery is next tried (UTC)
+ *         last_attempt_at:
+ *           type: string
+ *           nullable: true
+ *           example: "2025-01-15 12:41:07"
+ *         last_status_code:
+ *           type: integer
+ *           nullable: true
+ *           description: HTTP status of the last response; null when no response was received
+ *           example: 503
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *           example: "HTTP 503 Service Unavailable"
+ *         delivered_at:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           example: "2025-01-15 10:31:02"
+ */
+
+const sendValidationErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    message: errors.join('; ')
+  });
+};
+
+/**
+ * @swagger
+ * /api/admin/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     description: Lists all subscriptions without their secrets. Requires the admin role.
+ *     tags: [Webhooks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 subscriptions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const subscriptions = listSubscriptions(getDatabase());
+
+    res.json({
+      success: true,
+      subscriptions: subscriptions,
+      count: subscriptions.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch webhook subscriptions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks:
+ *   post:
+ *     summary: Create a webhook subscription
+ *     description: >
+ *       Subscribes a URL to record events. Each event is POSTed as JSON with an
+ *       X-ElevAid-Signature header (v1=HMAC-SHA256 of "<X-ElevAid-Timestamp>.<body>"
+ *       with the secret). The secret is only returned in this response; a retry
+ *       replayed through the same Idempotency-Key comes back without it, so set a
+ *       new one with PATCH if the response was lost. Requires the admin role.
+ *     tags: [Webhooks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscriptionInput'
+ *     responses:
+ *       201:
+ *         description: Subscription created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscriptionSecretResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/admin/webhooks', requireRole('admin'), idempotent, (req, res) => {
+  try {
+    const { errors, values } = validateSubscriptionInput(req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const db = getDatabase();
+    const secret = values.secret ?? generateWebhookSecret();
+    const id = createSubscription(db, { ...values, secret }, req.principal.name);
+
+    res.status(201).json({
+      success: true,
+      data: getSubscription(db, id),
+      secret: secret
+    });
+
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to create webhook subscription'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     description: Returns one subscription without its secret. Requires the admin role.
+ *     tags: [Webhooks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Subscription ID
+ *     responses:
+ *       200:
+ *         description: Subscription retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid subscription ID is required'
+      });
+    }
+
+    const subscription = getSubscription(getDatabase(), id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Webhook subscription with ID ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch webhook subscription'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}:
+ *   patch:
+ *     summary: Update a webhook subscription
+ *     description: >
+ *       Changes the URL, event types, secret or description, or pauses and resumes
+ *       the subscription with active. Requires the admin role.
+ *     tags: [Webhooks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Subscription ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscriptionUpdate'
+ *     responses:
+ *       200:
+ *         description: Subscription updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch('/admin/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid subscription ID is required'
+      });
+    }
+
+    const { errors, values } = validateSubscriptionInput(req.body, { partial: true });
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+    if (Object.keys(values).length === 0) {
+      return sendValidationErrors(res, ['At least one field to update is required']);
+    }
+
+    const db = getDatabase();
+    if (!getSubscription(db, id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Webhook subscription with ID ${id} not found`
+      });
+    }
+
+    updateSubscription(db, id, values);
+
+    res.json({
+      success: true,
+      data: getSubscription(db, id)
+    });
+
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to update webhook subscription'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription
+ *     description: Deletes the subscription and its delivery history, including deliveries not yet sent. Requires the admin role.
+ *     tags: [Webhooks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Subscription ID
+ *     responses:
+ *       200:
+ *         description: Subscription deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook subscription deleted successfully"
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/admin/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid subscription ID is required'
+      });
+    }
+
+    if (!deleteSubscription(getDatabase(), id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Webhook subscription with ID ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to delete webhook subscription'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhook-deliveries:
+ *   get:
+ *     summary: List webhook deliveries
+ *     description: >
+ *       Lists deliveries newest first, for example the dead-lettered ones with
+ *       status=dead. Page with before_id set to the last ID of the previous page.
+ *       Requires the admin role.
+ *     tags: [Webhooks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, dead]
+ *         description: Only return deliveries with this status
+ *       - in: query
+ *         name: subscription_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only return deliveries to this subscription
+ *       - in: query
+ *         name: before_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only return deliveries with a lower ID
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Page size
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/webhook-deliveries', requireRole('admin'), (req, res) => {
+  try {
+    const { status, subscription_id, before_id, limit } = req.query;
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return sendValidationErrors(res, [`status must be one of: ${DELIVERY_STATUSES.join(', ')}`]);
+    }
+
+    const subscriptionId = subscription_id !== undefined ? parseId(subscription_id) : undefined;
+    const beforeId = before_id !== undefined ? parseId(before_id) : undefined;
+    if (subscriptionId === null || beforeId === null) {
+      return sendValidationErrors(res, ['subscription_id and before_id must be positive integers']);
+    }
+
+    const pageSize = limit !== undefined ? parseId(limit) : DEFAULT_DELIVERY_LIMIT;
+    if (!pageSize || pageSize > MAX_DELIVERY_LIMIT) {
+      return sendValidationErrors(res, [`limit must be between 1 and ${MAX_DELIVERY_LIMIT}`]);
+    }
+
+    const deliveries = listDeliveries(getDatabase(), { subscriptionId, status, beforeId, limit: pageSize });
+
+    res.json({
+      success: true,
+      deliveries: deliveries,
+      count: deliveries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhook-deliveries/replay:
+ *   post:
+ *     summary: Replay dead webhook deliveries
+ *     description: >
+ *       Queues every dead-lettered delivery again with a fresh set of attempts,
+ *       or only those of one subscription. Requires the admin role.
+ *     tags: [Webhooks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subscription_id:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Only replay deliveries to this subscription
+ *     responses:
+ *       200:
+ *         description: Deliveries queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 replayed:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/admin/webhook-deliveries/replay', requireRole('admin'), (req, res) => {
+  try {
+    const { subscription_id } = req.body ?? {};
+
+    const subscriptionId = subscription_id !== undefined ? parseId(subscription_id) : undefined;
+    if (subscriptionId === null) {
+      return sendValidationErrors(res, ['subscription_id must be a positive integer']);
+    }
+
+    const replayed = replayDeadDeliveries(getDatabase(), subscriptionId);
+
+    res.json({
+      success: true,
+      replayed: replayed
+    });
+
+  } catch (error) {
+    console.error('Error replaying webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to replay webhook deliveries'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhook-deliveries/{id}/replay:
+ *   post:
+ *     summary: Replay a webhook delivery
+ *     description: >
+ *       Queues a dead or delivered delivery again with a fresh set of attempts.
+ *       The event is re-sent with its original ID, so receivers can tell a replay
+ *       from a new event. Requires the admin role.
+ *     tags: [Webhooks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Delivery ID
+ *     responses:
+ *       200:
+ *         description: Delivery queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid ID parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Delivery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Delivery is still pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/admin/webhook-deliveries/:id/replay', requireRole('admin'), (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Valid delivery ID is required'
+      });
+    }
+
+    const db = getDatabase();
+
+    const delivery = getDelivery(db, id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `Webhook delivery with ID ${id} not found`
+      });
+    }
+
+    if (delivery.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Webhook delivery with ID ${id} is already queued`
+      });
+    }
+
+    replayDelivery(db, id);
+
+    res.json({
+      success: true,
+      data: getDelivery(db, id)
+    });
+
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Failed to replay webhook delivery'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,96 @@
+// List the records that have no patient, which are those created before
+// patients existed, and assign them to their patients. Records that already
+// have a patient are left alone; move those with PATCH /api/records/:id.
+//
+//   npm run records:assign-patients                                list records without a patient
+//   npm run records:assign-patients -- --patient 4 12 13 17        assign records 12, 13 and 17 to patient 4
+//   npm run records:assign-patients -- --file assignments.csv      assign from record_id,patient_id lines
+
+import { readFileSync } from 'fs';
+import { initDatabase, closeDatabase } from '../config/database.js';
+import {
+  listRecordsWithoutPatient,
+  assignRecordPatient,
+  patientExists
+} from '../services/recordRepository.js';
+import { parseId } from '../utils/validation.js';
+
+const CHANGED_BY = 'assign-record-patients';
+
+const USAGE = 'Usage: npm run records:assign-patients -- [--patient <patient id> <record id>... | --file <csv>]';
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+// [{ recordId, patientId }] from the command line, or null to only list
+const readAssignments = (args) => {
+  if (args[0] === '--patient') {
+    const [patientId, ...recordIds] = args.slice(1).map(parseId);
+    if (!patientId || recordIds.length === 0 || recordIds.some((id) => !id)) {
+      fail(USAGE);
+    }
+    return recordIds.map((recordId) => ({ recordId, patientId }));
+  }
+
+  if (args[0] === '--file') {
+    if (!args[1]) {
+      fail(USAGE);
+    }
+    const lines = readFileSync(args[1], 'utf8').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    // An optional header row such as record_id,patient_id
+    if (lines.length > 0 && !/^\d/.test(lines[0])) {
+      lines.shift();
+    }
+    return lines.map((line, i) => {
+      const [recordId, patientId] = line.split(',').map((value) => parseId(value.trim()));
+      if (!recordId || !patientId) {
+        fail(`${args[1]} line ${i + 1}: expected <record id>,<patient id>; got "${line}"`);
+      }
+      return { recordId, patientId };
+    });
+  }
+
+  if (args.length > 0) {
+    fail(USAGE);
+  }
+  return null;
+};
+
+const assignments = readAssignments(process.argv.slice(2));
+
+await initDatabase();
+
+try {
+  if (!assignments) {
+    const records = listRecordsWithoutPatient();
+    if (records.length === 0) {
+      console.log('Every record has a patient.');
+    } else {
+      console.log(`${records.length} record(s) have no patient:`);
+      for (const row of records) {
+        const deleted = row.deleted_at ? ' (deleted)' : '';
+        console.log(`  record ${row.id}${deleted}, status ${row.status ?? 'none'}, created ${row.created_at}`);
+      }
+      console.log(`\nAssign them with: ${USAGE.replace('Usage: ', '')}`);
+      process.exitCode = 1;
+    }
+  } else {
+    let assigned = 0;
+    for (const { recordId, patientId } of assignments) {
+      if (!patientExists(patientId)) {
+        console.error(`  record ${recordId}: patient ${patientId} does not exist; skipped`);
+        process.exitCode = 1;
+      } else if (!assignRecordPatient(recordId, patientId, CHANGED_BY)) {
+        console.error(`  record ${recordId}: not found or already has a patient; skipped`);
+        process.exitCode = 1;
+      } else {
+        assigned++;
+      }
+    }
+    console.log(`Assigned ${assigned} of ${assignments.length} record(s) to their patients`);
+  }
+} finally {
+  closeDatabase();
+}
@@ -0,0 +1,28 @@
+// Load an ICD-10-CM code file into the terminology table, for example the full
+// code list from the CDC's annual ICD-10-CM release (icd10cm-codes-<year>.txt).
+// Codes already loaded are kept and their descriptions updated.
+//
+//   npm run terminology:load -- <file>
+
+import { readFileSync } from 'fs';
+import { initDatabase, closeDatabase } from '../config/database.js';
+import { ICD10CM, parseIcd10CmCodes, loadTerminology } from '../services/terminology.js';
+
+const file = process.argv[2];
+if (!file) {
+  console.error('Usage: npm run terminology:load -- <icd10cm-codes file>');
+  process.exit(1);
+}
+
+const entries = parseIcd10CmCodes(readFileSync(file, 'utf8'));
+if (entries.length === 0) {
+  console.error(`No ICD-10-CM codes found in ${file}`);
+  process.exit(1);
+}
+
+const db = await initDatabase();
+const count = loadTerminology(db, { codeSystem: ICD10CM, entries });
+const { total } = db.prepare('SELECT COUNT(*) AS total FROM terminology_codes WHERE code_system = ?').get(ICD10CM);
+closeDatabase();
+
+console.log(`Loaded ${count} ICD-10-CM code(s) from ${file}; ${total} code(s) in the terminology.`);
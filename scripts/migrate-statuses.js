@@ -0,0 +1,31 @@
+// Map free-text record statuses to the status vocabulary and report the rows
+// that could not be mapped. The server runs the same step at startup.
+//
+//   npm run migrate:statuses               map and print the report
+//   npm run migrate:statuses -- --dry-run  only print what would change
+
+import { initDatabase, closeDatabase } from '../config/database.js';
+import { migrateLegacyStatuses, RECORD_STATUSES } from '../services/recordStatus.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const db = await initDatabase();
+const report = migrateLegacyStatuses(db, { dryRun });
+closeDatabase();
+
+console.log(`${dryRun ? 'Would map' : 'Mapped'} ${report.mapped.length} record(s):`);
+for (const row of report.mapped) {
+  console.log(`  record ${row.id}: "${row.from}" -> ${row.to}`);
+}
+
+if (report.unmapped.length === 0) {
+  console.log('All record statuses are in the status vocabulary.');
+} else {
+  console.log(`\nCould not map ${report.unmapped.length} record(s); change them with POST /api/records/:id/status:`);
+  for (const row of report.unmapped) {
+    const deleted = row.deleted ? ' (deleted)' : '';
+    console.log(`  record ${row.id}${deleted}, patient ${row.patient_id ?? 'none'}: ${JSON.stringify(row.status)}`);
+  }
+  console.log(`\nAllowed statuses: ${RECORD_STATUSES.join(', ')}`);
+  process.exitCode = 1;
+}
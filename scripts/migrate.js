@@ -0,0 +1,86 @@
+// Apply, inspect and roll back schema migrations (see config/migrations.js).
+// The server applies pending migrations itself at startup.
+//
+//   npm run migrate                       apply every pending migration
+//   npm run migrate -- up [version]       apply pending migrations up to a version
+//   npm run migrate -- status             list applied and pending migrations
+//   npm run migrate -- down <version>     roll back to a version (0 undoes everything)
+//   npm run migrate -- unlock             clear a lock left by a crashed run
+
+import { getDatabase, closeDatabase } from '../config/database.js';
+import {
+  loadMigrations,
+  getSchemaStatus,
+  migrateUp,
+  migrateDown,
+  releaseMigrationLock,
+  MigrationError
+} from '../config/migrations.js';
+
+const [command = 'up', versionArg] = process.argv.slice(2);
+
+const parseVersion = (value) => (/^\d+$/.test(value ?? '') ? parseInt(value, 10) : null);
+
+const printStatus = (status) => {
+  console.log(`Schema version ${status.current} (latest known: ${status.latest})`);
+  for (const row of status.applied) {
+    const marker = status.unknown.includes(row) ? ' (unknown to this code)' : '';
+    console.log(`  [x] ${row.version}_${row.name}  applied ${row.applied_at}${marker}`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  [ ] ${migration.version}_${migration.name}`);
+  }
+};
+
+const run = async (db, migrations) => {
+  switch (command) {
+    case 'up': {
+      const to = versionArg === undefined ? Infinity : parseVersion(versionArg);
+      if (to === null) {
+        throw new MigrationError('Usage: npm run migrate -- up [version]');
+      }
+      const applied = await migrateUp(db, migrations, { to });
+      console.log(applied.length > 0
+        ? applied.map((migration) => `Applied ${migration.version}_${migration.name}`).join('\n')
+        : 'No pending migrations.');
+      break;
+    }
+
+    case 'down': {
+      const to = parseVersion(versionArg);
+      if (to === null) {
+        throw new MigrationError('Usage: npm run migrate -- down <version>');
+      }
+      const rolledBack = await migrateDown(db, migrations, { to });
+      console.log(rolledBack.length > 0
+        ? rolledBack.map((migration) => `Rolled back ${migration.version}_${migration.name}`).join('\n')
+        : `Already at version ${to} or below.`);
+      break;
+    }
+
+    case 'status':
+      break;
+
+    case 'unlock':
+      console.log(releaseMigrationLock(db) ? 'Migration lock cleared.' : 'Migrations were not locked.');
+      return;
+
+    default:
+      throw new MigrationError(`Unknown command "${command}"; use up, down, status or unlock`);
+  }
+
+  printStatus(getSchemaStatus(db, migrations));
+};
+
+const db = getDatabase();
+try {
+  await run(db, await loadMigrations());
+} catch (error) {
+  if (!(error instanceof MigrationError)) {
+    throw error;
+  }
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  closeDatabase();
+}
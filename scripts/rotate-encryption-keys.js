@@ -0,0 +1,51 @@
+// Re-encrypt record text, summaries, status change reasons and stored
+// idempotent responses under the active field encryption key (see config/encryption.js). Rows under older keys and
+// rows written before encryption was enabled are rewritten a batch at a time;
+// an interrupted run simply continues where it stopped. The server may keep running, provided it
+// already knows the active key. Once no rows are left under an old key, that
+// key can be removed from the configuration.
+//
+//   npm run encryption:rotate                        re-encrypt and print the counts
+//   npm run encryption:rotate -- --dry-run           only count the rows to re-encrypt
+//   npm run encryption:rotate -- --batch-size 200    rows per transaction (default 500)
+
+import { initDatabase, closeDatabase } from '../config/database.js';
+import { getFieldCipher } from '../config/encryption.js';
+import { countRowsToRotate, rotateEncryptionKeys, DEFAULT_ROTATION_BATCH_SIZE } from '../services/keyRotation.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+let batchSize = DEFAULT_ROTATION_BATCH_SIZE;
+const batchSizeIndex = args.indexOf('--batch-size');
+if (batchSizeIndex >= 0) {
+  batchSize = Number(args[batchSizeIndex + 1]);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    console.error('Usage: npm run encryption:rotate -- [--dry-run] [--batch-size <rows>]');
+    process.exit(1);
+  }
+}
+
+const { activeKeyId, keyIds } = getFieldCipher();
+console.log(`Active key "${activeKeyId}" (configured: ${keyIds.join(', ')})`);
+
+const db = await initDatabase();
+
+try {
+  if (dryRun) {
+    for (const [table, count] of Object.entries(countRowsToRotate(db))) {
+      console.log(`  ${table}: ${count} row(s) to re-encrypt`);
+    }
+  } else {
+    const rotated = rotateEncryptionKeys(db, {
+      batchSize,
+      onBatch: ({ table, rows }) => console.log(`  ${table}: re-encrypted ${rows} row(s)`)
+    });
+
+    for (const [table, count] of Object.entries(rotated)) {
+      console.log(`Re-encrypted ${count} ${table} row(s) with key "${activeKeyId}"`);
+    }
+  }
+} finally {
+  closeDatabase();
+}
@@ -9,29 +9,128 @@ import swaggerUi from 'swagger-ui-express';
 import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { validateToken, swaggerAuthConfig } from './config/auth.js';
-import { generalLimiter } from './config/rateLimit.js';
+import { settings, applyLogLevel } from './config/settings.js';
+import { validateToken, ensureBootstrapAdminKey, swaggerAuthConfig } from './config/auth.js';
+import { generalLimiter, getRateLimitPolicies } from './config/rateLimit.js';
+import { auditRequests } from './config/audit.js';
+import { recordRequestMetrics } from './config/metrics.js';
+import { createOpenApiValidator } from './config/openapiValidation.js';
+import { getSummaryProvider } from './services/summary/index.js';
+import { getDeidentifier, getRevealRole } from './services/deidentify/index.js';
+import { migrateLegacyStatuses } from './services/recordStatus.js';
+import { failInterruptedImportJobs } from './services/import/jobs.js';
+import { releaseInterruptedIdempotencyKeys } from './services/idempotency.js';
+import { ensureTerminologyLoaded } from './services/terminology.js';
+import { startWebhookDispatcher, stopWebhookDispatcher } from './services/webhooks/dispatcher.js';
+import { closeEventStreams } from './services/eventStream.js';
+import { getFieldCipher } from './config/encryption.js';
+import { countRowsToRotate } from './services/keyRotation.js';
+import { countRecordsWithoutPatient } from './services/recordRepository.js';
+import { attachSearchIndex } from './services/search.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = settings.server.port;
+
+applyLogLevel(settings.server.logLevel);
+console.log(`⚙️  Configuration: ${settings.profile} profile` +
+  `${settings.configFile ? ` with ${settings.configFile}` : ''}; database at ${settings.database.path}`);
 
 // Security middleware
 app.use(helmet());
 
-// CORS and body parsing middleware
-app.use(cors());
+// CORS and body parsing middleware; only the origins in CORS_ORIGINS may call the API from a browser
+const { corsOrigins } = settings.server;
+app.use(cors({ origin: corsOrigins.includes('*') ? '*' : corsOrigins }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Request counts and latencies for /metrics
+app.use(recordRequestMetrics);
+
+// Access audit log; ahead of rate limiting and authentication so refused requests are recorded too
+app.use(['/api', '/fhir'], auditRequests);
+
 // Rate limiting middleware
 app.use(generalLimiter);
 
 // Database setup
-import { initDatabase } from './config/database.js';
-const db = initDatabase();
+import { initDatabase, closeDatabase } from './config/database.js';
+import { MigrationError } from './config/migrations.js';
+
+// Load the field encryption keys first so a bad key configuration fails at startup
+const fieldCipher = getFieldCipher();
+console.log(`🔐 Field encryption: active key "${fieldCipher.activeKeyId}" from the ${fieldCipher.provider} key provider`);
+
+// A schema from newer code, or a migration that cannot run, stops the server
+let db;
+try {
+  db = await initDatabase();
+} catch (error) {
+  if (!(error instanceof MigrationError)) {
+    throw error;
+  }
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+ensureBootstrapAdminKey(db);
+
+// Map free-text statuses written before the status vocabulary existed
+const statusReport = migrateLegacyStatuses(db);
+if (statusReport.mapped.length > 0) {
+  console.log(`🏷️  Mapped ${statusReport.mapped.length} legacy record status(es) to the status vocabulary`);
+}
+if (statusReport.unmapped.length > 0) {
+  console.warn(`⚠️  ${statusReport.unmapped.length} record(s) have a status that could not be mapped; ` +
+    'run "npm run migrate:statuses" for the report');
+}
+
+// Records created before patients existed have none until they are assigned
+const recordsWithoutPatient = countRecordsWithoutPatient();
+if (recordsWithoutPatient > 0) {
+  console.warn(`⚠️  ${recordsWithoutPatient} record(s) have no patient; run "npm run records:assign-patients" for the list`);
+}
+
+const rowsToRotate = Object.values(countRowsToRotate(db)).reduce((sum, count) => sum + count, 0);
+if (rowsToRotate > 0) {
+  console.warn(`⚠️  ${rowsToRotate} row(s) are not encrypted with the active key; run "npm run encryption:rotate"`);
+}
+
+// The full-text index is rebuilt in memory from the decrypted records
+const indexedRecords = attachSearchIndex(db);
+console.log(`🔎 Search index built over ${indexedRecords} record(s)`);
+
+const interruptedImports = failInterruptedImportJobs(db);
+if (interruptedImports > 0) {
+  console.warn(`⚠️  Marked ${interruptedImports} interrupted import job(s) as failed`);
+}
+
+// Requests with an Idempotency-Key that never finished can be retried
+const interruptedIdempotentRequests = releaseInterruptedIdempotencyKeys(db);
+if (interruptedIdempotentRequests > 0) {
+  console.warn(`⚠️  Released ${interruptedIdempotentRequests} idempotency key(s) of interrupted requests`);
+}
+
+// Seed the diagnosis code table from the bundled ICD-10-CM subset on first start
+const loadedCodes = ensureTerminologyLoaded(db);
+if (loadedCodes > 0) {
+  console.log(`📖 Loaded ${loadedCodes} bundled ICD-10-CM code(s); run "npm run terminology:load" for the full release`);
+}
+
+// Create the AI summary provider now so a bad configuration fails at startup
+const summaryProvider = getSummaryProvider();
+console.log(`🤖 AI summary provider: ${summaryProvider.name} (${summaryProvider.model})`);
+
+// Load the de-identification rules now so a bad rules file fails at startup
+const deidentifier = getDeidentifier();
+console.log(`🛡️  PHI de-identification: ${deidentifier.ruleCount} rule(s); ${getRevealRole()} and above see re-identified summaries`);
+
+// Load the rate limit policies now so a bad policy file fails at startup
+const rateLimitOverrides = Object.values(getRateLimitPolicies())
+  .reduce((sum, { roles, keys }) => sum + Object.keys(roles).length + Object.keys(keys).length, 0);
+console.log(`⏱️  Rate limits counted per API key; ${rateLimitOverrides} role or key override(s)`);
 
 // Swagger configuration
 const swaggerOptions = {
@@ -58,7 +157,7 @@ const swaggerOptions = {
           type: 'apiKey',
           in: 'header',
           name: 'Authorization',
-          description: 'API token for authentication. Use format: Bearer elevaid-secure-token-2025'
+          description: 'API key for authentication. Use format: Bearer <api-key>. Keys are issued by an admin through /api/admin/api-keys.'
         }
       }
     },
@@ -73,61 +172,82 @@ const swaggerOptions = {
 
 const specs = swaggerJsdoc(swaggerOptions);
 
-// Swagger UI setup
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
+// Swagger UI setup; the spec is still built for request validation when the UI is off
+if (settings.server.swagger) {
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
+}
 
 // Import routes
 import apiRoutes from './routes/index.js';
 import recordsRoutes from './routes/records.js';
+import recordExportRoutes from './routes/recordExport.js';
+import patientsRoutes from './routes/patients.js';
+import recordHistoryRoutes from './routes/recordHistory.js';
+import apiKeysRoutes from './routes/apiKeys.js';
+import summariesRoutes from './routes/summaries.js';
+import recordStatusRoutes from './routes/recordStatus.js';
+import fhirRoutes from './routes/fhir.js';
+import importsRoutes from './routes/imports.js';
+import terminologyRoutes from './routes/terminology.js';
+import webhooksRoutes from './routes/webhooks.js';
+import eventsRoutes from './routes/events.js';
+import deidentifyRoutes from './routes/deidentify.js';
+import auditRoutes from './routes/audit.js';
+import rateLimitsRoutes from './routes/rateLimits.js';
+import healthRoutes from './routes/health.js';
 
-// Apply authentication to all API routes
-app.use('/api', validateToken, apiRoutes);
-app.use('/api', validateToken, recordsRoutes);
-
-// Basic health check endpoint
-/**
- * @swagger
- * /health:
- *   get:
- *     summary: Health check endpoint
- *     description: Returns a simple health check response
- *     responses:
- *       200:
- *         description: Server is healthy
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "OK"
- *                 message:
- *                   type: string
- *                   example: "Server is running"
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    message: 'Server is running',
-    timestamp: new Date().toISOString()
-  });
-});
+// Apply authentication to all API routes, then check requests against the
+// documented schemas; with VALIDATE_RESPONSES also check responses so the docs
+// cannot drift from the code. Validation comes second so that callers without
+// a valid key get 401 or 403 and learn nothing about the schemas.
+app.use('/api', validateToken, createOpenApiValidator(specs, { validateResponses: settings.server.validateResponses }));
+
+app.use('/api', apiRoutes);
+// Export must be matched before /records/:id in recordsRoutes
+app.use('/api', recordExportRoutes);
+app.use('/api', recordsRoutes);
+app.use('/api', patientsRoutes);
+app.use('/api', recordHistoryRoutes);
+app.use('/api', apiKeysRoutes);
+app.use('/api', summariesRoutes);
+app.use('/api', recordStatusRoutes);
+app.use('/api', importsRoutes);
+app.use('/api', terminologyRoutes);
+app.use('/api', webhooksRoutes);
+app.use('/api', eventsRoutes);
+app.use('/api', deidentifyRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', rateLimitsRoutes);
+
+// FHIR R4 facade; the router authenticates itself so errors come back as OperationOutcomes
+app.use('/fhir', fhirRoutes);
+
+// Health probes and Prometheus metrics, outside /api and without authentication
+app.use(healthRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
     message: 'Welcome to ElevAid API',
-    documentation: `/api-docs`,
-    health: `/health`
+    documentation: settings.server.swagger ? '/api-docs' : undefined,
+    health: `/health`,
+    liveness: '/health/live',
+    readiness: '/health/ready',
+    metrics: '/metrics'
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: 'body / is not valid JSON',
+      errors: [{ location: 'body', pointer: '/', message: 'is not valid JSON' }]
+    });
+  }
+
   console.error(err.stack);
   res.status(500).json({
     error: 'Something went wrong!',
@@ -144,17 +264,40 @@ app.use('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server is running on http://localhost:${PORT}`);
-  console.log(`📚 API Documentation available at http://localhost:${PORT}/api-docs`);
-  console.log(`💚 Health check available at http://localhost:${PORT}/health`);
+  if (settings.server.swagger) {
+    console.log(`📚 API Documentation available at http://localhost:${PORT}/api-docs`);
+  }
+  console.log(`💚 Health checks available at http://localhost:${PORT}/health/live and /health/ready`);
+  console.log(`📈 Prometheus metrics available at http://localhost:${PORT}/metrics`);
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down server...');
-  db.close();
-  process.exit(0);
-});
+// Send queued webhook deliveries in the background
+startWebhookDispatcher();
+
+// Graceful shutdown: stop accepting connections, let requests in flight finish,
+// then close the database. Connections still open after the grace period are cut.
+const SHUTDOWN_GRACE_MS = 10000;
+
+const shutdown = (signal) => {
+  console.log(`\n🛑 ${signal} received, shutting down server...`);
+
+  stopWebhookDispatcher();
+  // Streams never finish on their own; clients reconnect and resume elsewhere
+  closeEventStreams();
+
+  const finish = () => {
+    closeDatabase();
+    process.exit(0);
+  };
+
+  server.close(finish);
+  server.closeIdleConnections();
+  setTimeout(finish, SHUTDOWN_GRACE_MS).unref();
+};
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
 
 export { app, db }; 
\ No newline at end of file
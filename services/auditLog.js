@@ -0,0 +1,187 @@
+// Hash-chained, append-only access audit log (see config/audit.js for what is
+// recorded). Each entry's hash covers its own fields and the previous entry's
+// hash, so changing, removing or reordering an entry breaks the chain from that
+// point on; verifyAuditChain reports the first break. Removing the newest
+// entries cannot be detected from the chain alone, so compare the head hash
+// with one kept elsewhere.
+
+import crypto from 'crypto';
+import { prepareCached } from '../config/database.js';
+import { getFieldCipher } from '../config/encryption.js';
+
+export const AUDIT_OUTCOMES = ['success', 'denied', 'failed', 'error'];
+
+// prev_hash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by each entry's hash, in hashing order
+const HASHED_FIELDS = [
+  'occurred_at', 'principal_key_id', 'principal_name', 'principal_role', 'ip',
+  'method', 'route', 'path', 'record_ids', 'patient_id', 'status_code', 'outcome', 'details'
+];
+
+// Columns of a stored entry, in export order
+export const AUDIT_ENTRY_FIELDS = ['id', ...HASHED_FIELDS, 'prev_hash', 'hash'];
+
+const AUDIT_COLUMNS = AUDIT_ENTRY_FIELDS.map((field) => `a.${field}`).join(', ');
+
+const VERIFY_BATCH_SIZE = 1000;
+
+// Search text is PHI, so entries keep a keyed digest of it instead of the text.
+// Case and surrounding spaces are ignored, as the search itself ignores them.
+const AUDIT_QUERY_PURPOSE = 'audit-query';
+const normalizeQuery = (text) => text.trim().toLowerCase();
+
+export const hashAuditQuery = (text) => getFieldCipher().hmac(AUDIT_QUERY_PURPOSE, normalizeQuery(text));
+
+// SHA-256 over the previous hash and the entry's stored field values
+export const hashAuditEntry = (prevHash, entry) => {
+  const values = [prevHash, ...HASHED_FIELDS.map((field) => entry[field] ?? null)];
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+};
+
+// Stored row -> API shape, with the JSON columns parsed
+export const formatAuditEntry = (row) => ({
+  ...row,
+  record_ids: JSON.parse(row.record_ids),
+  details: row.details ? JSON.parse(row.details) : null
+});
+
+// Append an entry and index it by record. `entry` holds the HASHED_FIELDS with
+// record_ids as an array and details as an object or null. Returns the entry ID.
+export const appendAuditEntry = (db, entry) => {
+  const recordIds = [...new Set(entry.record_ids ?? [])];
+  const row = {
+    ...Object.fromEntries(HASHED_FIELDS.map((field) => [field, entry[field] ?? null])),
+    record_ids: JSON.stringify(recordIds),
+    details: entry.details ? JSON.stringify(entry.details) : null
+  };
+
+  // Immediate, so no other connection can append between reading the head and inserting
+  return db.transaction(() => {
+    const head = prepareCached(db, 'SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1').get();
+    const prevHash = head ? head.hash : GENESIS_HASH;
+
+    const id = Number(prepareCached(db, `
+      INSERT INTO audit_log (${HASHED_FIELDS.join(', ')}, prev_hash, hash)
+      VALUES (${HASHED_FIELDS.map((field) => `@${field}`).join(', ')}, @prev_hash, @hash)
+    `).run({ ...row, prev_hash: prevHash, hash: hashAuditEntry(prevHash, row) }).lastInsertRowid);
+
+    const index = prepareCached(db, 'INSERT INTO audit_log_records (record_id, audit_id) VALUES (?, ?)');
+    for (const recordId of recordIds) {
+      index.run(recordId, id);
+    }
+    return id;
+  }).immediate();
+};
+
+// WHERE clause for the audit log filters
+const buildAuditFilters = ({ recordId, principal, patientId, query, from, to, beforeId }) => {
+  const conditions = [];
+  const params = {};
+
+  if (recordId) {
+    conditions.push('a.id IN (SELECT audit_id FROM audit_log_records WHERE record_id = @recordId)');
+    params.recordId = recordId;
+  }
+  if (principal) {
+    conditions.push('a.principal_name = @principal');
+    params.principal = principal;
+  }
+  if (patientId) {
+    conditions.push('a.patient_id = @patientId');
+    params.patientId = patientId;
+  }
+  if (query) {
+    conditions.push("json_extract(a.details, '$.query_hmac') IN (SELECT value FROM json_each(@queryHmacs))");
+    params.queryHmacs = JSON.stringify(getFieldCipher().hmacCandidates(AUDIT_QUERY_PURPOSE, normalizeQuery(query)));
+  }
+  if (from) {
+    conditions.push('a.occurred_at >= @from');
+    params.from = from;
+  }
+  if (to) {
+    conditions.push('a.occurred_at <= @to');
+    params.to = to;
+  }
+  if (beforeId) {
+    conditions.push('a.id < @beforeId');
+    params.beforeId = beforeId;
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+};
+
+// One page of entries, newest first
+export const listAuditEntries = (db, { limit, ...filters }) => {
+  const { where, params } = buildAuditFilters(filters);
+
+  return prepareCached(db, `
+    SELECT ${AUDIT_COLUMNS}
+    FROM audit_log a
+    ${where}
+    ORDER BY a.id DESC
+    LIMIT @limit
+  `).all({ ...params, limit }).map(formatAuditEntry);
+};
+
+// Iterator over every matching entry, oldest first, as stored
+export const iterateAuditEntries = (db, filters) => {
+  const { where, params } = buildAuditFilters(filters);
+
+  return db.prepare(`
+    SELECT ${AUDIT_COLUMNS}
+    FROM audit_log a
+    ${where}
+    ORDER BY a.id
+  `).iterate(params);
+};
+
+// Recompute the chain from the first entry and check the record index against
+// each entry. Returns { valid, checked, head_hash } and, when a check fails,
+// the ID of the first bad entry and what is wrong with it.
+export const verifyAuditChain = (db) => {
+  const page = db.prepare(`SELECT ${AUDIT_COLUMNS} FROM audit_log a WHERE a.id > ? ORDER BY a.id LIMIT ?`);
+  const indexed = db.prepare('SELECT record_id FROM audit_log_records WHERE audit_id = ? ORDER BY record_id');
+  const { orphans } = db.prepare(
+    'SELECT COUNT(*) AS orphans FROM audit_log_records r LEFT JOIN audit_log a ON a.id = r.audit_id WHERE a.id IS NULL'
+  ).get();
+
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+  let afterId = 0;
+
+  const failure = (entry, problem) => ({ valid: false, checked, head_hash: prevHash, first_invalid_id: entry.id, problem });
+
+  for (;;) {
+    const rows = page.all(afterId, VERIFY_BATCH_SIZE);
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const entry of rows) {
+      if (entry.prev_hash !== prevHash) {
+        return failure(entry, 'prev_hash does not match the hash of the entry before it; an entry was removed or reordered');
+      }
+      if (entry.hash !== hashAuditEntry(prevHash, entry)) {
+        return failure(entry, 'hash does not match the entry; it was modified');
+      }
+
+      const expected = [...JSON.parse(entry.record_ids)].sort((a, b) => a - b);
+      const actual = indexed.all(entry.id).map((row) => row.record_id);
+      if (expected.join(',') !== actual.join(',')) {
+        return failure(entry, 'record index does not match the entry\'s record_ids');
+      }
+
+      prevHash = entry.hash;
+      checked += 1;
+    }
+    afterId = rows[rows.length - 1].id;
+  }
+
+  if (orphans > 0) {
+    return { valid: false, checked, head_hash: prevHash, first_invalid_id: null, problem: `${orphans} record index row(s) point to no entry` };
+  }
+
+  return { valid: true, checked, head_hash: prevHash };
+};
@@ -0,0 +1,206 @@
+// PHI de-identification. Notes are scanned with the rules in rules.js and every
+// detected value is replaced with a placeholder such as [NAME_1]. The same
+// value always gets the same placeholder within a text, so a summary written
+// from the de-identified note can be re-identified by swapping them back.
+// Everything runs locally; nothing leaves the process.
+
+import { readFileSync } from 'fs';
+import { prepareCached } from '../../config/database.js';
+import { ROLES, hasRole } from '../../config/auth.js';
+import { DEFAULT_RULES, BUNDLED_NAMES_FILE, parseDictionary, loadRulesFile } from './rules.js';
+
+const PLACEHOLDER_PATTERN = /\[([A-Za-z_]+?)_(\d+)\]/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One regular expression matching any of the terms as whole words
+const dictionaryPattern = (terms, flags) => {
+  const alternatives = [...new Set(terms)]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  return new RegExp(`(?<![\\w-])(?:${alternatives})(?![\\w-])`, flags);
+};
+
+// Every match of every rule as { start, end, category }
+const findMatches = (text, rules) => {
+  const matches = [];
+
+  for (const { category, pattern, group } of rules) {
+    const regex = new RegExp(pattern.source, pattern.flags.includes('d') ? pattern.flags : `${pattern.flags}d`);
+
+    for (const match of text.matchAll(regex)) {
+      const [start, end] = group ? match.indices[group] ?? [] : match.indices[0];
+      if (start !== undefined && end > start) {
+        matches.push({ start, end, category });
+      }
+    }
+  }
+
+  return matches;
+};
+
+// Keep the longest match wherever matches overlap; for equal lengths the
+// earlier rule wins because the sort is stable
+const resolveOverlaps = (matches) => {
+  const ordered = [...matches].sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+
+  for (const match of ordered) {
+    const last = kept[kept.length - 1];
+    if (!last || match.start >= last.end) {
+      kept.push(match);
+    } else if (match.end - match.start > last.end - last.start) {
+      kept[kept.length - 1] = match;
+    }
+  }
+
+  return kept;
+};
+
+// Build a de-identifier from the built-in rules, the bundled name list and the
+// optional rules file. Returns { deidentify(text, { terms }), ruleCount }.
+export const createDeidentifier = ({ rulesFile, namesFile = BUNDLED_NAMES_FILE } = {}) => {
+  const custom = rulesFile ? loadRulesFile(rulesFile) : { disable: [], rules: [], dictionary: {} };
+
+  const dictionary = { NAME: parseDictionary(readFileSync(namesFile, 'utf8')) };
+  for (const [category, terms] of Object.entries(custom.dictionary)) {
+    dictionary[category] = [...(dictionary[category] ?? []), ...terms];
+  }
+
+  const rules = [
+    ...DEFAULT_RULES,
+    ...custom.rules,
+    // Dictionary terms match with the capitalization they are listed with
+    ...Object.entries(dictionary)
+      .filter(([, terms]) => terms.length > 0)
+      .map(([category, terms]) => ({ category, pattern: dictionaryPattern(terms, 'g') }))
+  ].filter((rule) => !custom.disable.includes(rule.category));
+
+  return {
+    ruleCount: rules.length,
+
+    // Replace PHI in text. `terms` adds known values for this text only, such
+    // as the patient's own name, matched regardless of case. Returns the
+    // de-identified text, the placeholder-to-value map and how many values of
+    // each category were replaced.
+    deidentify(text, { terms = [] } = {}) {
+      const termRules = terms
+        .filter(({ value }) => typeof value === 'string' && value.trim().length > 1)
+        .map(({ category, value }) => ({ category, pattern: dictionaryPattern([value.trim()], 'gi') }));
+
+      const matches = resolveOverlaps(findMatches(text, [...termRules, ...rules]));
+
+      const placeholders = {};
+      const assigned = new Map();
+      const counters = {};
+      const categories = {};
+      let result = '';
+      let position = 0;
+
+      for (const { start, end, category } of matches) {
+        const value = text.slice(start, end);
+        const key = `${category}:${value.toLowerCase()}`;
+
+        let placeholder = assigned.get(key);
+        if (!placeholder) {
+          counters[category] = (counters[category] ?? 0) + 1;
+          placeholder = `[${category}_${counters[category]}]`;
+          assigned.set(key, placeholder);
+          placeholders[placeholder] = value;
+        }
+
+        categories[category] = (categories[category] ?? 0) + 1;
+        result += text.slice(position, start) + placeholder;
+        position = end;
+      }
+
+      return {
+        text: result + text.slice(position),
+        placeholders,
+        categories,
+        total: matches.length
+      };
+    }
+  };
+};
+
+// Put the original values back in place of the placeholders. Placeholders are
+// matched regardless of case, since summarizers may change it.
+export const reidentify = (text, placeholders) => {
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, category, number) => {
+    return placeholders[`[${category.toUpperCase()}_${number}]`] ?? placeholder;
+  });
+};
+
+let deidentifier;
+
+// The de-identifier configured through DEID_RULES_FILE, created on first use
+export const getDeidentifier = () => {
+  if (!deidentifier) {
+    deidentifier = createDeidentifier({ rulesFile: process.env.DEID_RULES_FILE || undefined });
+  }
+  return deidentifier;
+};
+
+// Least privileged role that sees re-identified summaries (DEID_REVEAL_ROLE)
+export const getRevealRole = () => {
+  const role = process.env.DEID_REVEAL_ROLE || 'clinician';
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown DEID_REVEAL_ROLE "${role}". Expected one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+};
+
+// Whether the principal sees original notes and re-identified summaries
+export const canRevealPhi = (principal) => hasRole(principal, getRevealRole());
+
+// The patient's own name and MRN, which are PHI wherever they appear in their notes
+export const patientTerms = ({ first_name, last_name, mrn }) => [
+  { category: 'NAME', value: first_name },
+  { category: 'NAME', value: last_name },
+  { category: 'MRN', value: mrn }
+];
+
+// The terms of a stored patient, or undefined when there is no such patient
+export const getPatientTerms = (db, patientId) => {
+  const patient = prepareCached(db, 'SELECT first_name, last_name, mrn FROM patients WHERE id = ?').get(patientId);
+  return patient ? patientTerms(patient) : undefined;
+};
+
+// De-identify a record's note with its patient's details as extra terms
+export const deidentifyNote = (db, record) => {
+  const terms = record.patient_id ? getPatientTerms(db, record.patient_id) ?? [] : [];
+  return getDeidentifier().deidentify(record.note ?? '', { terms });
+};
+
+// A function returning a record as the principal may see it. Below
+// DEID_REVEAL_ROLE the note and a search snippet, when present, are
+// de-identified with the record's patient's details; from that role up records
+// are returned unchanged. Patient details are looked up once per patient.
+export const createRecordRedactor = (db, principal) => {
+  if (canRevealPhi(principal)) {
+    return (record) => record;
+  }
+
+  const termsByPatient = new Map();
+  const patientTerms = (patientId) => {
+    if (!patientId) {
+      return [];
+    }
+    if (!termsByPatient.has(patientId)) {
+      termsByPatient.set(patientId, getPatientTerms(db, patientId) ?? []);
+    }
+    return termsByPatient.get(patientId);
+  };
+
+  return (record) => {
+    const redacted = { ...record };
+    for (const field of ['note', 'snippet']) {
+      if (typeof record[field] === 'string') {
+        redacted[field] = getDeidentifier().deidentify(record[field], { terms: patientTerms(record.patient_id) }).text;
+      }
+    }
+    return redacted;
+  };
+};
@@ -0,0 +1,111 @@
+// Detection rules for PHI de-identification. Every rule is a regular
+// expression tagged with a category; dictionaries add exact terms (names by
+// default). DEID_RULES_FILE points to a JSON file that can disable built-in
+// categories and add patterns and dictionary terms:
+//
+//   {
+//     "disable": ["AGE"],
+//     "patterns": [{ "category": "MRN", "pattern": "\\bH\\d{7}\\b", "flags": "i" }],
+//     "dictionary": { "LOCATION": ["St. Mary's Hospital"] }
+//   }
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Common first names and surnames, one per line
+export const BUNDLED_NAMES_FILE = join(__dirname, '..', '..', 'data', 'phi-names.txt');
+
+const CATEGORY_PATTERN = /^[A-Z][A-Z_]*$/;
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle|Highway|Hwy';
+
+// Only abbreviated suffixes take their trailing period, so a sentence's full stop stays in the text
+const STREET_ABBREVIATIONS = 'St|Ave|Rd|Blvd|Ln|Dr|Ct|Pl|Hwy';
+
+// Built-in rules, in priority order: when two matches of the same length
+// overlap, the earlier rule wins. `group` replaces only that capture group.
+export const DEFAULT_RULES = [
+  { category: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { category: 'SSN', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { category: 'PHONE', pattern: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g },
+  { category: 'MRN', pattern: /\b(?:MRN|medical record (?:number|no\.?))\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})/gi, group: 1 },
+  { category: 'DATE', pattern: /\b\d{4}-\d{2}-\d{2}\b/g },
+  { category: 'DATE', pattern: /\b\d{1,2}\/\d{1,2}\/(?:\d{4}|\d{2})\b/g },
+  { category: 'DATE', pattern: new RegExp(`\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`, 'g') },
+  { category: 'DATE', pattern: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})\\.?,?\\s+\\d{4}\\b`, 'g') },
+  {
+    category: 'ADDRESS',
+    pattern: new RegExp(
+      `\\b\\d{1,6}\\s+(?:[A-Z][a-z]+\\s+){1,3}(?:${STREET_SUFFIXES})\\b(?:(?<=\\b(?:${STREET_ABBREVIATIONS}))\\.)?(?:,?\\s*(?:Apt|Apartment|Suite|Unit|#)\\.?\\s*[\\w-]+)?`,
+      'g'
+    )
+  },
+  { category: 'ADDRESS', pattern: /\b[A-Z][a-z]+(?:\s[A-Z][a-z]+)*,\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/g },
+  // HIPAA treats ages over 89 as identifying
+  { category: 'AGE', pattern: /\b(?:9\d|1[0-1]\d)(?=[\s-]*(?:years?[\s-]old|y\/?o|yo)\b)/gi },
+  { category: 'NAME', pattern: /\b(?:Mr|Mrs|Ms|Miss|Dr|Prof)\.?\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)/g, group: 1 }
+];
+
+// Terms from a dictionary file: one per line, # starts a comment
+export const parseDictionary = (text) => {
+  return text.split(/\r?\n/)
+    .map((line) => line.replace(/#.*/, '').trim())
+    .filter((line) => line !== '');
+};
+
+const checkCategory = (category, where) => {
+  if (typeof category !== 'string' || !CATEGORY_PATTERN.test(category)) {
+    throw new Error(`${where}: category must be upper-case letters and underscores, got ${JSON.stringify(category)}`);
+  }
+};
+
+// Read and check a rules file. Returns { disable, rules, dictionary } with
+// compiled patterns; throws with the file name and the problem otherwise.
+export const loadRulesFile = (path) => {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`DEID_RULES_FILE ${path} could not be read: ${error.message}`);
+  }
+
+  const disable = config.disable ?? [];
+  if (!Array.isArray(disable)) {
+    throw new Error(`DEID_RULES_FILE ${path}: disable must be an array of categories`);
+  }
+  disable.forEach((category) => checkCategory(category, `DEID_RULES_FILE ${path} disable`));
+
+  const rules = (config.patterns ?? []).map((rule, index) => {
+    const where = `DEID_RULES_FILE ${path} patterns[${index}]`;
+    checkCategory(rule.category, where);
+
+    let pattern;
+    try {
+      pattern = new RegExp(rule.pattern, `${(rule.flags ?? '').replace(/[gd]/g, '')}g`);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+    if (rule.group !== undefined && !Number.isInteger(rule.group)) {
+      throw new Error(`${where}: group must be an integer`);
+    }
+
+    return { category: rule.category, pattern, group: rule.group };
+  });
+
+  const dictionary = {};
+  for (const [category, terms] of Object.entries(config.dictionary ?? {})) {
+    checkCategory(category, `DEID_RULES_FILE ${path} dictionary`);
+    if (!Array.isArray(terms) || terms.some((term) => typeof term !== 'string' || term.trim() === '')) {
+      throw new Error(`DEID_RULES_FILE ${path}: dictionary.${category} must be an array of non-empty strings`);
+    }
+    dictionary[category] = terms.map((term) => term.trim());
+  }
+
+  return { disable, rules, dictionary };
+};
@@ -0,0 +1,125 @@
+// Server-Sent Events stream of the record event log.
+// Each open stream keeps a cursor into record_events and sends every matching
+// event after it, so a client reconnecting with Last-Event-ID misses nothing.
+// Comment lines are sent as heartbeats to keep proxies from closing idle streams.
+
+import { getDatabase } from '../config/database.js';
+import { onRecordEvents, getLatestRecordEventId, listRecordEvents } from './recordEvents.js';
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// How long browsers wait before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 3000;
+
+// Events read from the log at a time while catching up
+const BATCH_SIZE = 200;
+
+const openStreams = new Set();
+
+// Number of streams currently open with an API key
+export const countOpenStreams = (keyId) => {
+  let count = 0;
+  for (const stream of openStreams) {
+    if (stream.keyId === keyId) {
+      count++;
+    }
+  }
+  return count;
+};
+
+const formatEvent = (event) => {
+  const payload = JSON.stringify({ id: event.id, type: event.type, created_at: event.created_at, data: event.data });
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${payload}\n\n`;
+};
+
+// Resolves once the client has taken the buffered data, or has gone away
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Start streaming events after `afterId` that match `filters`
+// ({ types, statuses, patientId }) until the client disconnects.
+export const openEventStream = (req, res, { keyId, afterId, filters }) => {
+  const db = getDatabase();
+  const stream = { keyId, res };
+  let cursor = afterId;
+  let sending = false;
+  let sendAgain = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  // Send everything after the cursor. Calls made while a send is running are
+  // folded into one more pass, so events go out in order and only once.
+  const send = async () => {
+    if (sending) {
+      sendAgain = true;
+      return;
+    }
+    sending = true;
+
+    try {
+      do {
+        sendAgain = false;
+
+        for (;;) {
+          const upToId = getLatestRecordEventId(db);
+          const events = listRecordEvents(db, { afterId: cursor, upToId, ...filters, limit: BATCH_SIZE });
+
+          let flushed = true;
+          for (const event of events) {
+            flushed = res.write(formatEvent(event));
+          }
+
+          // Filtered-out events up to upToId need not be read again
+          cursor = events.length === BATCH_SIZE ? events[events.length - 1].id : upToId;
+
+          if (!flushed) {
+            await waitForDrain(res);
+          }
+          if (res.writableEnded || res.destroyed || events.length < BATCH_SIZE) {
+            break;
+          }
+        }
+      } while (sendAgain && !res.writableEnded && !res.destroyed);
+
+    } catch (error) {
+      console.error('Error streaming record events:', error);
+      res.end();
+    } finally {
+      sending = false;
+    }
+  };
+
+  const unsubscribe = onRecordEvents(send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  openStreams.add(stream);
+  req.on('close', () => {
+    openStreams.delete(stream);
+    unsubscribe();
+    clearInterval(heartbeat);
+  });
+
+  send();
+};
+
+// End every open stream, for example at shutdown. Clients reconnect with
+// Last-Event-ID and pick up where they left off.
+export const closeEventStreams = () => {
+  for (const stream of openStreams) {
+    stream.res.end();
+  }
+};
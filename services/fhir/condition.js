@@ -0,0 +1,170 @@
+// Mapping between records and FHIR R4 Condition resources.
+// diagnosis <-> code.text, code_system/code <-> code.coding, status <-> clinicalStatus,
+// note <-> note[].text, patient_id <-> subject (Patient/<id>), created_at -> recordedDate.
+
+import { RECORD_STATUSES } from '../recordStatus.js';
+import { CODE_SYSTEMS, normalizeCode } from '../terminology.js';
+import { RECORD_TEXT_MAX_LENGTHS } from '../recordInput.js';
+import { isNonEmptyString } from '../../utils/validation.js';
+
+export const CLINICAL_STATUS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+export const CONDITION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-category';
+
+// Raised when a submitted resource cannot be turned into a record.
+// `issues` are OperationOutcome issues, one per problem found.
+export class FhirValidationError extends Error {
+  constructor(issues) {
+    super(issues.map((issue) => issue.diagnostics).join('; '));
+    this.name = 'FhirValidationError';
+    this.issues = issues;
+  }
+}
+
+// SQLite timestamps are UTC "YYYY-MM-DD HH:MM:SS"; FHIR wants an instant
+export const toFhirInstant = (timestamp) => {
+  return timestamp ? `${timestamp.replace(' ', 'T')}Z` : undefined;
+};
+
+export const operationOutcome = (issues) => ({
+  resourceType: 'OperationOutcome',
+  issue: issues
+});
+
+export const issue = (code, diagnostics, expression) => ({
+  severity: 'error',
+  code,
+  diagnostics,
+  ...(expression ? { expression: [expression] } : {})
+});
+
+// Build a Condition from a record row
+export const recordToCondition = (record) => {
+  const condition = {
+    resourceType: 'Condition',
+    id: String(record.id),
+    meta: { lastUpdated: toFhirInstant(record.updated_at) },
+    clinicalStatus: {
+      coding: [{ system: CLINICAL_STATUS_SYSTEM, code: record.status }]
+    },
+    category: [{
+      coding: [{ system: CONDITION_CATEGORY_SYSTEM, code: 'problem-list-item', display: 'Problem List Item' }]
+    }],
+    code: { text: record.diagnosis },
+    subject: { reference: `Patient/${record.patient_id}` },
+    recordedDate: toFhirInstant(record.created_at)
+  };
+
+  if (record.code) {
+    condition.code.coding = [{
+      system: CODE_SYSTEMS[record.code_system].uri,
+      code: record.code,
+      display: record.diagnosis
+    }];
+  }
+
+  if (record.note) {
+    condition.note = [{ text: record.note }];
+  }
+
+  return condition;
+};
+
+// Read the clinical status code from a CodeableConcept. Codings from other
+// systems are ignored; a coding without a system is accepted.
+const readClinicalStatus = (clinicalStatus) => {
+  const codings = Array.isArray(clinicalStatus?.coding) ? clinicalStatus.coding : [];
+  const coding = codings.find((entry) => entry && (entry.system === undefined || entry.system === CLINICAL_STATUS_SYSTEM));
+  return coding?.code;
+};
+
+// Diagnosis text: code.text, or the display of the first coding that has one
+const readDiagnosis = (code) => {
+  if (isNonEmptyString(code?.text)) {
+    return code.text.trim();
+  }
+
+  const codings = Array.isArray(code?.coding) ? code.coding : [];
+  const coding = codings.find((entry) => isNonEmptyString(entry?.display));
+  return coding ? coding.display.trim() : undefined;
+};
+
+// The first coding from a supported code system, as { codeSystem, code }.
+// code is null when the coding's code is malformed.
+const readCoding = (code) => {
+  const codings = Array.isArray(code?.coding) ? code.coding : [];
+  for (const entry of codings) {
+    const codeSystem = Object.keys(CODE_SYSTEMS).find((name) => CODE_SYSTEMS[name].uri === entry?.system);
+    if (codeSystem) {
+      return { codeSystem, code: normalizeCode(entry.code) };
+    }
+  }
+  return undefined;
+};
+
+// Validate a submitted Condition and return the record fields it describes:
+// { patientId, diagnosis, status, note, codeSystem, code }. Throws FhirValidationError.
+// Whether the code exists in the terminology is left to the caller.
+export const conditionToRecord = (resource) => {
+  if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+    throw new FhirValidationError([issue('structure', 'Request body must be a FHIR Condition resource')]);
+  }
+
+  if (resource.resourceType !== 'Condition') {
+    throw new FhirValidationError([
+      issue('invalid', `resourceType must be "Condition", got ${JSON.stringify(resource.resourceType ?? null)}`, 'resourceType')
+    ]);
+  }
+
+  const issues = [];
+
+  const status = readClinicalStatus(resource.clinicalStatus);
+  if (status === undefined) {
+    issues.push(issue('required', `clinicalStatus is required, coded with ${CLINICAL_STATUS_SYSTEM}`, 'Condition.clinicalStatus'));
+  } else if (!RECORD_STATUSES.includes(status)) {
+    issues.push(issue('code-invalid', `clinicalStatus must be one of: ${RECORD_STATUSES.join(', ')}`, 'Condition.clinicalStatus'));
+  }
+
+  // With a coding the diagnosis text can come from the terminology instead
+  const coding = readCoding(resource.code);
+  if (coding && !coding.code) {
+    issues.push(issue('code-invalid', `code.coding must hold a valid ${coding.codeSystem} code`, 'Condition.code.coding'));
+  }
+
+  const diagnosis = readDiagnosis(resource.code) ?? null;
+  if (!diagnosis && !coding) {
+    issues.push(issue('required', 'code.text, a code.coding display or an ICD-10-CM coding is required', 'Condition.code'));
+  } else if (diagnosis?.length > RECORD_TEXT_MAX_LENGTHS.diagnosis) {
+    issues.push(issue('too-long', `code.text must be at most ${RECORD_TEXT_MAX_LENGTHS.diagnosis} characters`, 'Condition.code.text'));
+  }
+
+  const match = typeof resource.subject?.reference === 'string'
+    ? /^Patient\/(\d+)$/.exec(resource.subject.reference.trim())
+    : null;
+  const patientId = match ? parseInt(match[1], 10) : null;
+  if (!patientId) {
+    issues.push(issue('required', 'subject.reference must reference a patient as Patient/<id>', 'Condition.subject'));
+  }
+
+  // Records always carry a note; several annotations are joined in order
+  const notes = Array.isArray(resource.note)
+    ? resource.note.filter((annotation) => isNonEmptyString(annotation?.text)).map((annotation) => annotation.text.trim())
+    : [];
+  if (notes.length === 0) {
+    issues.push(issue('required', 'At least one note with text is required', 'Condition.note'));
+  } else if (notes.join('\n\n').length > RECORD_TEXT_MAX_LENGTHS.note) {
+    issues.push(issue('too-long', `note text must be at most ${RECORD_TEXT_MAX_LENGTHS.note} characters in total`, 'Condition.note'));
+  }
+
+  if (issues.length > 0) {
+    throw new FhirValidationError(issues);
+  }
+
+  return {
+    patientId,
+    diagnosis,
+    status,
+    note: notes.join('\n\n'),
+    codeSystem: coding?.codeSystem ?? null,
+    code: coding?.code ?? null
+  };
+};
@@ -0,0 +1,89 @@
+// Readiness checks behind /health/ready. Each check reports pass or fail, how
+// long it took and, on failure, why; the server is ready when all of them pass.
+
+import { getDatabase, prepareCached } from '../config/database.js';
+import { loadMigrations, getSchemaStatus } from '../config/migrations.js';
+import { getSummaryProvider } from './summary/index.js';
+
+// Probes run every few seconds; the AI provider is asked at most this often
+// and the last answer is reported in between
+const PROVIDER_CHECK_INTERVAL_MS = 30000;
+
+// How long the database check waits for another writer before failing, rather
+// than the connection's usual busy timeout
+const DATABASE_CHECK_BUSY_TIMEOUT_MS = 250;
+
+let migrations;
+let providerCheck;
+
+// Run a check and time it. The check returns extra fields for its report or throws.
+const runCheck = async (check) => {
+  const start = process.hrtime.bigint();
+  const latency = () => Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+
+  try {
+    const details = await check();
+    return { status: 'pass', latency_ms: latency(), ...details };
+  } catch (error) {
+    return { status: 'fail', latency_ms: latency(), error: error.message };
+  }
+};
+
+// A committed write on the shared connection, which fails when the database
+// file is read-only, the disk is full or another writer holds the lock
+const checkDatabase = () => runCheck(() => {
+  const db = getDatabase();
+  const busyTimeout = db.pragma('busy_timeout', { simple: true });
+
+  db.pragma(`busy_timeout = ${DATABASE_CHECK_BUSY_TIMEOUT_MS}`);
+  try {
+    prepareCached(db, `
+      INSERT INTO health_heartbeat (id, checked_at) VALUES (1, CURRENT_TIMESTAMP)
+      ON CONFLICT (id) DO UPDATE SET checked_at = excluded.checked_at
+    `).run();
+  } finally {
+    db.pragma(`busy_timeout = ${busyTimeout}`);
+  }
+});
+
+// Every migration in migrations/ is applied and none is unknown to this code
+const checkMigrations = () => runCheck(async () => {
+  migrations ??= await loadMigrations();
+  const { current, latest, pending, unknown } = getSchemaStatus(getDatabase(), migrations);
+
+  if (unknown.length > 0) {
+    throw new Error(`Database schema version ${current} is newer than this code (${latest})`);
+  }
+  if (pending.length > 0) {
+    throw new Error(`${pending.length} migration(s) pending; run "npm run migrate"`);
+  }
+  return { version: current };
+});
+
+// The configured summary provider answers; rechecked once the last result is stale
+const checkAiProvider = async () => {
+  if (!providerCheck || Date.now() - providerCheck.checkedAt >= PROVIDER_CHECK_INTERVAL_MS) {
+    providerCheck = {
+      checkedAt: Date.now(),
+      result: runCheck(() => getSummaryProvider().checkHealth())
+    };
+  }
+
+  const { checkedAt, result } = providerCheck;
+  return { ...(await result), provider: getSummaryProvider().name, checked_at: new Date(checkedAt).toISOString() };
+};
+
+// Run every readiness check at once. Returns { ready, checks }.
+export const checkReadiness = async () => {
+  const [database, migrationsCheck, aiProvider] = await Promise.all([
+    checkDatabase(),
+    checkMigrations(),
+    checkAiProvider()
+  ]);
+  const checks = { database, migrations: migrationsCheck, ai_provider: aiProvider };
+
+  return {
+    ready: Object.values(checks).every((check) => check.status === 'pass'),
+    checks
+  };
+};
@@ -0,0 +1,95 @@
+// Stored idempotency keys (see config/idempotency.js). A request with an
+// Idempotency-Key claims the key for its API key before it runs. Its response
+// is stored once it has been answered; when it fails or the client goes away
+// the claim is released, so a retry runs the request again. Stored responses
+// are encrypted like record text (see config/encryption.js).
+
+import crypto from 'crypto';
+import { prepareCached } from '../config/database.js';
+import { getFieldCipher } from '../config/encryption.js';
+
+// Fingerprint of a request: method, path with query string, and body. Import
+// bodies arrive as text, everything else as parsed JSON.
+export const hashIdempotentRequest = ({ method, url, body }) => crypto.createHash('sha256')
+  .update(`${method} ${url}\n`)
+  .update(typeof body === 'string' ? body : JSON.stringify(body ?? null))
+  .digest('hex');
+
+// Claim a key for a request. Returns { claimed: true }, or when the key is
+// already held and unexpired, { claimed: false, requestHash, response } where
+// response is null while the first request is still running.
+export const claimIdempotencyKey = (db, { keyId, key, requestHash, ttlMs }) => {
+  // Immediate, so two requests with the same key cannot both find it free
+  return db.transaction(() => {
+    const now = Date.now();
+    const existing = prepareCached(db, `
+      SELECT request_hash, status_code, response_body, location FROM idempotency_keys
+      WHERE principal_key_id = ? AND idempotency_key = ? AND expires_at > ?
+    `).get(keyId, key, now);
+
+    if (existing) {
+      return {
+        claimed: false,
+        requestHash: existing.request_hash,
+        response: existing.status_code === null ? null : {
+          statusCode: existing.status_code,
+          body: JSON.parse(getFieldCipher().decrypt('response_body', existing.response_body)),
+          location: existing.location
+        }
+      };
+    }
+
+    // An expired row for the key is replaced. A claim holds no response yet,
+    // so it counts as under the active key and the rotation command skips it.
+    prepareCached(db, `
+      INSERT INTO idempotency_keys (principal_key_id, idempotency_key, request_hash, created_at, expires_at, encryption_key_id)
+      VALUES (@keyId, @key, @requestHash, @now, @expiresAt, @encryptionKeyId)
+      ON CONFLICT (principal_key_id, idempotency_key) DO UPDATE SET
+        request_hash = excluded.request_hash,
+        status_code = NULL,
+        response_body = NULL,
+        location = NULL,
+        created_at = excluded.created_at,
+        expires_at = excluded.expires_at,
+        encryption_key_id = excluded.encryption_key_id
+    `).run({ keyId, key, requestHash, now, expiresAt: now + ttlMs, encryptionKeyId: getFieldCipher().activeKeyId });
+
+    return { claimed: true };
+  }).immediate();
+};
+
+// Store the response of a claimed key for replay, encrypted with the active key
+export const completeIdempotencyKey = (db, { keyId, key, statusCode, body, location }) => {
+  const cipher = getFieldCipher();
+
+  prepareCached(db, `
+    UPDATE idempotency_keys SET status_code = ?, response_body = ?, location = ?, encryption_key_id = ?
+    WHERE principal_key_id = ? AND idempotency_key = ?
+  `).run(
+    statusCode,
+    cipher.encrypt('response_body', JSON.stringify(body ?? null)),
+    location ?? null,
+    cipher.activeKeyId,
+    keyId,
+    key
+  );
+};
+
+// Give up a claim whose request produced no response worth replaying
+export const releaseIdempotencyKey = (db, { keyId, key }) => {
+  prepareCached(db, `
+    DELETE FROM idempotency_keys
+    WHERE principal_key_id = ? AND idempotency_key = ? AND status_code IS NULL
+  `).run(keyId, key);
+};
+
+// Drop expired keys. Returns the number removed.
+export const pruneExpiredIdempotencyKeys = (db, now = Date.now()) => {
+  return prepareCached(db, 'DELETE FROM idempotency_keys WHERE expires_at <= ?').run(now).changes;
+};
+
+// Claims left by requests that were running when the server stopped would
+// otherwise answer 409 until they expire. Returns the number released.
+export const releaseInterruptedIdempotencyKeys = (db) => {
+  return db.prepare('DELETE FROM idempotency_keys WHERE status_code IS NULL').run().changes;
+};
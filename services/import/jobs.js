@@ -0,0 +1,129 @@
+// Bulk import jobs. Rows are validated with the same rules as POST /upload-record
+// and processed in batches: each batch's valid rows are inserted in one
+// transaction and the job's progress is saved before the next batch starts,
+// so a running job can be polled through GET /imports/:id.
+
+import { getDatabase, prepareCached } from '../../config/database.js';
+import { validateRecordInput, resolveRecordCode, insertRecord } from '../recordInput.js';
+
+export const IMPORT_BATCH_SIZE = 500;
+
+const JOB_COLUMNS = `
+  id, status, format, dry_run, total_rows, processed_rows, valid_rows, inserted_rows,
+  error_rows, error, created_by, created_at, started_at, finished_at
+`;
+
+// Let other requests run between batches
+const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+const formatJob = (job) => ({ ...job, dry_run: job.dry_run === 1 });
+
+export const createImportJob = (db, { format, dryRun, totalRows, createdBy }) => {
+  const { lastInsertRowid } = prepareCached(db, `
+    INSERT INTO import_jobs (format, dry_run, total_rows, created_by, created_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `).run(format, dryRun ? 1 : 0, totalRows, createdBy);
+
+  return Number(lastInsertRowid);
+};
+
+// The job with its rejected rows in row order, or undefined
+export const getImportJob = (db, id) => {
+  const job = prepareCached(db, `SELECT ${JOB_COLUMNS} FROM import_jobs WHERE id = ?`).get(id);
+  if (!job) {
+    return undefined;
+  }
+
+  const errors = prepareCached(db, `
+    SELECT row, line, messages FROM import_job_errors WHERE job_id = ? ORDER BY row
+  `).all(id).map((error) => ({ row: error.row, line: error.line, errors: JSON.parse(error.messages) }));
+
+  return { ...formatJob(job), errors };
+};
+
+// Validate one parsed row. Returns the record to insert or the row's errors.
+const checkRow = (db, row, knownPatients) => {
+  if (row.errors) {
+    return { errors: row.errors };
+  }
+
+  const { errors, record: input } = validateRecordInput(row.data);
+  if (errors) {
+    return { errors };
+  }
+
+  if (!knownPatients.has(input.patientId)) {
+    if (!prepareCached(db, 'SELECT id FROM patients WHERE id = ?').get(input.patientId)) {
+      return { errors: [`Patient with ID ${input.patientId} does not exist`] };
+    }
+    knownPatients.add(input.patientId);
+  }
+
+  const { error, record } = resolveRecordCode(db, input);
+  return error ? { errors: [error] } : { record };
+};
+
+// Process every row of a job. Invalid rows are reported and skipped; valid rows
+// are inserted unless the job is a dry run. Resolves once the job has finished.
+export const runImportJob = async (jobId, rows) => {
+  const db = getDatabase();
+
+  try {
+    const job = prepareCached(db, 'SELECT dry_run, created_by FROM import_jobs WHERE id = ?').get(jobId);
+    prepareCached(db, "UPDATE import_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = ?").run(jobId);
+
+    const insertError = prepareCached(db, 'INSERT INTO import_job_errors (job_id, row, line, messages) VALUES (?, ?, ?, ?)');
+    const saveProgress = prepareCached(db, `
+      UPDATE import_jobs
+      SET processed_rows = processed_rows + @processed, valid_rows = valid_rows + @valid,
+          inserted_rows = inserted_rows + @inserted, error_rows = error_rows + @rejected
+      WHERE id = @jobId
+    `);
+    const knownPatients = new Set();
+
+    for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+      const batch = rows.slice(start, start + IMPORT_BATCH_SIZE);
+
+      db.transaction(() => {
+        let valid = 0;
+        let inserted = 0;
+
+        for (const row of batch) {
+          const { errors, record } = checkRow(db, row, knownPatients);
+          if (errors) {
+            insertError.run(jobId, row.row, row.line, JSON.stringify(errors));
+            continue;
+          }
+
+          valid++;
+          if (!job.dry_run) {
+            insertRecord(db, record, job.created_by);
+            inserted++;
+          }
+        }
+
+        saveProgress.run({ jobId, processed: batch.length, valid, inserted, rejected: batch.length - valid });
+      })();
+
+      await nextTick();
+    }
+
+    prepareCached(db, "UPDATE import_jobs SET status = 'completed', finished_at = CURRENT_TIMESTAMP WHERE id = ?").run(jobId);
+
+  } catch (error) {
+    console.error(`Import job ${jobId} failed:`, error);
+    prepareCached(db, `
+      UPDATE import_jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(error.message, jobId);
+  }
+};
+
+// Jobs run in the server process, so any job still queued or running at startup
+// was interrupted. Batches already committed stay imported.
+export const failInterruptedImportJobs = (db) => {
+  return prepareCached(db, `
+    UPDATE import_jobs
+    SET status = 'failed', error = 'Interrupted by a server restart', finished_at = CURRENT_TIMESTAMP
+    WHERE status IN ('queued', 'running')
+  `).run().changes;
+};
@@ -0,0 +1,140 @@
+// Parsers for bulk import files. Each returns a list of rows shaped
+// { row, line, data } or, when the row itself cannot be read, { row, line, errors }.
+// `row` counts data rows from 1; `line` is the line of the file the row starts on.
+
+import { RECORD_INPUT_FIELDS, RECORD_CODE_FIELDS } from '../recordInput.js';
+
+export const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+// Raised when the file as a whole cannot be read (no rows, bad header, ...)
+export class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+// Split CSV text (RFC 4180) into records of fields. Quoted fields may contain
+// commas, doubled quotes and line breaks. Returns [{ line, fields }].
+const readCsvRecords = (text) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // Skip blank lines
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportFormatError(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+// CSV with a header row naming the record fields. code_system and code columns
+// are optional; other extra columns are ignored.
+export const parseCsv = (text) => {
+  const [header, ...records] = readCsvRecords(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new ImportFormatError('File is empty');
+  }
+
+  const columns = header.fields.map((name) => name.trim().toLowerCase());
+  const missing = RECORD_INPUT_FIELDS.filter((field) => !columns.includes(field));
+  if (missing.length > 0) {
+    throw new ImportFormatError(`CSV header is missing column(s): ${missing.join(', ')}`);
+  }
+
+  return records.map(({ line, fields }, index) => {
+    const row = index + 1;
+    if (fields.length !== columns.length) {
+      return { row, line, errors: [`Expected ${columns.length} columns, found ${fields.length}`] };
+    }
+
+    const data = {};
+    for (const field of [...RECORD_INPUT_FIELDS, ...RECORD_CODE_FIELDS]) {
+      if (columns.includes(field)) {
+        data[field] = fields[columns.indexOf(field)];
+      }
+    }
+    return { row, line, data };
+  });
+};
+
+// One JSON object per line. Blank lines are skipped.
+export const parseNdjson = (text) => {
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (content.trim() === '') return;
+
+    const row = rows.length + 1;
+    const line = index + 1;
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      rows.push({ row, line, errors: ['Line is not valid JSON'] });
+      return;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      rows.push({ row, line, errors: ['Line must be a JSON object'] });
+      return;
+    }
+
+    rows.push({ row, line, data });
+  });
+
+  return rows;
+};
+
+export const parseImportFile = (format, text) => {
+  const rows = format === 'csv' ? parseCsv(text) : parseNdjson(text);
+  if (rows.length === 0) {
+    throw new ImportFormatError('File contains no rows');
+  }
+  return rows;
+};
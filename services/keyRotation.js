@@ -0,0 +1,104 @@
+// Re-encryption of stored text under the active field encryption key.
+// Rows remember the ID of the key their text is encrypted with; rows under an
+// older key, or written before encryption was enabled (no key ID), are
+// decrypted and encrypted again a batch at a time. Each batch runs in an
+// immediate transaction, so a write by the server cannot slip in between
+// reading a row and rewriting it.
+
+import { ENCRYPTED_RECORD_FIELDS, getFieldCipher } from '../config/encryption.js';
+
+export const DEFAULT_ROTATION_BATCH_SIZE = 500;
+
+// Tables holding encrypted text and how to re-encrypt one of their rows.
+// Records, revisions, summaries and stored idempotent responses keep it in
+// columns; events keep the record's diagnosis and any status change reason
+// inside their JSON data. Rows are visited in order of their key columns
+// (id unless given), starting after the `start` values.
+const ROTATION_TABLES = [
+  { table: 'records', columns: ENCRYPTED_RECORD_FIELDS },
+  { table: 'record_revisions', columns: [...ENCRYPTED_RECORD_FIELDS, 'reason'] },
+  { table: 'record_events', columns: ['data'], json: true },
+  { table: 'summaries', columns: ['summary'] },
+  {
+    table: 'idempotency_keys',
+    columns: ['response_body'],
+    key: ['principal_key_id', 'idempotency_key'],
+    start: [0, '']
+  }
+];
+
+const reencrypt = (cipher, field, value) => cipher.encrypt(field, cipher.decrypt(field, value));
+
+const reencryptRow = (cipher, { columns, json }, row) => {
+  if (json) {
+    const data = JSON.parse(row.data);
+    if (data.record) {
+      data.record.diagnosis = reencrypt(cipher, 'diagnosis', data.record.diagnosis);
+    }
+    if (data.reason !== undefined) {
+      data.reason = reencrypt(cipher, 'reason', data.reason);
+    }
+    return { data: JSON.stringify(data) };
+  }
+
+  return Object.fromEntries(columns.map((column) => [column, reencrypt(cipher, column, row[column])]));
+};
+
+// Rows per table whose text is not under the active key
+export const countRowsToRotate = (db) => {
+  const { activeKeyId } = getFieldCipher();
+
+  return Object.fromEntries(ROTATION_TABLES.map(({ table }) => [
+    table,
+    db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE encryption_key_id IS NOT ?`).get(activeKeyId).count
+  ]));
+};
+
+// Re-encrypt every row not under the active key. onBatch({ table, rows }) is
+// called after each committed batch. Returns the rows rewritten per table.
+export const rotateEncryptionKeys = (db, { batchSize = DEFAULT_ROTATION_BATCH_SIZE, onBatch } = {}) => {
+  const cipher = getFieldCipher();
+  const rotated = {};
+
+  for (const spec of ROTATION_TABLES) {
+    const { table, columns, key = ['id'], start = [0] } = spec;
+    const keyList = key.join(', ');
+    const select = db.prepare(`
+      SELECT ${keyList}, ${columns.join(', ')}
+      FROM ${table}
+      WHERE (${keyList}) > (${key.map(() => '?').join(', ')}) AND encryption_key_id IS NOT ?
+      ORDER BY ${keyList}
+      LIMIT ?
+    `);
+    const update = db.prepare(`
+      UPDATE ${table}
+      SET ${columns.map((column) => `${column} = @${column}`).join(', ')}, encryption_key_id = @keyId
+      WHERE ${key.map((column) => `${column} = @key_${column}`).join(' AND ')}
+    `);
+
+    const rotateBatch = db.transaction((after) => {
+      const rows = select.all(...after, cipher.activeKeyId, batchSize);
+      for (const row of rows) {
+        const rowKey = Object.fromEntries(key.map((column) => [`key_${column}`, row[column]]));
+        update.run({ ...reencryptRow(cipher, spec, row), keyId: cipher.activeKeyId, ...rowKey });
+      }
+      return rows;
+    });
+
+    rotated[table] = 0;
+    let after = start;
+    for (;;) {
+      const rows = rotateBatch.immediate(after);
+      if (rows.length === 0) {
+        break;
+      }
+
+      const last = rows[rows.length - 1];
+      after = key.map((column) => last[column]);
+      rotated[table] += rows.length;
+      onBatch?.({ table, rows: rows.length });
+    }
+  }
+
+  return rotated;
+};
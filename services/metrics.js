@@ -0,0 +1,152 @@
+// In-process metrics in the Prometheus text exposition format, served at
+// /metrics. Counters and histograms are kept per combination of label values
+// and reset when the process restarts, as Prometheus expects.
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Histogram buckets in seconds
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const SUMMARY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+const QUERY_BUCKETS = [0.0001, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.5, 1];
+
+const registry = [];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatNumber = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+};
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  // The series of a set of label values, created on first use. Labels outside
+  // labelNames are a programming error.
+  seriesFor(labels, create) {
+    const unknown = Object.keys(labels).filter((name) => !this.labelNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Metric ${this.name} has no label ${unknown.join(', ')}`);
+    }
+
+    const values = this.labelNames.map((name) => String(labels[name] ?? ''));
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()].join('\n');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets, Infinity];
+  }
+
+  observe(labels, seconds) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  // Start timing; the returned function records the elapsed time with the
+  // given labels plus any passed to it
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  renderSeries() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, i) => (
+        `${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[i]}`
+      )),
+      `${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ]);
+  }
+}
+
+export const httpRequestsTotal = new Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests answered, by method, route pattern and status code.',
+  labelNames: ['method', 'route', 'status']
+});
+
+export const httpRequestDuration = new Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time from receiving an HTTP request to finishing its response, by method, route pattern and status code.',
+  labelNames: ['method', 'route', 'status'],
+  buckets: REQUEST_BUCKETS
+});
+
+export const rateLimitRejectionsTotal = new Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests refused with 429 because a rate limit was exceeded, by limiter.',
+  labelNames: ['limiter']
+});
+
+export const summaryGenerationDuration = new Histogram({
+  name: 'summary_generation_duration_seconds',
+  help: 'Time the AI summary provider took to generate a summary, by provider and outcome (success or error).',
+  labelNames: ['provider', 'outcome'],
+  buckets: SUMMARY_BUCKETS
+});
+
+export const summaryCacheLookupsTotal = new Counter({
+  name: 'summary_cache_lookups_total',
+  help: 'Stored summary lookups before generating a problem summary, by result (hit or miss).',
+  labelNames: ['result']
+});
+
+export const dbQueryDuration = new Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Time spent running SQLite statements, by operation (the statement\'s first keyword).',
+  labelNames: ['operation'],
+  buckets: QUERY_BUCKETS
+});
+
+// Every metric in the text exposition format
+export const renderMetrics = () => `${registry.map((metric) => metric.render()).join('\n')}\n`;
@@ -0,0 +1,95 @@
+// express-rate-limit store backed by the rate_limit_counters table, so counters
+// survive a restart. Each limiter counts in fixed windows: a client's first hit
+// opens a window of windowMs and the count starts over once it has passed.
+// Clients are API keys (key:<id>) or, for requests without a valid key, IPs (ip:<address>).
+
+import { getDatabase, prepareCached } from '../config/database.js';
+
+// Counter key for a request's principal, falling back to its IP
+export const rateLimitClient = (principal, ip) => (principal ? `key:${principal.keyId}` : `ip:${ip}`);
+
+export class SqliteRateLimitStore {
+  constructor(limiter) {
+    this.limiter = limiter;
+    // Tells express-rate-limit's double-counting check the stores apart
+    this.prefix = `${limiter}:`;
+    this.localKeys = false;
+    this.nextPruneAt = 0;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  // The database is opened after the limiters are created, so it is only
+  // looked up once requests arrive
+  async get(key) {
+    const row = prepareCached(getDatabase(), `
+      SELECT hits, reset_at FROM rate_limit_counters
+      WHERE limiter = ? AND client = ? AND reset_at > ?
+    `).get(this.limiter, key, Date.now());
+
+    return row && { totalHits: row.hits, resetTime: new Date(row.reset_at) };
+  }
+
+  async increment(key) {
+    const db = getDatabase();
+    const now = Date.now();
+    this.pruneExpired(db, now);
+
+    // One statement, so concurrent hits cannot lose an update
+    const row = prepareCached(db, `
+      INSERT INTO rate_limit_counters (limiter, client, hits, reset_at)
+      VALUES (@limiter, @client, 1, @resetAt)
+      ON CONFLICT (limiter, client) DO UPDATE SET
+        hits = CASE WHEN reset_at <= @now THEN 1 ELSE hits + 1 END,
+        reset_at = CASE WHEN reset_at <= @now THEN @resetAt ELSE reset_at END
+      RETURNING hits, reset_at
+    `).get({ limiter: this.limiter, client: key, now, resetAt: now + this.windowMs });
+
+    return { totalHits: row.hits, resetTime: new Date(row.reset_at) };
+  }
+
+  async decrement(key) {
+    prepareCached(getDatabase(), `
+      UPDATE rate_limit_counters SET hits = MAX(hits - 1, 0)
+      WHERE limiter = ? AND client = ?
+    `).run(this.limiter, key);
+  }
+
+  async resetKey(key) {
+    prepareCached(getDatabase(), 'DELETE FROM rate_limit_counters WHERE limiter = ? AND client = ?').run(this.limiter, key);
+  }
+
+  async resetAll() {
+    prepareCached(getDatabase(), 'DELETE FROM rate_limit_counters WHERE limiter = ?').run(this.limiter);
+  }
+
+  // Drop finished windows at most once per window, so clients that stopped
+  // calling (such as one-off IPs) do not accumulate
+  pruneExpired(db, now) {
+    if (now < this.nextPruneAt) {
+      return;
+    }
+    prepareCached(db, 'DELETE FROM rate_limit_counters WHERE limiter = ? AND reset_at <= ?').run(this.limiter, now);
+    this.nextPruneAt = now + this.windowMs;
+  }
+}
+
+// Counters inside their current window, with the API key behind each key:<id>
+// client. Optionally only those of one API key.
+export const listRateLimitUsage = (db, { keyId } = {}) => {
+  return prepareCached(db, `
+    SELECT c.limiter, c.client, c.hits, c.reset_at, k.id AS key_id, k.name AS key_name, k.role AS key_role
+    FROM rate_limit_counters c
+    LEFT JOIN api_keys k ON c.client = 'key:' || k.id
+    WHERE c.reset_at > @now
+      AND (@client IS NULL OR c.client = @client)
+    ORDER BY c.limiter, c.client
+  `).all({ now: Date.now(), client: keyId ? rateLimitClient({ keyId }) : null });
+};
+
+// Clear every limiter's counter for an API key. Returns the number of counters removed.
+export const resetRateLimitsForKey = (db, keyId) => {
+  return prepareCached(db, 'DELETE FROM rate_limit_counters WHERE client = ?').run(rateLimitClient({ keyId })).changes;
+};
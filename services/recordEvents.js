@@ -0,0 +1,107 @@
+// Persisted log of record events, shared by webhooks and the event stream.
+// appendRecordEvent runs inside the transaction that changes the record, so an
+// event exists exactly when its change was committed. Event IDs only grow, which
+// lets stream clients resume after the last ID they saw.
+
+import { EventEmitter } from 'events';
+import { prepareCached } from '../config/database.js';
+import { getFieldCipher, decryptField } from '../config/encryption.js';
+import { queueWebhookDeliveries } from './webhooks/outbox.js';
+
+export const RECORD_EVENT_TYPES = [
+  'record.created',
+  'record.updated',
+  'record.status_changed',
+  'record.deleted',
+  'record.restored',
+  'record.summarized'
+];
+
+// Record fields stored with events. The free-text note is left out; consumers
+// read it through the API with their own key when they need it. The diagnosis,
+// and the reason of a status change, are stored encrypted in the event data
+// and decrypted by parseEventData.
+const EVENT_RECORD_COLUMNS = "id, patient_id, field_decrypt('diagnosis', diagnosis) AS diagnosis, status, code_system, code, created_at, updated_at";
+
+const EVENT_COLUMNS = 'id, type, record_id, patient_id, data, created_at';
+
+const notifier = new EventEmitter();
+notifier.setMaxListeners(0);
+
+// Append an event for a record and queue its webhook deliveries. `details` is
+// merged into the event data next to the record. Returns the event ID.
+export const appendRecordEvent = (db, type, recordId, details = {}) => {
+  const cipher = getFieldCipher();
+  const record = prepareCached(db, `SELECT ${EVENT_RECORD_COLUMNS} FROM records WHERE id = ?`).get(recordId);
+  record.diagnosis = cipher.encrypt('diagnosis', record.diagnosis);
+
+  const data = { record, ...details };
+  if (data.reason !== undefined) {
+    data.reason = cipher.encrypt('reason', data.reason);
+  }
+
+  const { lastInsertRowid } = prepareCached(db, `
+    INSERT INTO record_events (type, record_id, patient_id, data, encryption_key_id, created_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `).run(type, recordId, record.patient_id, JSON.stringify(data), cipher.activeKeyId);
+
+  queueWebhookDeliveries(db, lastInsertRowid, type);
+
+  // Listeners read the log themselves, so wake them once the transaction has
+  // committed; after a rollback they simply find nothing new
+  setImmediate(() => notifier.emit('appended'));
+
+  return Number(lastInsertRowid);
+};
+
+// Parse the stored data of an event, decrypting the record's diagnosis and any reason
+export const parseEventData = (text) => {
+  const data = JSON.parse(text);
+  if (data.record) {
+    data.record.diagnosis = decryptField('diagnosis', data.record.diagnosis);
+  }
+  if (data.reason !== undefined) {
+    data.reason = decryptField('reason', data.reason);
+  }
+  return data;
+};
+
+// Call listener whenever events may have been appended. Returns the unsubscribe function.
+export const onRecordEvents = (listener) => {
+  notifier.on('appended', listener);
+  return () => notifier.off('appended', listener);
+};
+
+export const getLatestRecordEventId = (db) => {
+  return prepareCached(db, 'SELECT MAX(id) AS latest FROM record_events').get().latest ?? 0;
+};
+
+// Events after `afterId` up to and including `upToId`, oldest first. Status and
+// patient filters match the record after the change or before it, so a record
+// leaving a status or moving to another patient is seen by those watching it.
+export const listRecordEvents = (db, { afterId, upToId, types, statuses, patientId, limit }) => {
+  const conditions = ['id > ?', 'id <= ?'];
+  const params = [afterId, upToId];
+
+  if (types) {
+    conditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  if (statuses) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    conditions.push(`(json_extract(data, '$.record.status') IN (${placeholders}) OR json_extract(data, '$.previous_status') IN (${placeholders}))`);
+    params.push(...statuses, ...statuses);
+  }
+  if (patientId) {
+    conditions.push("(patient_id = ? OR json_extract(data, '$.previous_patient_id') = ?)");
+    params.push(patientId, patientId);
+  }
+
+  return prepareCached(db, `
+    SELECT ${EVENT_COLUMNS}
+    FROM record_events
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY id
+    LIMIT ?
+  `).all(...params, limit).map((event) => ({ ...event, data: parseEventData(event.data) }));
+};
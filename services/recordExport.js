@@ -0,0 +1,65 @@
+// Bulk export of records as CSV, NDJSON or a JSON array.
+// Rows are read with a better-sqlite3 iterator and serialized one at a time,
+// so an export never holds the whole table in memory.
+
+import { buildRecordFilters, recordSelectList } from './recordListing.js';
+
+// Quote a CSV value when it contains a delimiter, quote or line break
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    start: (fields) => `${fields.map(csvValue).join(',')}\r\n`,
+    row: (record, fields) => `${fields.map((field) => csvValue(record[field])).join(',')}\r\n`,
+    end: () => ''
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    start: () => '',
+    row: (record) => `${JSON.stringify(record)}\n`,
+    end: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    start: () => '[',
+    row: (record, fields, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(record)}`,
+    end: (count) => (count > 0 ? '\n]\n' : ']\n')
+  }
+};
+
+// Iterator over the records to export, oldest first. `matchingIds` optionally
+// limits the export to the records found by a full-text search, which has to
+// run on the shared connection (see findMatchingRecordIds in search.js).
+export const iterateExportRows = (db, { fields, patientId, statuses, matchingIds, filters }) => {
+  const filter = buildRecordFilters({ patientId, statuses, ...filters });
+  const params = { ...filter.params };
+
+  if (matchingIds !== undefined) {
+    filter.clauses.push('r.id IN (SELECT value FROM json_each(@matchingIds))');
+    params.matchingIds = JSON.stringify(matchingIds);
+  }
+
+  return db.prepare(`
+    SELECT ${recordSelectList('r.', fields)}
+    FROM records r
+    WHERE ${filter.clauses.join(' AND ')}
+    ORDER BY r.id
+  `).iterate(params);
+};
+
+// Attachment file name such as records-20250115-103000.csv
+export const exportFileName = (format, name = 'records', date = new Date()) => {
+  const stamp = date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `${name}-${stamp}.${EXPORT_FORMATS[format].extension}`;
+};
@@ -0,0 +1,142 @@
+// Validation and creation of new records, shared by POST /upload-record, the
+// FHIR facade and bulk imports so they all accept exactly the same input.
+
+import { prepareCached } from '../config/database.js';
+import { getFieldCipher } from '../config/encryption.js';
+import { parseId } from '../utils/validation.js';
+import { normalizeStatus, invalidStatusMessage } from './recordStatus.js';
+import { writeWithRevision } from './recordRevisions.js';
+import { appendRecordEvent } from './recordEvents.js';
+import { CODE_SYSTEMS, DEFAULT_CODE_SYSTEM, normalizeCode, findCode } from './terminology.js';
+
+export const RECORD_INPUT_FIELDS = ['patient_id', 'diagnosis', 'status', 'note'];
+
+// Optional coded diagnosis
+export const RECORD_CODE_FIELDS = ['code_system', 'code'];
+
+// Longest accepted text values; the API docs declare the same limits
+export const RECORD_TEXT_MAX_LENGTHS = { diagnosis: 500, note: 10000 };
+
+// Check the optional code_system and code. Returns { codeSystem, code } (both
+// null when no code is given) or { error }.
+export const validateCodeInput = ({ code_system, code }) => {
+  if (code === undefined || code === null || code === '') {
+    if (code_system !== undefined && code_system !== null && code_system !== '') {
+      return { error: 'code is required when code_system is given' };
+    }
+    return { codeSystem: null, code: null };
+  }
+
+  const codeSystem = code_system || DEFAULT_CODE_SYSTEM;
+  if (!CODE_SYSTEMS[codeSystem]) {
+    return { error: `code_system must be one of: ${Object.keys(CODE_SYSTEMS).join(', ')}` };
+  }
+
+  const normalized = normalizeCode(code);
+  if (!normalized) {
+    return { error: `code must be an ${codeSystem} code such as I10 or E11.9` };
+  }
+
+  return { codeSystem, code: normalized };
+};
+
+// Check a new record's fields. Returns { errors } with every problem found, each
+// naming its field, or { record: { patientId, diagnosis, status, note, codeSystem, code } }
+// with trimmed, normalized values. The diagnosis may be left out when a code is given.
+// Whether the patient and code exist is checked by resolveRecordCode and the caller.
+export const validateRecordInput = (input) => {
+  const { patient_id, diagnosis, status, note, code_system, code } = input ?? {};
+  const coded = code !== undefined && code !== null && code !== '';
+  const missing = (value) => value === undefined || value === null || value === '';
+
+  const errors = [];
+
+  const patientId = parseId(patient_id);
+  if (missing(patient_id)) {
+    errors.push('patient_id is required');
+  } else if (!patientId) {
+    errors.push('patient_id must be a valid patient ID');
+  }
+
+  // Check each text field on its own so an import report says which one is wrong
+  const text = {};
+  for (const [field, value] of Object.entries({ diagnosis, status, note })) {
+    if (missing(value)) {
+      if (field !== 'diagnosis' || !coded) {
+        errors.push(field === 'diagnosis' ? 'diagnosis is required unless a code is given' : `${field} is required`);
+      }
+    } else if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (value.trim() === '') {
+      errors.push(`${field} must not be empty`);
+    } else if (RECORD_TEXT_MAX_LENGTHS[field] && value.trim().length > RECORD_TEXT_MAX_LENGTHS[field]) {
+      errors.push(`${field} must be at most ${RECORD_TEXT_MAX_LENGTHS[field]} characters`);
+    } else {
+      text[field] = value.trim();
+    }
+  }
+
+  const recordStatus = normalizeStatus(text.status);
+  if (text.status !== undefined && !recordStatus) {
+    errors.push(invalidStatusMessage());
+  }
+
+  const codeInput = validateCodeInput({ code_system, code });
+  if (codeInput.error) {
+    errors.push(codeInput.error);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    record: {
+      patientId,
+      diagnosis: text.diagnosis ?? null,
+      status: recordStatus,
+      note: text.note,
+      codeSystem: codeInput.codeSystem,
+      code: codeInput.code
+    }
+  };
+};
+
+// Check that a record's code is in the terminology and fill in the diagnosis
+// from the code's display text when none was given. Returns { record } or { error }.
+export const resolveRecordCode = (db, record) => {
+  if (!record.code) {
+    return { record };
+  }
+
+  const entry = findCode(db, record.codeSystem, record.code);
+  if (!entry) {
+    return { error: `Code ${record.code} does not exist in ${record.codeSystem}` };
+  }
+
+  return { record: { ...record, diagnosis: record.diagnosis ?? entry.display } };
+};
+
+// Insert a validated record together with its first revision, with its
+// diagnosis and note encrypted under the active key; returns the record ID
+export const insertRecord = (db, { patientId, diagnosis, status, note, codeSystem = null, code = null }, changedBy) => {
+  const stmt = prepareCached(db, `
+    INSERT INTO records (patient_id, diagnosis, status, note, code_system, code, encryption_key_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+  `);
+  const cipher = getFieldCipher();
+
+  return writeWithRevision(db, { changeType: 'create', changedBy }, () => {
+    const id = stmt.run(
+      patientId,
+      cipher.encrypt('diagnosis', diagnosis),
+      status,
+      cipher.encrypt('note', note),
+      codeSystem,
+      code,
+      cipher.activeKeyId
+    ).lastInsertRowid;
+    appendRecordEvent(db, 'record.created', id);
+    return id;
+  });
+};
@@ -0,0 +1,276 @@
+// Shared paging, sorting, filtering and field selection for record lists.
+// The problem lists and search both page with opaque keyset cursors, so a page
+// is always fetched with an indexed range query instead of OFFSET.
+
+import { prepareCached } from '../config/database.js';
+import { ENCRYPTED_RECORD_FIELDS } from '../config/encryption.js';
+import { parseTimestampParam } from '../utils/validation.js';
+import { normalizeCode } from './terminology.js';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+// Record columns a client can request with ?fields=
+export const RECORD_FIELDS = ['id', 'patient_id', 'diagnosis', 'status', 'note', 'code_system', 'code', 'created_at', 'updated_at'];
+
+// Always returned, whatever ?fields= asks for
+export const BASE_FIELDS = ['id', 'patient_id', 'diagnosis'];
+
+// SQL selecting `field` of the records table, decrypted when it is stored encrypted
+export const recordColumn = (field, prefix = '') => {
+  return ENCRYPTED_RECORD_FIELDS.includes(field) ? `field_decrypt('${field}', ${prefix}${field}) AS ${field}` : `${prefix}${field}`;
+};
+
+// SQL select list for `fields` (default all of RECORD_FIELDS); prefix is the
+// table alias with its dot, such as 'r.'
+export const recordSelectList = (prefix = '', fields = RECORD_FIELDS) => {
+  return fields.map((field) => recordColumn(field, prefix)).join(', ');
+};
+
+// SQL expression for each sort key. Queries alias the records table as `r`.
+export const SORT_EXPRESSIONS = {
+  created_at: 'r.created_at',
+  updated_at: 'r.updated_at',
+  diagnosis: "COALESCE(field_decrypt('diagnosis', r.diagnosis), '')"
+};
+
+// Raised for invalid paging, sorting or filter parameters
+export class ListParamError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListParamError';
+  }
+}
+
+export const encodeCursor = ({ sort, order, value, id }) => {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort, order) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ListParamError('cursor is invalid');
+  }
+
+  if (!decoded || typeof decoded !== 'object' || !Number.isInteger(decoded.id) || !('v' in decoded)) {
+    throw new ListParamError('cursor is invalid');
+  }
+
+  // A cursor only makes sense for the ordering it was issued with
+  if (decoded.s !== sort || decoded.o !== order) {
+    throw new ListParamError('cursor was issued for a different sort order; restart from the first page');
+  }
+
+  return { value: decoded.v, id: decoded.id };
+};
+
+const parseRange = (query, name, { endOfDay = false } = {}) => {
+  if (query[name] === undefined) {
+    return undefined;
+  }
+
+  const value = parseTimestampParam(query[name], { endOfDay });
+  if (value === null) {
+    throw new ListParamError(`${name} must be a date (YYYY-MM-DD) or an ISO 8601 date-time`);
+  }
+  return value;
+};
+
+// ?code= is a comma-separated list of codes (I10), code prefixes (E11*) and
+// inclusive ranges (I10-I16, which also takes in every code under I16)
+const parseCodeFilter = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  return String(value).split(',').map((term) => term.trim()).filter(Boolean).map((term) => {
+    let filter;
+    if (term.endsWith('*')) {
+      const prefix = term.length > 1 ? normalizeCode(term.slice(0, -1)) : null;
+      filter = prefix && { prefix };
+    } else if (term.includes('-')) {
+      const [from, to] = term.split('-').map(normalizeCode);
+      filter = from && to && from <= to && { from, to };
+    } else {
+      const code = normalizeCode(term);
+      filter = code && { code };
+    }
+
+    if (!filter) {
+      throw new ListParamError(`code filter "${term}" must be a code (I10), a prefix (E11*) or a range (I10-I16)`);
+    }
+    return filter;
+  });
+};
+
+// Date range and code filters shared by every record list
+export const parseRecordFilters = (query) => ({
+  createdFrom: parseRange(query, 'created_from'),
+  createdTo: parseRange(query, 'created_to', { endOfDay: true }),
+  updatedFrom: parseRange(query, 'updated_from'),
+  updatedTo: parseRange(query, 'updated_to', { endOfDay: true }),
+  codes: parseCodeFilter(query.code)
+});
+
+// Fields requested with ?fields=, always including the base fields
+export const parseFields = (value, defaultFields) => {
+  if (value === undefined) {
+    return defaultFields;
+  }
+
+  const requested = String(value).split(',').map((field) => field.trim()).filter(Boolean);
+  const unknown = requested.filter((field) => !RECORD_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ListParamError(`Unknown fields: ${unknown.join(', ')}. Allowed fields: ${RECORD_FIELDS.join(', ')}`);
+  }
+  return [...new Set([...BASE_FIELDS, ...requested])];
+};
+
+// Read limit, cursor, sort, order, date range filters and fields from a query
+// string. `sorts` lists the sort keys this endpoint accepts.
+export const parseListParams = (query, { sorts, defaultSort, defaultFields }) => {
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ListParamError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  const sort = query.sort ?? defaultSort;
+  if (!sorts.includes(sort)) {
+    throw new ListParamError(`sort must be one of: ${sorts.join(', ')}`);
+  }
+
+  let order = query.order ?? 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ListParamError('order must be asc or desc');
+  }
+
+  // Relevance (search only) always lists the best match first
+  if (sort === 'relevance') {
+    order = 'asc';
+  }
+
+  return {
+    limit,
+    sort,
+    order,
+    fields: parseFields(query.fields, defaultFields),
+    cursor: query.cursor !== undefined ? decodeCursor(String(query.cursor), sort, order) : undefined,
+    filters: parseRecordFilters(query)
+  };
+};
+
+// WHERE clauses for the common record filters. Soft-deleted records are always
+// excluded; withPatient also leaves out records not yet assigned to a patient.
+export const buildRecordFilters = ({ patientId, withPatient, statuses, createdFrom, createdTo, updatedFrom, updatedTo, codes }) => {
+  const clauses = ['r.deleted_at IS NULL'];
+  const params = {};
+
+  if (withPatient) {
+    clauses.push('r.patient_id IS NOT NULL');
+  }
+
+  if (patientId !== undefined) {
+    clauses.push('r.patient_id = @patientId');
+    params.patientId = patientId;
+  }
+
+  if (statuses !== undefined) {
+    const names = statuses.map((status, index) => {
+      params[`status${index}`] = status.toLowerCase();
+      return `@status${index}`;
+    });
+    clauses.push(`LOWER(r.status) IN (${names.join(', ')})`);
+  }
+
+  const ranges = [
+    ['r.created_at >=', 'createdFrom', createdFrom],
+    ['r.created_at <=', 'createdTo', createdTo],
+    ['r.updated_at >=', 'updatedFrom', updatedFrom],
+    ['r.updated_at <=', 'updatedTo', updatedTo]
+  ];
+  for (const [condition, name, value] of ranges) {
+    if (value !== undefined) {
+      clauses.push(`${condition} @${name}`);
+      params[name] = value;
+    }
+  }
+
+  if (codes !== undefined && codes.length > 0) {
+    const conditions = codes.map((filter, index) => {
+      const name = `code${index}`;
+      if (filter.prefix) {
+        params[name] = `${filter.prefix}%`;
+        return `r.code LIKE @${name}`;
+      }
+      if (filter.from) {
+        Object.assign(params, { [`${name}From`]: filter.from, [`${name}To`]: filter.to, [`${name}Under`]: `${filter.to}%` });
+        return `(r.code >= @${name}From AND (r.code <= @${name}To OR r.code LIKE @${name}Under))`;
+      }
+      params[name] = filter.code;
+      return `r.code = @${name}`;
+    });
+    clauses.push(`(${conditions.join(' OR ')})`);
+  }
+
+  return { clauses, params };
+};
+
+// Keyset condition that continues after the cursor position
+export const buildCursorClause = (sortExpression, order, cursor) => {
+  if (!cursor) {
+    return { clauses: [], params: {} };
+  }
+
+  const comparison = order === 'desc' ? '<' : '>';
+  return {
+    clauses: [`(${sortExpression} ${comparison} @cursorValue OR (${sortExpression} = @cursorValue AND r.id ${comparison} @cursorId))`],
+    params: { cursorValue: cursor.value, cursorId: cursor.id }
+  };
+};
+
+// Keep only the requested fields of a row, plus any extra keys (such as search snippets)
+export const pickFields = (row, fields, extraKeys = []) => {
+  const picked = {};
+  for (const key of [...fields, ...extraKeys]) {
+    picked[key] = row[key];
+  }
+  return picked;
+};
+
+// Fetch one page of records. Rows are sorted by the sort key with the record
+// ID as tie-breaker; one extra row is read to know whether another page exists.
+export const listRecordsPage = (db, { patientId, withPatient, statuses, params }) => {
+  const { limit, sort, order, cursor, fields, filters } = params;
+  const sortExpression = SORT_EXPRESSIONS[sort];
+
+  const filter = buildRecordFilters({ patientId, withPatient, statuses, ...filters });
+  const keyset = buildCursorClause(sortExpression, order, cursor);
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+
+  const { total } = prepareCached(db, `
+    SELECT COUNT(*) AS total FROM records r WHERE ${filter.clauses.join(' AND ')}
+  `).get(filter.params);
+
+  const rows = prepareCached(db, `
+    SELECT ${recordSelectList('r.')}, ${sortExpression} AS sort_value
+    FROM records r
+    WHERE ${[...filter.clauses, ...keyset.clauses].join(' AND ')}
+    ORDER BY ${sortExpression} ${direction}, r.id ${direction}
+    LIMIT @limit
+  `).all({ ...filter.params, ...keyset.params, limit: limit + 1 });
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map((row) => pickFields(row, fields)),
+    total,
+    nextCursor: hasMore ? encodeCursor({ sort, order, value: last.sort_value, id: last.id }) : null
+  };
+};
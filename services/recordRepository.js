@@ -0,0 +1,137 @@
+// Data access for records on the shared connection. Route handlers go through
+// these functions rather than writing SQL; statements are prepared once,
+// every write is recorded in the revision history and appends a record event
+// in the same transaction.
+
+import { getDatabase, prepareCached } from '../config/database.js';
+import { writeWithRevision, REVISION_FIELDS } from './recordRevisions.js';
+import { insertRecord } from './recordInput.js';
+import { listRecordsPage, recordSelectList } from './recordListing.js';
+import { searchRecords } from './search.js';
+import { appendRecordEvent } from './recordEvents.js';
+import { getFieldCipher } from '../config/encryption.js';
+
+// Columns returned when a full record is requested, with the text decrypted
+export const RECORD_COLUMNS = recordSelectList();
+
+const statement = (sql) => prepareCached(getDatabase(), sql);
+
+export const patientExists = (patientId) => {
+  return Boolean(statement('SELECT 1 FROM patients WHERE id = ?').get(patientId));
+};
+
+// A record that is not deleted, or undefined
+export const findRecord = (id) => {
+  return statement(`SELECT ${RECORD_COLUMNS} FROM records WHERE id = ? AND deleted_at IS NULL`).get(id);
+};
+
+// A record whether or not it is deleted, with its deleted_at, or undefined
+export const findRecordIncludingDeleted = (id) => {
+  return statement(`SELECT ${RECORD_COLUMNS}, deleted_at FROM records WHERE id = ?`).get(id);
+};
+
+// Insert a validated record (see validateRecordInput) and return its ID
+export const createRecord = (record, changedBy) => {
+  return insertRecord(getDatabase(), record, changedBy);
+};
+
+// Replace the editable fields of a record with those in `record`. The text is
+// re-encrypted under the active key, so snapshots compare it decrypted.
+export const updateRecord = (id, record, changedBy) => {
+  const db = getDatabase();
+  const cipher = getFieldCipher();
+  const snapshot = () => statement(`SELECT ${recordSelectList('', REVISION_FIELDS)} FROM records WHERE id = ?`).get(id);
+
+  writeWithRevision(db, { recordId: id, changeType: 'update', changedBy }, () => {
+    const before = snapshot();
+    statement(`
+      UPDATE records
+      SET patient_id = @patient_id, diagnosis = @diagnosis, status = @status, note = @note,
+          code_system = @code_system, code = @code, encryption_key_id = @encryption_key_id,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `).run({
+      ...record,
+      diagnosis: cipher.encrypt('diagnosis', record.diagnosis),
+      note: cipher.encrypt('note', record.note),
+      encryption_key_id: cipher.activeKeyId,
+      id
+    });
+
+    const after = snapshot();
+    const changedFields = REVISION_FIELDS.filter((field) => before[field] !== after[field]);
+    appendRecordEvent(db, 'record.updated', id, { changed_fields: changedFields, previous_patient_id: before.patient_id });
+    return id;
+  });
+};
+
+// Records created before patients existed have no patient_id. Lists them,
+// deleted ones included, oldest first.
+export const listRecordsWithoutPatient = () => {
+  return statement(`
+    SELECT id, status, created_at, deleted_at FROM records WHERE patient_id IS NULL ORDER BY id
+  `).all();
+};
+
+export const countRecordsWithoutPatient = () => {
+  return statement('SELECT COUNT(*) AS count FROM records WHERE patient_id IS NULL').get().count;
+};
+
+// Give a record without a patient its patient. Returns false when the record
+// does not exist or already has one; PATCH /api/records/:id moves those.
+export const assignRecordPatient = (id, patientId, changedBy) => {
+  const db = getDatabase();
+  const record = statement('SELECT patient_id FROM records WHERE id = ?').get(id);
+  if (!record || record.patient_id !== null) {
+    return false;
+  }
+
+  writeWithRevision(db, { recordId: id, changeType: 'update', changedBy }, () => {
+    statement('UPDATE records SET patient_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(patientId, id);
+    appendRecordEvent(db, 'record.updated', id, { changed_fields: ['patient_id'], previous_patient_id: null });
+    return id;
+  });
+  return true;
+};
+
+export const changeRecordStatus = (id, status, { changedBy, reason }) => {
+  const db = getDatabase();
+
+  writeWithRevision(db, { recordId: id, changeType: 'status', changedBy, reason }, () => {
+    const previous = statement('SELECT status FROM records WHERE id = ?').get(id);
+    statement('UPDATE records SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, id);
+    appendRecordEvent(db, 'record.status_changed', id, { previous_status: previous.status, reason: reason ?? null });
+    return id;
+  });
+};
+
+export const softDeleteRecord = (id, changedBy) => {
+  const db = getDatabase();
+
+  writeWithRevision(db, { recordId: id, changeType: 'delete', changedBy }, () => {
+    statement('UPDATE records SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+    appendRecordEvent(db, 'record.deleted', id);
+    return id;
+  });
+};
+
+export const restoreRecord = (id, changedBy) => {
+  const db = getDatabase();
+
+  writeWithRevision(db, { recordId: id, changeType: 'restore', changedBy }, () => {
+    statement('UPDATE records SET deleted_at = NULL WHERE id = ?').run(id);
+    appendRecordEvent(db, 'record.restored', id);
+    return id;
+  });
+};
+
+// One page of records whose status is in `statuses`, optionally for one patient
+export const listByStatus = ({ patientId, statuses, params }) => {
+  return listRecordsPage(getDatabase(), { patientId, statuses, params });
+};
+
+// One page of full-text search results; `deidentified` searches notes as
+// callers below DEID_REVEAL_ROLE see them
+export const search = ({ query, patientId, statuses, params, deidentified }) => {
+  return searchRecords(getDatabase(), { query, patientId, statuses, params, deidentified });
+};
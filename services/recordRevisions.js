@@ -0,0 +1,113 @@
+// Revision history for records.
+// Every write to `records` goes through writeWithRevision so the change and its
+// revision are committed in one transaction and can never disagree.
+
+import { prepareCached } from '../config/database.js';
+import { ENCRYPTED_RECORD_FIELDS, encryptField } from '../config/encryption.js';
+
+// Fields captured in each revision snapshot
+export const REVISION_FIELDS = ['patient_id', 'diagnosis', 'status', 'note', 'code_system', 'code'];
+
+// Snapshots are read with their text and reason decrypted
+const REVISION_COLUMNS = [
+  'id', 'record_id', 'revision', 'change_type',
+  ...REVISION_FIELDS.map((field) => (ENCRYPTED_RECORD_FIELDS.includes(field) ? `field_decrypt('${field}', ${field}) AS ${field}` : field)),
+  "field_decrypt('reason', reason) AS reason", 'changed_by', 'changed_at'
+].join(', ');
+
+// Columns copied from the record into each snapshot. Encrypted text is copied
+// as it is, together with the ID of the key it is encrypted with; the reason is
+// encrypted with the active key, so a snapshot under an older key is rotated whole.
+const SNAPSHOT_COLUMNS = [...REVISION_FIELDS, 'encryption_key_id'];
+
+// Insert a snapshot of the record's current state as its next revision
+const appendRevision = (db, recordId, changeType, changedBy, reason = null) => {
+  const record = prepareCached(db, `SELECT ${SNAPSHOT_COLUMNS.join(', ')} FROM records WHERE id = ?`).get(recordId);
+  const { latest } = prepareCached(db, 'SELECT MAX(revision) AS latest FROM record_revisions WHERE record_id = ?').get(recordId);
+
+  prepareCached(db, `
+    INSERT INTO record_revisions (record_id, revision, change_type, ${SNAPSHOT_COLUMNS.join(', ')}, reason, changed_by, changed_at)
+    VALUES (@recordId, @revision, @changeType, ${SNAPSHOT_COLUMNS.map((field) => `@${field}`).join(', ')}, @reason, @changedBy, CURRENT_TIMESTAMP)
+  `).run({ ...record, recordId, revision: (latest || 0) + 1, changeType, changedBy, reason: encryptField('reason', reason) });
+};
+
+// Records written before revisions existed have no history. Capture their
+// current content as a baseline first so the change below does not lose it.
+const ensureBaselineRevision = (db, recordId) => {
+  const existing = prepareCached(db, 'SELECT 1 FROM record_revisions WHERE record_id = ? LIMIT 1').get(recordId);
+  const record = prepareCached(db, 'SELECT 1 FROM records WHERE id = ?').get(recordId);
+
+  if (!existing && record) {
+    appendRevision(db, recordId, 'baseline', null);
+  }
+};
+
+// Apply a change to `records` and append the matching revision atomically.
+// `change` performs the write and returns the record ID; recordId is omitted
+// when creating. changeType is one of create, update, status, delete or restore;
+// status changes carry the reason given for them.
+export const writeWithRevision = (db, { recordId, changeType, changedBy, reason }, change) => {
+  return db.transaction(() => {
+    if (recordId) {
+      ensureBaselineRevision(db, recordId);
+    }
+
+    const changedId = Number(change());
+    appendRevision(db, changedId, changeType, changedBy, reason);
+    return changedId;
+  })();
+};
+
+// Field-level diff between two snapshots: { field: { from, to } } for changed fields
+export const diffRevisions = (previous, current) => {
+  const changes = {};
+
+  for (const field of REVISION_FIELDS) {
+    const from = previous ? previous[field] : null;
+    if (from !== current[field]) {
+      changes[field] = { from, to: current[field] };
+    }
+  }
+
+  return changes;
+};
+
+// All revisions of a record, oldest first, each with its diff to the one before.
+// `redact` is applied to every snapshot before diffing, so diffs never show
+// more than the snapshots do.
+export const listRevisions = (db, recordId, redact = (revision) => revision) => {
+  const revisions = prepareCached(db, `
+    SELECT ${REVISION_COLUMNS}
+    FROM record_revisions
+    WHERE record_id = ?
+    ORDER BY revision ASC
+  `).all(recordId).map((revision) => redact(revision));
+
+  return revisions.map((revision, index) => ({
+    ...revision,
+    changes: diffRevisions(revisions[index - 1], revision)
+  }));
+};
+
+// One revision with its diff to the previous revision, or undefined. `redact`
+// is applied to both snapshots as in listRevisions.
+export const getRevision = (db, recordId, revisionNumber, redact = (revision) => revision) => {
+  const stmt = prepareCached(db, `
+    SELECT ${REVISION_COLUMNS}
+    FROM record_revisions
+    WHERE record_id = ? AND revision = ?
+  `);
+
+  const revision = stmt.get(recordId, revisionNumber);
+  if (!revision) {
+    return undefined;
+  }
+
+  const current = redact(revision);
+  const previous = stmt.get(recordId, revisionNumber - 1);
+  return {
+    ...current,
+    previous_revision: previous ? previous.revision : null,
+    changes: diffRevisions(previous && redact(previous), current)
+  };
+};
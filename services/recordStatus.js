@@ -0,0 +1,122 @@
+// Controlled vocabulary for record (problem) status, modelled on the clinical
+// status of a condition, and the transitions allowed between statuses.
+// Statuses are changed through POST /records/:id/status so every change is
+// checked against STATUS_TRANSITIONS and kept in the revision history with a reason.
+
+import { writeWithRevision } from './recordRevisions.js';
+import { appendRecordEvent } from './recordEvents.js';
+
+export const RECORD_STATUSES = ['active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved'];
+
+// Statuses listed by /problems/active and /problems/resolved
+export const STATUS_GROUPS = {
+  active: ['active', 'recurrence', 'relapse'],
+  resolved: ['inactive', 'remission', 'resolved']
+};
+
+// Allowed next statuses for each status
+export const STATUS_TRANSITIONS = {
+  active: ['inactive', 'remission', 'resolved'],
+  recurrence: ['inactive', 'remission', 'resolved'],
+  relapse: ['inactive', 'remission', 'resolved'],
+  inactive: ['active', 'resolved'],
+  remission: ['relapse', 'inactive', 'resolved'],
+  resolved: ['recurrence']
+};
+
+// Free-text values seen before the vocabulary existed, and the status each maps to
+const LEGACY_STATUS_ALIASES = {
+  actve: 'active',
+  open: 'active',
+  current: 'active',
+  ongoing: 'active',
+  chronic: 'active',
+  recurrent: 'recurrence',
+  recurred: 'recurrence',
+  relapsed: 'relapse',
+  'in remission': 'remission',
+  remitted: 'remission',
+  dormant: 'inactive',
+  historical: 'inactive',
+  'on hold': 'inactive',
+  closed: 'resolved',
+  cured: 'resolved',
+  healed: 'resolved',
+  complete: 'resolved',
+  completed: 'resolved',
+  done: 'resolved',
+  resolve: 'resolved',
+  reslved: 'resolved'
+};
+
+export const STATUS_MIGRATION_ACTOR = 'status-migration';
+
+// The status in canonical form, or null when it is not in the vocabulary
+export const normalizeStatus = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const status = value.trim().toLowerCase();
+  return RECORD_STATUSES.includes(status) ? status : null;
+};
+
+export const invalidStatusMessage = (field = 'status') => {
+  return `${field} must be one of: ${RECORD_STATUSES.join(', ')}`;
+};
+
+// Whether a record may move from one status to another. Records still holding
+// a legacy value the migration could not map may move to any status.
+export const canTransition = (from, to) => {
+  const allowed = STATUS_TRANSITIONS[from];
+  return allowed ? allowed.includes(to) : RECORD_STATUSES.includes(to);
+};
+
+// Canonical status for a stored free-text value, or null when it cannot be mapped
+export const mapLegacyStatus = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  return normalizeStatus(text) ?? LEGACY_STATUS_ALIASES[text] ?? null;
+};
+
+// Rewrite records whose status is not exactly a vocabulary value. Each mapped
+// record gets a revision and a record.status_changed event with the original
+// value as its reason; records that cannot be mapped are left untouched and
+// reported. With dryRun nothing is written.
+export const migrateLegacyStatuses = (db, { dryRun = false } = {}) => {
+  const rows = db.prepare(`
+    SELECT id, patient_id, status, deleted_at
+    FROM records
+    WHERE status IS NULL OR status NOT IN (${RECORD_STATUSES.map(() => '?').join(', ')})
+    ORDER BY id
+  `).all(...RECORD_STATUSES);
+
+  const report = { mapped: [], unmapped: [] };
+  const update = db.prepare('UPDATE records SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+
+  for (const row of rows) {
+    const status = mapLegacyStatus(row.status);
+
+    if (!status) {
+      report.unmapped.push({ id: row.id, patient_id: row.patient_id, status: row.status, deleted: row.deleted_at !== null });
+      continue;
+    }
+
+    report.mapped.push({ id: row.id, from: row.status, to: status });
+
+    if (!dryRun) {
+      const reason = `Mapped legacy status "${row.status}"`;
+
+      writeWithRevision(db, { recordId: row.id, changeType: 'status', changedBy: STATUS_MIGRATION_ACTOR, reason }, () => {
+        update.run(status, row.id);
+        appendRecordEvent(db, 'record.status_changed', row.id, { previous_status: row.status, reason });
+        return row.id;
+      });
+    }
+  }
+
+  return report;
+};
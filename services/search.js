@@ -0,0 +1,233 @@
+// Full-text search over records using the records_fts FTS5 index.
+// Results are ranked with BM25 and carry a highlighted snippet of the match.
+// Record text is encrypted at rest, so the index is kept in memory on the
+// shared connection (see attachSearchIndex) and never written to disk.
+//
+// The index holds each note twice: as written and de-identified the way
+// callers below DEID_REVEAL_ROLE see it. Searches for those callers only match
+// the diagnosis and the de-identified note, so a patient's name or other PHI
+// cannot be used to find their records.
+
+import { prepareCached } from '../config/database.js';
+import { getDeidentifier, patientTerms } from './deidentify/index.js';
+import {
+  SORT_EXPRESSIONS,
+  buildRecordFilters,
+  buildCursorClause,
+  encodeCursor,
+  pickFields,
+  recordSelectList
+} from './recordListing.js';
+
+// Diagnosis matches count more than note matches
+const BM25_WEIGHTS = { diagnosis: 5.0, note: 1.0, deidentified_note: 1.0 };
+
+export const HIGHLIGHT_START = '<mark>';
+export const HIGHLIGHT_END = '</mark>';
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+// Raised when a query cannot be turned into a valid FTS5 expression
+export class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+// Index the records matching `where`; r is the record and p its patient, if any
+const indexRecords = (where) => `
+  INSERT INTO records_fts (rowid, diagnosis, note, deidentified_note)
+  SELECT r.id,
+         field_decrypt('diagnosis', r.diagnosis),
+         field_decrypt('note', r.note),
+         deidentify_note(field_decrypt('note', r.note), p.first_name, p.last_name, p.mrn)
+  FROM main.records r
+  LEFT JOIN main.patients p ON p.id = r.patient_id
+  WHERE ${where}
+`;
+
+// Build the in-memory index from the decrypted records and keep it current with
+// temporary triggers. Those only fire for writes through this connection, which
+// all record and patient writes in the server use. Notes are de-identified
+// with their patient's details, so they are indexed again when those change.
+// Returns the number of records indexed.
+export const attachSearchIndex = (db) => {
+  db.function('deidentify_note', (note, firstName, lastName, mrn) => {
+    if (note === null) {
+      return null;
+    }
+    const terms = patientTerms({ first_name: firstName, last_name: lastName, mrn });
+    return getDeidentifier().deidentify(note, { terms }).text;
+  });
+
+  db.exec(`
+    ATTACH DATABASE ':memory:' AS search;
+
+    CREATE VIRTUAL TABLE search.records_fts USING fts5(
+      diagnosis,
+      note,
+      deidentified_note,
+      tokenize = 'porter unicode61'
+    );
+
+    CREATE TEMP TRIGGER records_fts_insert AFTER INSERT ON main.records BEGIN
+      ${indexRecords('r.id = new.id')};
+    END;
+
+    CREATE TEMP TRIGGER records_fts_delete AFTER DELETE ON main.records BEGIN
+      DELETE FROM records_fts WHERE rowid = old.id;
+    END;
+
+    CREATE TEMP TRIGGER records_fts_update AFTER UPDATE OF diagnosis, note, patient_id ON main.records BEGIN
+      DELETE FROM records_fts WHERE rowid = old.id;
+      ${indexRecords('r.id = new.id')};
+    END;
+
+    CREATE TEMP TRIGGER records_fts_patient_update AFTER UPDATE OF first_name, last_name, mrn ON main.patients BEGIN
+      DELETE FROM records_fts WHERE rowid IN (SELECT id FROM main.records WHERE patient_id = new.id);
+      ${indexRecords('r.patient_id = new.id')};
+    END;
+  `);
+
+  return db.prepare(indexRecords('1')).run().changes;
+};
+
+const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+
+// Turn user input into a safe FTS5 query. Supported syntax:
+//   "exact phrase"     phrase match
+//   hyper*             prefix match (also "blood press"*)
+//   AND / OR / NOT     boolean operators (upper case), plus parentheses
+// Every other word is quoted, so punctuation such as "follow-up" is matched
+// as text instead of being read as FTS5 syntax. Parentheses must balance, so
+// the query can be wrapped in a column filter (see matchColumns).
+export const buildFtsQuery = (input) => {
+  const parts = [];
+  const pattern = /"([^"]*)"?(\*)?|(\()|(\))|([^\s()"]+)/g;
+  let depth = 0;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    const [, phrase, phrasePrefix, open, close, word] = match;
+
+    if (phrase !== undefined) {
+      if (phrase.trim() !== '') {
+        parts.push(quote(phrase) + (phrasePrefix ? '*' : ''));
+      }
+    } else if (open) {
+      depth++;
+      parts.push('(');
+    } else if (close) {
+      if (--depth < 0) {
+        throw new SearchQueryError('Search query syntax is invalid');
+      }
+      parts.push(')');
+    } else if (OPERATORS.has(word)) {
+      parts.push(word);
+    } else {
+      const isPrefix = word.length > 1 && word.endsWith('*');
+      const text = isPrefix ? word.slice(0, -1) : word;
+      if (text.replace(/\*/g, '') !== '') {
+        parts.push(quote(text) + (isPrefix ? '*' : ''));
+      }
+    }
+  }
+
+  if (!parts.some((part) => part.startsWith('"'))) {
+    throw new SearchQueryError('Search query must contain at least one search term');
+  }
+  if (depth !== 0) {
+    throw new SearchQueryError('Search query syntax is invalid');
+  }
+
+  return parts.join(' ');
+};
+
+// Limit a query to the diagnosis and the note as the caller may see it: the
+// de-identified copy when `deidentified` is set, else the original
+const matchColumns = (ftsQuery, deidentified) => {
+  return `{diagnosis ${deidentified ? 'deidentified_note' : 'note'}} : (${ftsQuery})`;
+};
+
+// Dangling operators only fail when SQLite parses the query
+const rethrowQueryError = (error) => {
+  if (/fts5: syntax error/.test(error.message)) {
+    throw new SearchQueryError('Search query syntax is invalid');
+  }
+  throw error;
+};
+
+// IDs of every record matching `query`, deleted or not, for callers reading
+// through a connection without the search index. With `deidentified`, only the
+// de-identified note is searched (see matchColumns).
+export const findMatchingRecordIds = (db, query, { deidentified = false } = {}) => {
+  try {
+    return prepareCached(db, 'SELECT rowid AS id FROM records_fts WHERE records_fts MATCH ? ORDER BY rowid')
+      .all(matchColumns(buildFtsQuery(query), deidentified))
+      .map((row) => row.id);
+  } catch (error) {
+    rethrowQueryError(error);
+  }
+};
+
+// Search records matching `query`, one page at a time. Besides the sort keys
+// shared with the problem lists, results can be sorted by relevance, which
+// always puts the best match first. Deleted records are excluded. With
+// `deidentified`, only the de-identified note is searched and snippets are
+// taken from it.
+export const searchRecords = (db, { query, patientId, statuses, params, deidentified = false }) => {
+  const { limit, sort, order, cursor, fields, filters } = params;
+  const ftsQuery = matchColumns(buildFtsQuery(query), deidentified);
+
+  const filter = buildRecordFilters({ patientId, statuses, ...filters });
+  const where = ['records_fts MATCH @ftsQuery', ...filter.clauses].join(' AND ');
+  const queryParams = { ...filter.params, ftsQuery };
+
+  // Relevance sorts by ascending BM25 rank, which puts the best match first
+  const sortExpression = sort === 'relevance' ? 'r.rank' : SORT_EXPRESSIONS[sort];
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  const keyset = buildCursorClause(sortExpression, order, cursor);
+
+  let total;
+  let rows;
+  try {
+    total = prepareCached(db, `
+      SELECT COUNT(*) AS total
+      FROM records_fts
+      JOIN records r ON r.id = records_fts.rowid
+      WHERE ${where}
+    `).get(queryParams).total;
+
+    rows = prepareCached(db, `
+      SELECT ${recordSelectList('r.')}, r.snippet, r.rank, ${sortExpression} AS sort_value
+      FROM (
+        SELECT r.*,
+               snippet(records_fts, -1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 16) AS snippet,
+               bm25(records_fts, ${BM25_WEIGHTS.diagnosis}, ${BM25_WEIGHTS.note}, ${BM25_WEIGHTS.deidentified_note}) AS rank
+        FROM records_fts
+        JOIN records r ON r.id = records_fts.rowid
+        WHERE ${where}
+      ) AS r
+      ${keyset.clauses.length > 0 ? `WHERE ${keyset.clauses.join(' AND ')}` : ''}
+      ORDER BY ${sortExpression} ${direction}, r.id ${direction}
+      LIMIT @limit
+    `).all({ ...queryParams, ...keyset.params, limit: limit + 1 });
+  } catch (error) {
+    rethrowQueryError(error);
+  }
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    // BM25 scores are negative with the best match lowest; report them as positive relevance
+    items: page.map((row) => ({
+      ...pickFields(row, fields, ['snippet']),
+      score: Number((-row.rank).toFixed(6))
+    })),
+    total,
+    nextCursor: hasMore ? encodeCursor({ sort, order, value: last.sort_value, id: last.id }) : null
+  };
+};
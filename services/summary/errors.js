@@ -0,0 +1,13 @@
+// Raised when the configured summary provider cannot produce a summary.
+// `status` is the HTTP status to answer with (502 for a bad upstream response,
+// 503 when the provider is unavailable) and `reason` is a short machine-readable
+// code. `retryable` tells the provider whether another attempt might succeed.
+export class SummaryProviderError extends Error {
+  constructor(message, { status = 502, reason = 'provider_error', retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'SummaryProviderError';
+    this.status = status;
+    this.reason = reason;
+    this.retryable = retryable;
+  }
+}
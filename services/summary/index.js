@@ -0,0 +1,79 @@
+// AI summary generation behind a pluggable provider.
+// The provider is chosen with AI_SUMMARY_PROVIDER; each provider exposes
+// { name, model, summarize(note), checkHealth() } and throws SummaryProviderError
+// on failure.
+
+import { createRuleBasedProvider } from './ruleBasedProvider.js';
+import { createOpenAiCompatibleProvider } from './openAiCompatibleProvider.js';
+import { SummaryProviderError } from './errors.js';
+import { summaryGenerationDuration } from '../metrics.js';
+
+export { SummaryProviderError };
+
+const DEFAULT_PROMPT_TEMPLATE =
+  'Summarize the following clinical note for the patient in two or three short sentences of plain language. ' +
+  'Do not add information that is not in the note. Placeholders in square brackets such as [NAME_1] or [DATE_2] ' +
+  'stand for removed personal details; keep them exactly as written.\n\nNote:\n{{note}}';
+
+const readInteger = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return parsed;
+};
+
+const providers = {
+  'rule-based': () => createRuleBasedProvider(),
+  'openai-compatible': () => createOpenAiCompatibleProvider({
+    baseUrl: process.env.AI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.AI_API_KEY,
+    model: process.env.AI_MODEL || 'gpt-4o-mini',
+    timeoutMs: readInteger('AI_TIMEOUT_MS', 15000),
+    maxRetries: readInteger('AI_MAX_RETRIES', 2),
+    promptTemplate: process.env.AI_PROMPT_TEMPLATE || DEFAULT_PROMPT_TEMPLATE
+  })
+};
+
+let provider;
+
+// The configured provider, created on first use
+export const getSummaryProvider = () => {
+  if (!provider) {
+    const name = process.env.AI_SUMMARY_PROVIDER || 'rule-based';
+    const factory = providers[name];
+
+    if (!factory) {
+      throw new Error(`Unknown AI_SUMMARY_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    provider = factory();
+  }
+
+  return provider;
+};
+
+// Generate a layman summary of a note with the configured provider
+export const generateAISummary = async (note) => {
+  const summaryProvider = getSummaryProvider();
+  const stopTimer = summaryGenerationDuration.startTimer({ provider: summaryProvider.name });
+
+  let summary;
+  try {
+    summary = await summaryProvider.summarize(note);
+  } catch (error) {
+    stopTimer({ outcome: 'error' });
+    throw error;
+  }
+  stopTimer({ outcome: 'success' });
+
+  return {
+    summary,
+    provider: summaryProvider.name,
+    model: summaryProvider.model
+  };
+};
@@ -0,0 +1,125 @@
+// Provider for any service exposing an OpenAI-compatible chat completions API
+// (OpenAI itself, Azure/OpenRouter-style gateways, vLLM, Ollama, or a local
+// mock server in tests).
+
+import { SummaryProviderError } from './errors.js';
+
+const SYSTEM_PROMPT = 'You explain clinical notes to patients in plain, accurate language.';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Replace {{note}} in the template with the note text
+const renderPrompt = (template, note) => template.replace(/\{\{\s*note\s*\}\}/g, note);
+
+// Responses worth retrying: rate limits and server-side failures
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Readiness checks must answer quickly even when summaries may take longer
+const HEALTH_CHECK_TIMEOUT_MS = 3000;
+
+export const createOpenAiCompatibleProvider = ({ baseUrl, apiKey, model, timeoutMs, maxRetries, promptTemplate }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const modelsUrl = `${baseUrl.replace(/\/+$/, '')}/models`;
+
+  const requestHeaders = () => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  };
+
+  // One HTTP attempt; failures are thrown as SummaryProviderError
+  const requestCompletion = async (note) => {
+    const headers = requestHeaders();
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          temperature: 0.2,
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: renderPrompt(promptTemplate, note) }
+          ]
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError';
+      throw new SummaryProviderError(
+        timedOut ? `AI provider did not respond within ${timeoutMs}ms` : 'AI provider is unreachable',
+        { status: 503, reason: timedOut ? 'provider_timeout' : 'provider_unreachable', retryable: true, cause: error }
+      );
+    }
+
+    if (!response.ok) {
+      const rateLimited = response.status === 429;
+      throw new SummaryProviderError(`AI provider responded with HTTP ${response.status}`, {
+        status: rateLimited ? 503 : 502,
+        reason: rateLimited ? 'provider_rate_limited' : 'provider_http_error',
+        retryable: isRetryableStatus(response.status)
+      });
+    }
+
+    let payload;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      throw new SummaryProviderError('AI provider returned invalid JSON', { reason: 'provider_invalid_response', cause: error });
+    }
+
+    const content = payload?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || content.trim() === '') {
+      throw new SummaryProviderError('AI provider returned no summary text', { reason: 'provider_empty_response' });
+    }
+
+    return content.trim();
+  };
+
+  return {
+    name: 'openai-compatible',
+    model,
+
+    async summarize(note) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await requestCompletion(note);
+        } catch (error) {
+          if (!error.retryable || attempt >= maxRetries) {
+            throw error;
+          }
+          // Exponential backoff: 250ms, 500ms, 1s, ...
+          await sleep(250 * 2 ** attempt);
+        }
+      }
+    },
+
+    // Check that the service answers an authenticated request by listing its
+    // models; throws SummaryProviderError when it does not
+    async checkHealth() {
+      let response;
+      try {
+        response = await fetch(modelsUrl, { headers: requestHeaders(), signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS) });
+      } catch (error) {
+        const timedOut = error.name === 'TimeoutError';
+        throw new SummaryProviderError(
+          timedOut ? `AI provider did not respond within ${HEALTH_CHECK_TIMEOUT_MS}ms` : 'AI provider is unreachable',
+          { status: 503, reason: timedOut ? 'provider_timeout' : 'provider_unreachable', retryable: true, cause: error }
+        );
+      }
+
+      if (!response.ok) {
+        throw new SummaryProviderError(`AI provider responded with HTTP ${response.status}`, {
+          status: 503,
+          reason: 'provider_http_error',
+          retryable: isRetryableStatus(response.status)
+        });
+      }
+      await response.body?.cancel();
+    }
+  };
+};
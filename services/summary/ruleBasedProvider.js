@@ -0,0 +1,36 @@
+// Offline provider that rewrites clinical wording into plain language with a
+// fixed list of replacements. It has no external dependencies and never fails,
+// which makes it the default and the provider used in development.
+
+const REPLACEMENTS = [
+  [/patient shows improvement/gi, 'the patient is getting better'],
+  [/blood pressure/gi, 'blood pressure'],
+  [/readings/gi, 'measurements'],
+  [/symptoms/gi, 'signs of illness'],
+  [/diagnosis/gi, 'medical condition'],
+  [/treatment/gi, 'care plan'],
+  [/medication/gi, 'medicine'],
+  [/prescribed/gi, 'given'],
+  [/administered/gi, 'given'],
+  [/monitoring/gi, 'watching'],
+  [/follow-up/gi, 'next visit'],
+  [/appointment/gi, 'visit'],
+  [/consultation/gi, 'doctor visit']
+];
+
+export const createRuleBasedProvider = () => ({
+  name: 'rule-based',
+  model: 'rule-based-v1',
+
+  async summarize(note) {
+    const summary = REPLACEMENTS.reduce(
+      (text, [pattern, replacement]) => text.replace(pattern, replacement),
+      note.toLowerCase()
+    );
+
+    return summary.charAt(0).toUpperCase() + summary.slice(1);
+  },
+
+  // Runs in process, so it is always available
+  async checkHealth() {}
+});
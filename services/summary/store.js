@@ -0,0 +1,55 @@
+// Persistence for generated summaries.
+// Summaries are keyed by record and a hash of the de-identified note they were
+// generated from, so editing the note invalidates the cached summary without
+// deleting it. Stored summaries keep the placeholders the provider saw and are
+// encrypted like record text (see config/encryption.js).
+
+import crypto from 'crypto';
+import { prepareCached } from '../../config/database.js';
+import { getFieldCipher } from '../../config/encryption.js';
+import { appendRecordEvent } from '../recordEvents.js';
+
+const SUMMARY_COLUMNS = "id, record_id, note_hash, provider, model, field_decrypt('summary', summary) AS summary, created_at";
+
+export const hashNote = (note) => {
+  return crypto.createHash('sha256').update(note).digest('hex');
+};
+
+// Latest summary of this note version made by the given provider and model
+export const findCachedSummary = (db, { recordId, noteHash, provider, model }) => {
+  return prepareCached(db, `
+    SELECT ${SUMMARY_COLUMNS}
+    FROM summaries
+    WHERE record_id = ? AND note_hash = ? AND provider = ? AND model IS ?
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(recordId, noteHash, provider, model);
+};
+
+// Store a new summary and queue its record.summarized event in one transaction
+export const saveSummary = (db, { recordId, noteHash, provider, model, summary }) => {
+  const cipher = getFieldCipher();
+
+  return db.transaction(() => {
+    const result = prepareCached(db, `
+      INSERT INTO summaries (record_id, note_hash, provider, model, summary, encryption_key_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `).run(recordId, noteHash, provider, model, cipher.encrypt('summary', summary), cipher.activeKeyId);
+
+    const stored = prepareCached(db, `SELECT ${SUMMARY_COLUMNS} FROM summaries WHERE id = ?`).get(result.lastInsertRowid);
+    appendRecordEvent(db, 'record.summarized', recordId, {
+      summary: { id: stored.id, provider: stored.provider, model: stored.model, created_at: stored.created_at }
+    });
+    return stored;
+  })();
+};
+
+// Every summary ever generated for a record, newest first
+export const listSummaries = (db, recordId) => {
+  return prepareCached(db, `
+    SELECT ${SUMMARY_COLUMNS}
+    FROM summaries
+    WHERE record_id = ?
+    ORDER BY id DESC
+  `).all(recordId);
+};
@@ -0,0 +1,140 @@
+// Local terminology for coded diagnoses.
+// Codes are loaded into terminology_codes from an ICD-10-CM code file (the
+// fixed-width "code  description" format of the CDC order files) and searched
+// through the terminology_fts index for autocomplete.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { prepareCached } from '../config/database.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const ICD10CM = 'ICD-10-CM';
+
+// Supported code systems and their FHIR system URIs
+export const CODE_SYSTEMS = {
+  [ICD10CM]: { uri: 'http://hl7.org/fhir/sid/icd-10-cm' }
+};
+
+export const DEFAULT_CODE_SYSTEM = ICD10CM;
+
+// Starter subset of ICD-10-CM shipped with the repo; load the full release with
+// npm run terminology:load -- <file>
+export const BUNDLED_ICD10CM_FILE = join(__dirname, '..', 'data', 'icd10cm-codes.txt');
+
+const ICD10CM_CODE_PATTERN = /^[A-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/;
+
+export const TERMINOLOGY_SEARCH_MAX_LIMIT = 50;
+
+// Canonical ICD-10-CM code: upper case with the dot after the category,
+// so "e119" and "E11.9" are the same code. Returns null for malformed codes.
+export const normalizeCode = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let code = value.trim().toUpperCase();
+  if (!code.includes('.') && code.length > 3) {
+    code = `${code.slice(0, 3)}.${code.slice(3)}`;
+  }
+
+  return ICD10CM_CODE_PATTERN.test(code) ? code : null;
+};
+
+// Parse an ICD-10-CM code file into [{ code, display }]. Each line holds a code
+// without its dot, whitespace, then the description. Unreadable lines are skipped.
+export const parseIcd10CmCodes = (text) => {
+  const entries = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^(\S+)\s+(.+?)\s*$/.exec(line);
+    const code = match && normalizeCode(match[1]);
+    if (code) {
+      entries.push({ code, display: match[2] });
+    }
+  }
+
+  return entries;
+};
+
+// Insert or update codes of one system and rebuild the search index.
+// Returns the number of codes loaded.
+export const loadTerminology = (db, { codeSystem, entries }) => {
+  const upsert = db.prepare(`
+    INSERT INTO terminology_codes (code_system, code, display)
+    VALUES (?, ?, ?)
+    ON CONFLICT (code_system, code) DO UPDATE SET display = excluded.display
+  `);
+
+  db.transaction(() => {
+    for (const { code, display } of entries) {
+      upsert.run(codeSystem, code, display);
+    }
+    db.exec("INSERT INTO terminology_fts (terminology_fts) VALUES ('rebuild')");
+  })();
+
+  return entries.length;
+};
+
+// Load the bundled ICD-10-CM subset into an empty terminology table
+export const ensureTerminologyLoaded = (db) => {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM terminology_codes WHERE code_system = ?').get(ICD10CM);
+  if (count > 0) {
+    return 0;
+  }
+
+  const entries = parseIcd10CmCodes(readFileSync(BUNDLED_ICD10CM_FILE, 'utf8'));
+  return loadTerminology(db, { codeSystem: ICD10CM, entries });
+};
+
+// One code, or undefined when it is not in the terminology
+export const findCode = (db, codeSystem, code) => {
+  return prepareCached(db, `
+    SELECT code_system, code, display FROM terminology_codes WHERE code_system = ? AND code = ?
+  `).get(codeSystem, code);
+};
+
+// Autocomplete: codes starting with the input come first, then full-text
+// matches on the description, where the last word may be incomplete.
+export const searchTerminology = (db, { query, codeSystem = ICD10CM, limit }) => {
+  const text = query.trim();
+  const results = [];
+  const seen = new Set();
+
+  const addAll = (rows) => {
+    for (const row of rows) {
+      if (results.length < limit && !seen.has(row.code)) {
+        seen.add(row.code);
+        results.push(row);
+      }
+    }
+  };
+
+  // Code prefix: "E11", "e11.6", "E116"
+  const codePrefix = text.toUpperCase().replace(/^([A-Z][0-9][0-9A-Z])([0-9A-Z])/, '$1.$2');
+  if (/^[A-Z][0-9A-Z.]*$/.test(codePrefix)) {
+    addAll(db.prepare(`
+      SELECT code_system, code, display
+      FROM terminology_codes
+      WHERE code_system = ? AND code LIKE ? ESCAPE '\\'
+      ORDER BY code
+      LIMIT ?
+    `).all(codeSystem, `${codePrefix.replace(/[%_\\]/g, '\\$&')}%`, limit));
+  }
+
+  // Description words, each as a prefix: "type 2 diab" -> "type"* "2"* "diab"*
+  const words = text.split(/\s+/).map((word) => word.replace(/"/g, '')).filter(Boolean);
+  if (results.length < limit && words.length > 0) {
+    addAll(db.prepare(`
+      SELECT t.code_system, t.code, t.display
+      FROM terminology_fts
+      JOIN terminology_codes t ON t.id = terminology_fts.rowid
+      WHERE terminology_fts MATCH ? AND t.code_system = ?
+      ORDER BY bm25(terminology_fts), t.code
+      LIMIT ?
+    `).all(words.map((word) => `"${word}"*`).join(' '), codeSystem, limit));
+  }
+
+  return results;
+};
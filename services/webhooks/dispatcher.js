@@ -0,0 +1,168 @@
+// Sends queued webhook deliveries from the outbox.
+// Each payload is signed with HMAC-SHA256 over "<timestamp>.<body>" using the
+// subscription's secret. Failed attempts (network errors, timeouts, non-2xx
+// responses) are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS,
+// after which the delivery is dead-lettered until replayed.
+
+import crypto from 'crypto';
+import { getDatabase } from '../../config/database.js';
+import { findDueDeliveries, markDelivered, markFailed } from './outbox.js';
+import { parseEventData } from '../recordEvents.js';
+
+// Deliveries sent per poll
+const BATCH_SIZE = 20;
+const POLL_INTERVAL_MS = 1000;
+
+// Backoff never waits longer than this between attempts
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Longest response status text or error kept on a delivery
+const MAX_ERROR_LENGTH = 500;
+
+export const SIGNATURE_HEADER = 'X-ElevAid-Signature';
+export const TIMESTAMP_HEADER = 'X-ElevAid-Timestamp';
+
+const readInteger = (name, fallback, min) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min) {
+    throw new Error(`${name} must be an integer of at least ${min}`);
+  }
+  return parsed;
+};
+
+export const getWebhookSettings = () => ({
+  maxAttempts: readInteger('WEBHOOK_MAX_ATTEMPTS', 8, 1),
+  retryBaseMs: readInteger('WEBHOOK_RETRY_BASE_MS', 30000, 0),
+  timeoutMs: readInteger('WEBHOOK_TIMEOUT_MS', 10000, 1)
+});
+
+// "v1=<hex HMAC-SHA256 of `${timestamp}.${body}`>"; receivers recompute it and
+// reject stale timestamps to stop replays
+export const signPayload = (secret, timestamp, body) => {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `v1=${hmac}`;
+};
+
+// Delay before the attempt after `attempts` failures: base, 2x base, 4x base, ...
+export const retryDelayMs = (attempts, retryBaseMs) => {
+  return Math.min(retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+};
+
+const truncate = (text) => (text.length > MAX_ERROR_LENGTH ? `${text.slice(0, MAX_ERROR_LENGTH)}...` : text);
+
+// Make one attempt. Resolves with { statusCode } on a 2xx response and
+// { statusCode, error } otherwise; never rejects.
+const send = async (delivery, timeoutMs) => {
+  const body = JSON.stringify({
+    id: delivery.event_id,
+    type: delivery.type,
+    created_at: delivery.created_at,
+    data: parseEventData(delivery.data)
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let response;
+  try {
+    response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ElevAid-Webhooks/1.0',
+        'X-ElevAid-Event': delivery.type,
+        'X-ElevAid-Event-Id': String(delivery.event_id),
+        'X-ElevAid-Delivery': String(delivery.id),
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signPayload(delivery.secret, timestamp, body)
+      },
+      body,
+      // A redirect could send the payload somewhere the subscription did not name
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    return { error: timedOut ? `No response within ${timeoutMs}ms` : truncate(error.cause?.message || error.message) };
+  }
+
+  // The body is not used, but reading it frees the connection
+  await response.arrayBuffer().catch(() => {});
+
+  if (response.status >= 200 && response.status < 300) {
+    return { statusCode: response.status };
+  }
+  return { statusCode: response.status, error: truncate(`HTTP ${response.status} ${response.statusText}`.trim()) };
+};
+
+const deliver = async (db, delivery, settings) => {
+  const { statusCode, error } = await send(delivery, settings.timeoutMs);
+
+  if (!error) {
+    markDelivered(db, delivery.id, statusCode);
+    return;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const retryAt = attempts < settings.maxAttempts
+    ? new Date(Date.now() + retryDelayMs(attempts, settings.retryBaseMs))
+    : null;
+
+  markFailed(db, delivery.id, { statusCode, error, retryAt });
+  if (!retryAt) {
+    console.warn(`⚠️  Webhook delivery ${delivery.id} (${delivery.type}) dead-lettered after ${attempts} attempt(s): ${error}`);
+  }
+};
+
+// Send every due delivery, a batch at a time. Returns how many were attempted.
+export const dispatchDueDeliveries = async (settings = getWebhookSettings()) => {
+  const db = getDatabase();
+  let attempted = 0;
+
+  for (;;) {
+    const due = findDueDeliveries(db, BATCH_SIZE);
+    if (due.length === 0) {
+      return attempted;
+    }
+
+    await Promise.all(due.map((delivery) => deliver(db, delivery, settings)));
+    attempted += due.length;
+  }
+};
+
+let timer;
+
+// Poll the outbox in the background until stopWebhookDispatcher() is called.
+// Deliveries interrupted by a shutdown are still pending and are sent again.
+export const startWebhookDispatcher = () => {
+  if (timer) {
+    return;
+  }
+
+  // Fail on a bad configuration now rather than on the first delivery
+  const settings = getWebhookSettings();
+  let running = false;
+
+  timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await dispatchDueDeliveries(settings);
+    } catch (error) {
+      console.error('Error dispatching webhooks:', error);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+};
+
+export const stopWebhookDispatcher = () => {
+  clearInterval(timer);
+  timer = undefined;
+};
@@ -0,0 +1,117 @@
+// Transactional outbox for webhook deliveries.
+// Deliveries are queued by appendRecordEvent (services/recordEvents.js) inside
+// the transaction that changes the record, so they exist exactly when the
+// change commits. The dispatcher picks due deliveries up from here.
+
+import { prepareCached } from '../../config/database.js';
+import { toSqliteTimestamp } from '../../config/auth.js';
+
+// pending: waiting for its next attempt; delivered: a 2xx response was
+// received; dead: every attempt failed and it waits for a manual replay
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const DELIVERY_COLUMNS = `
+  d.id, d.subscription_id, d.event_id, e.type AS event_type, d.status, d.attempts, d.next_attempt_at,
+  d.last_attempt_at, d.last_status_code, d.last_error, d.delivered_at, d.created_at
+`;
+
+// Queue an event for every active subscription to its type
+export const queueWebhookDeliveries = (db, eventId, type) => {
+  prepareCached(db, `
+    INSERT INTO webhook_deliveries (subscription_id, event_id, next_attempt_at, created_at)
+    SELECT s.id, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    FROM webhook_subscriptions s
+    WHERE s.active = 1 AND EXISTS (SELECT 1 FROM json_each(s.events) WHERE json_each.value = ?)
+  `).run(eventId, type);
+};
+
+// Pending deliveries whose next attempt is due, oldest first, with what is
+// needed to send them. Deliveries of paused subscriptions wait.
+export const findDueDeliveries = (db, limit) => {
+  return prepareCached(db, `
+    SELECT d.id, d.attempts, s.url, s.secret, e.id AS event_id, e.type, e.data, e.created_at
+    FROM webhook_deliveries d
+    JOIN webhook_subscriptions s ON s.id = d.subscription_id
+    JOIN record_events e ON e.id = d.event_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP AND s.active = 1
+    ORDER BY d.next_attempt_at, d.id
+    LIMIT ?
+  `).all(limit);
+};
+
+export const markDelivered = (db, id, statusCode) => {
+  prepareCached(db, `
+    UPDATE webhook_deliveries
+    SET status = 'delivered', attempts = attempts + 1, next_attempt_at = NULL, last_attempt_at = CURRENT_TIMESTAMP,
+        last_status_code = ?, last_error = NULL, delivered_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(statusCode, id);
+};
+
+// Record a failed attempt. With retryAt the delivery waits for that time;
+// without it the delivery is dead-lettered.
+export const markFailed = (db, id, { statusCode = null, error, retryAt }) => {
+  prepareCached(db, `
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP,
+        last_status_code = ?, last_error = ?, next_attempt_at = ?
+    WHERE id = ?
+  `).run(retryAt ? 'pending' : 'dead', statusCode, error, retryAt ? toSqliteTimestamp(retryAt) : null, id);
+};
+
+// Deliveries newest first, optionally for one subscription and/or status.
+// `beforeId` continues a listing from the last ID of the previous page.
+export const listDeliveries = (db, { subscriptionId, status, beforeId, limit }) => {
+  const conditions = [];
+  const params = [];
+
+  if (subscriptionId) {
+    conditions.push('d.subscription_id = ?');
+    params.push(subscriptionId);
+  }
+  if (status) {
+    conditions.push('d.status = ?');
+    params.push(status);
+  }
+  if (beforeId) {
+    conditions.push('d.id < ?');
+    params.push(beforeId);
+  }
+
+  return prepareCached(db, `
+    SELECT ${DELIVERY_COLUMNS}
+    FROM webhook_deliveries d
+    JOIN record_events e ON e.id = d.event_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY d.id DESC
+    LIMIT ?
+  `).all(...params, limit);
+};
+
+export const getDelivery = (db, id) => {
+  return prepareCached(db, `
+    SELECT ${DELIVERY_COLUMNS}
+    FROM webhook_deliveries d
+    JOIN record_events e ON e.id = d.event_id
+    WHERE d.id = ?
+  `).get(id);
+};
+
+// Queue a delivery again with a fresh set of attempts
+export const replayDelivery = (db, id) => {
+  prepareCached(db, `
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, delivered_at = NULL
+    WHERE id = ?
+  `).run(id);
+};
+
+// Queue every dead delivery again, optionally only those of one subscription.
+// Returns how many were queued.
+export const replayDeadDeliveries = (db, subscriptionId) => {
+  return prepareCached(db, `
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+    WHERE status = 'dead' AND (? IS NULL OR subscription_id = ?)
+  `).run(subscriptionId ?? null, subscriptionId ?? null).changes;
+};
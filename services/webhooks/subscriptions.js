@@ -0,0 +1,130 @@
+// Webhook subscriptions: where events are sent, which event types, and the
+// secret their payloads are signed with. Secrets are stored as given because
+// every delivery has to be signed with them; they are never listed back.
+
+import crypto from 'crypto';
+import { prepareCached } from '../../config/database.js';
+import { RECORD_EVENT_TYPES } from '../recordEvents.js';
+
+const SECRET_PREFIX = 'whsec_';
+export const MIN_SECRET_LENGTH = 16;
+
+// Everything except the secret
+const SUBSCRIPTION_COLUMNS = 'id, url, events, description, active, created_by, created_at, updated_at';
+
+export const generateWebhookSecret = () => {
+  return SECRET_PREFIX + crypto.randomBytes(32).toString('base64url');
+};
+
+const formatSubscription = (subscription) => subscription && {
+  ...subscription,
+  events: JSON.parse(subscription.events),
+  active: subscription.active === 1
+};
+
+// Check the fields of a new subscription, or of an update when `partial` is
+// set. Returns { errors } or { values } with the fields that were given.
+export const validateSubscriptionInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  const values = {};
+  const { url, events, secret, description, active } = input ?? {};
+
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+    if (typeof url !== 'string' || !parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push('url must be an absolute http or https URL');
+    } else {
+      values.url = parsed.href;
+    }
+  }
+
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push('events must be a non-empty array of event types');
+    } else {
+      const unknown = events.filter((type) => !RECORD_EVENT_TYPES.includes(type));
+      if (unknown.length > 0) {
+        errors.push(`events must only contain: ${RECORD_EVENT_TYPES.join(', ')}`);
+      } else {
+        values.events = [...new Set(events)];
+      }
+    }
+  }
+
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      errors.push(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    } else {
+      values.secret = secret;
+    }
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      errors.push('description must be a string');
+    } else {
+      values.description = description?.trim() || null;
+    }
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      errors.push('active must be true or false');
+    } else {
+      values.active = active;
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { values };
+};
+
+export const listSubscriptions = (db) => {
+  return prepareCached(db, `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions ORDER BY id ASC`)
+    .all()
+    .map(formatSubscription);
+};
+
+export const getSubscription = (db, id) => {
+  return formatSubscription(
+    prepareCached(db, `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = ?`).get(id)
+  );
+};
+
+// Create a subscription from validated values. Returns its ID.
+export const createSubscription = (db, { url, events, secret, description = null }, createdBy) => {
+  const { lastInsertRowid } = prepareCached(db, `
+    INSERT INTO webhook_subscriptions (url, events, secret, description, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+  `).run(url, JSON.stringify(events), secret, description, createdBy);
+
+  return Number(lastInsertRowid);
+};
+
+// Apply validated values from validateSubscriptionInput(..., { partial: true })
+export const updateSubscription = (db, id, values) => {
+  const current = prepareCached(db, 'SELECT url, events, secret, description, active FROM webhook_subscriptions WHERE id = ?').get(id);
+
+  prepareCached(db, `
+    UPDATE webhook_subscriptions
+    SET url = @url, events = @events, secret = @secret, description = @description, active = @active,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `).run({
+    id,
+    url: values.url ?? current.url,
+    events: values.events ? JSON.stringify(values.events) : current.events,
+    secret: values.secret ?? current.secret,
+    description: values.description !== undefined ? values.description : current.description,
+    active: values.active !== undefined ? Number(values.active) : current.active
+  });
+};
+
+// Delete a subscription along with its deliveries. Returns false if there was none.
+export const deleteSubscription = (db, id) => {
+  return prepareCached(db, 'DELETE FROM webhook_subscriptions WHERE id = ?').run(id).changes > 0;
+};
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createFieldCipher, isEncryptedValue, FieldEncryptionError } from '../config/encryption.js';
+
+const key = () => crypto.randomBytes(32);
+
+describe('field encryption', () => {
+  const oldKey = key();
+  const newKey = key();
+  const cipher = createFieldCipher({ keys: new Map([['old', oldKey], ['new', newKey]]), activeKeyId: 'new' });
+
+  it('round-trips values under the active key', () => {
+    const stored = cipher.encrypt('note', 'Patient reports chest pain 🫀');
+    assert.ok(isEncryptedValue(stored));
+    assert.ok(stored.startsWith('enc:v1:new:'));
+    assert.ok(!stored.includes('chest'));
+    assert.equal(cipher.decrypt('note', stored), 'Patient reports chest pain 🫀');
+  });
+
+  it('uses a fresh IV for every value', () => {
+    assert.notEqual(cipher.encrypt('note', 'same'), cipher.encrypt('note', 'same'));
+  });
+
+  it('keeps null and plaintext from before encryption as they are', () => {
+    assert.equal(cipher.encrypt('note', null), null);
+    assert.equal(cipher.encrypt('note', undefined), null);
+    assert.equal(cipher.decrypt('note', 'written before encryption'), 'written before encryption');
+    assert.equal(cipher.decrypt('note', null), null);
+  });
+
+  it('decrypts values written under an older key', () => {
+    const previous = createFieldCipher({ keys: new Map([['old', oldKey]]), activeKeyId: 'old' });
+    assert.equal(cipher.decrypt('diagnosis', previous.encrypt('diagnosis', 'Asthma')), 'Asthma');
+  });
+
+  it('binds each value to its field', () => {
+    const stored = cipher.encrypt('note', 'Asthma');
+    assert.throws(() => cipher.decrypt('diagnosis', stored), {
+      name: 'FieldEncryptionError',
+      message: 'Encrypted diagnosis value failed authentication with key "new"'
+    });
+  });
+
+  it('rejects tampered, truncated and unknown-key values', () => {
+    const stored = cipher.encrypt('note', 'Asthma');
+    const payload = Buffer.from(stored.slice('enc:v1:new:'.length), 'base64');
+    payload[payload.length - 1] ^= 1;
+
+    assert.throws(() => cipher.decrypt('note', `enc:v1:new:${payload.toString('base64')}`), FieldEncryptionError);
+    assert.throws(() => cipher.decrypt('note', 'enc:v1:new:AAAA'), { message: 'Encrypted note value is malformed' });
+    assert.throws(() => cipher.decrypt('note', stored.replace('enc:v1:new:', 'enc:v1:gone:')), {
+      message: 'Encryption key "gone" is not configured'
+    });
+  });
+
+  it('computes keyed digests that match under every configured key', () => {
+    const digest = cipher.hmac('idempotency', 'value');
+    assert.match(digest, /^new:[0-9a-f]{64}$/);
+    assert.equal(cipher.hmac('idempotency', 'value'), digest);
+    assert.notEqual(cipher.hmac('other', 'value'), digest);
+    assert.deepEqual(cipher.hmacCandidates('idempotency', 'value').map((candidate) => candidate.split(':')[0]), ['old', 'new']);
+    assert.ok(cipher.hmacCandidates('idempotency', 'value').includes(digest));
+  });
+});
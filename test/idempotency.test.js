@@ -0,0 +1,89 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+
+process.env.FIELD_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+
+const { loadMigrations, migrateUp } = await import('../config/migrations.js');
+const {
+  hashIdempotentRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  pruneExpiredIdempotencyKeys,
+  releaseInterruptedIdempotencyKeys
+} = await import('../services/idempotency.js');
+
+const migrations = await loadMigrations();
+
+const requestHash = hashIdempotentRequest({ method: 'POST', url: '/api/records', body: { diagnosis: 'Asthma' } });
+const scope = { keyId: 1, key: 'retry-1' };
+
+describe('idempotency keys', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database(':memory:');
+    await migrateUp(db, migrations);
+  });
+
+  it('fingerprints method, URL and body', () => {
+    assert.equal(hashIdempotentRequest({ method: 'POST', url: '/api/records', body: { diagnosis: 'Asthma' } }), requestHash);
+    assert.notEqual(hashIdempotentRequest({ method: 'POST', url: '/api/records', body: { diagnosis: 'Eczema' } }), requestHash);
+    assert.notEqual(hashIdempotentRequest({ method: 'POST', url: '/api/records?x=1', body: { diagnosis: 'Asthma' } }), requestHash);
+    assert.notEqual(hashIdempotentRequest({ method: 'POST', url: '/api/records/import', body: 'diagnosis\nAsthma' }),
+      hashIdempotentRequest({ method: 'POST', url: '/api/records/import', body: 'diagnosis\nEczema' }));
+  });
+
+  it('lets one request claim a key and reports it as running to the next', () => {
+    assert.deepEqual(claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: 60000 }), { claimed: true });
+    assert.deepEqual(claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: 60000 }), { claimed: false, requestHash, response: null });
+
+    // Keys belong to the API key that sent them
+    assert.deepEqual(claimIdempotencyKey(db, { ...scope, keyId: 2, requestHash, ttlMs: 60000 }), { claimed: true });
+  });
+
+  it('replays the stored response and keeps it encrypted at rest', () => {
+    claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: 60000 });
+    completeIdempotencyKey(db, { ...scope, statusCode: 201, body: { success: true, data: { id: 7, diagnosis: 'Asthma' } }, location: '/api/records/7' });
+
+    const stored = db.prepare('SELECT response_body, encryption_key_id FROM idempotency_keys').get();
+    assert.ok(!stored.response_body.includes('Asthma'));
+    assert.equal(stored.encryption_key_id, 'test');
+
+    assert.deepEqual(claimIdempotencyKey(db, { ...scope, requestHash: 'other', ttlMs: 60000 }), {
+      claimed: false,
+      requestHash,
+      response: { statusCode: 201, body: { success: true, data: { id: 7, diagnosis: 'Asthma' } }, location: '/api/records/7' }
+    });
+  });
+
+  it('releases claims without a response but keeps completed ones', () => {
+    claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: 60000 });
+    releaseIdempotencyKey(db, scope);
+    assert.deepEqual(claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: 60000 }), { claimed: true });
+
+    completeIdempotencyKey(db, { ...scope, statusCode: 201, body: {} });
+    releaseIdempotencyKey(db, scope);
+    assert.equal(claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: 60000 }).claimed, false);
+  });
+
+  it('replaces expired keys and prunes them', () => {
+    claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: -1 });
+    completeIdempotencyKey(db, { ...scope, statusCode: 201, body: {} });
+    assert.deepEqual(claimIdempotencyKey(db, { ...scope, requestHash: 'new', ttlMs: 60000 }), { claimed: true });
+
+    claimIdempotencyKey(db, { keyId: 1, key: 'retry-2', requestHash, ttlMs: -1 });
+    assert.equal(pruneExpiredIdempotencyKeys(db), 1);
+  });
+
+  it('releases claims left by interrupted requests', () => {
+    claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: 60000 });
+    claimIdempotencyKey(db, { keyId: 1, key: 'retry-2', requestHash, ttlMs: 60000 });
+    completeIdempotencyKey(db, { keyId: 1, key: 'retry-2', statusCode: 201, body: {} });
+
+    assert.equal(releaseInterruptedIdempotencyKeys(db), 1);
+    assert.deepEqual(claimIdempotencyKey(db, { ...scope, requestHash, ttlMs: 60000 }), { claimed: true });
+  });
+});
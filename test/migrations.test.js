@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { loadMigrations, migrateUp, getSchemaStatus } from '../config/migrations.js';
+
+const migrations = await loadMigrations();
+const latest = migrations[migrations.length - 1].version;
+
+// An in-memory database migrated up to `version`
+const databaseAt = async (version) => {
+  const db = new Database(':memory:');
+  await migrateUp(db, migrations, { to: version });
+  return db;
+};
+
+const insertRecordWithStatusChange = (db, { keyId = null, reason = 'Symptoms gone' } = {}) => {
+  const patientId = db.prepare("INSERT INTO patients (first_name, last_name) VALUES ('Ada', 'Smith')").run().lastInsertRowid;
+  const recordId = db.prepare(`
+    INSERT INTO records (patient_id, diagnosis, status, note) VALUES (?, 'Flu', 'resolved', 'Fever')
+  `).run(patientId).lastInsertRowid;
+
+  const keyColumn = keyId === null ? '' : ', encryption_key_id';
+  const keyValue = keyId === null ? '' : ', @keyId';
+  const insertRevision = db.prepare(`
+    INSERT INTO record_revisions (record_id, revision, change_type, patient_id, diagnosis, status, note, reason${keyColumn})
+    VALUES (@recordId, @revision, @changeType, @patientId, 'Flu', @status, 'Fever', @reason${keyValue})
+  `);
+  insertRevision.run({ recordId, revision: 1, changeType: 'create', patientId, status: 'active', reason: null, keyId });
+  insertRevision.run({ recordId, revision: 2, changeType: 'status_change', patientId, status: 'resolved', reason, keyId });
+
+  return recordId;
+};
+
+describe('migrations', () => {
+  it('apply from an empty database to the latest version', async () => {
+    const db = await databaseAt(Infinity);
+
+    assert.equal(getSchemaStatus(db, migrations).current, latest);
+  });
+
+  it('apply to a pre-encryption database holding status change revisions', async () => {
+    const db = await databaseAt(2);
+    const recordId = insertRecordWithStatusChange(db);
+    db.prepare(`
+      INSERT INTO record_events (type, record_id, data) VALUES ('record.status_changed', ?, '{"reason":"Symptoms gone"}')
+    `).run(recordId);
+
+    await migrateUp(db, migrations);
+
+    assert.equal(getSchemaStatus(db, migrations).current, latest);
+    const revision = db.prepare('SELECT reason, encryption_key_id FROM record_revisions WHERE revision = 2').get();
+    assert.deepEqual({ ...revision }, { reason: 'Symptoms gone', encryption_key_id: null });
+    assert.equal(db.prepare('SELECT encryption_key_id FROM record_events').get().encryption_key_id, null);
+  });
+
+  it('mark encrypted revisions and events with a plaintext reason for rotation', async () => {
+    const db = await databaseAt(6);
+    const recordId = insertRecordWithStatusChange(db, { keyId: 'k1' });
+    db.prepare(`
+      INSERT INTO record_events (type, record_id, data, encryption_key_id)
+      VALUES ('record.status_changed', ?, '{"reason":"Symptoms gone"}', 'k1')
+    `).run(recordId);
+
+    await migrateUp(db, migrations);
+
+    const keyIds = db.prepare('SELECT revision, encryption_key_id FROM record_revisions ORDER BY revision').all();
+    assert.deepEqual(keyIds.map((row) => ({ ...row })), [
+      { revision: 1, encryption_key_id: 'k1' },
+      { revision: 2, encryption_key_id: null }
+    ]);
+    assert.equal(db.prepare('SELECT encryption_key_id FROM record_events').get().encryption_key_id, null);
+  });
+
+  it('keep revisions append-only apart from re-encryption', async () => {
+    const db = await databaseAt(Infinity);
+    insertRecordWithStatusChange(db, { keyId: 'k1' });
+
+    assert.throws(
+      () => db.prepare("UPDATE record_revisions SET status = 'active' WHERE revision = 2").run(),
+      /append-only/
+    );
+    db.prepare("UPDATE record_revisions SET reason = 'rewritten', encryption_key_id = 'k2' WHERE revision = 2").run();
+  });
+
+  it('remove webhook secrets from stored idempotent responses', async () => {
+    const db = await databaseAt(8);
+    db.prepare(`
+      INSERT INTO idempotency_keys (principal_key_id, idempotency_key, request_hash, status_code, response_body, created_at, expires_at)
+      VALUES (1, 'w-1', 'hash', 201, '{"success":true,"data":{"id":1},"secret":"whsec_x"}', 0, 1)
+    `).run();
+
+    await migrateUp(db, migrations);
+
+    assert.deepEqual(
+      JSON.parse(db.prepare('SELECT response_body FROM idempotency_keys').get().response_body),
+      { success: true, data: { id: 1 } }
+    );
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createOpenApiValidator } from '../config/openapiValidation.js';
+
+const spec = {
+  openapi: '3.0.0',
+  components: {
+    schemas: {
+      RecordInput: {
+        type: 'object',
+        required: ['diagnosis'],
+        properties: {
+          diagnosis: { type: 'string' },
+          details: { type: 'object', properties: { severity: { type: 'string' } } }
+        }
+      }
+    }
+  },
+  paths: {
+    '/api/records': {
+      get: {
+        parameters: [
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1 } }
+        ]
+      },
+      post: {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/RecordInput' } } }
+        }
+      }
+    },
+    '/api/records/{id}': {
+      get: {
+        parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'integer' } }]
+      },
+      delete: {
+        parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'integer' } }]
+      }
+    },
+    '/api/records/export': {
+      get: {
+        parameters: [{ in: 'query', name: 'format', schema: { type: 'string', enum: ['csv'] } }]
+      }
+    },
+    '/api/records/import': {
+      post: {
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: { type: 'object', properties: { rows: { type: 'array' } } } },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+describe('OpenAPI request validation', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(createOpenApiValidator(spec));
+    // Echo what the route handler sees so tests can check the request was left alone
+    app.use((req, res) => res.json({ path: req.path, query: req.query, body: req.body }));
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const request = async (method, path, { json, body, contentType } = {}) => {
+    const headers = {};
+    if (json !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(json);
+    } else if (contentType) {
+      headers['Content-Type'] = contentType;
+    }
+    const res = await fetch(`${baseUrl}${path}`, { method, headers, body });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const messages = (res) => res.body.errors.map((error) => `${error.location} ${error.pointer} ${error.message}`);
+
+  it('accepts a body matching the schema', async () => {
+    const res = await request('POST', '/api/records', { json: { diagnosis: 'Asthma', details: { severity: 'mild' } } });
+    assert.equal(res.status, 200);
+  });
+
+  it('rejects body fields the schema does not list, including in nested objects', async () => {
+    const res = await request('POST', '/api/records', { json: { diagnosis: 'Asthma', diagnoses: 'x', details: { grade: 2 } } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.error, 'Validation error');
+    assert.deepEqual(messages(res).sort(), ['body /details/grade is not allowed', 'body /diagnoses is not allowed']);
+  });
+
+  it('rejects query parameters the operation does not document', async () => {
+    const res = await request('GET', '/api/records?limit=5&colour=red');
+    assert.equal(res.status, 400);
+    assert.deepEqual(messages(res), ['query /colour is not allowed']);
+  });
+
+  it('matches literal paths before templated ones', async () => {
+    const res = await request('GET', '/api/records/export?format=csv');
+    assert.equal(res.status, 200);
+
+    const invalid = await request('GET', '/api/records/export?format=pdf');
+    assert.deepEqual(messages(invalid), ['query /format must be one of: csv']);
+  });
+
+  it('checks path parameters of templated paths', async () => {
+    assert.equal((await request('GET', '/api/records/12')).status, 200);
+
+    const res = await request('GET', '/api/records/twelve');
+    assert.equal(res.status, 400);
+    assert.deepEqual(messages(res), ['path /id must be integer']);
+  });
+
+  it('coerces query values for validation without changing them for the route', async () => {
+    const res = await request('GET', '/api/records?limit=5');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.query, { limit: '5' });
+
+    const invalid = await request('GET', '/api/records?limit=0');
+    assert.deepEqual(messages(invalid), ['query /limit must be >= 1']);
+  });
+
+  it('requires a JSON body when JSON is the only documented content type', async () => {
+    const res = await request('POST', '/api/records', { body: 'diagnosis=Asthma', contentType: 'text/plain' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(messages(res), ['body / is required as application/json']);
+  });
+
+  it('leaves other documented content types to the route', async () => {
+    const res = await request('POST', '/api/records/import', { body: 'diagnosis\nAsthma', contentType: 'text/csv' });
+    assert.equal(res.status, 200);
+  });
+
+  it('rejects a JSON body on an operation that takes none', async () => {
+    const res = await request('DELETE', '/api/records/12', { json: { reason: 'duplicate' } });
+    assert.equal(res.status, 400);
+    assert.deepEqual(messages(res), ['body / is not allowed']);
+
+    assert.equal((await request('DELETE', '/api/records/12')).status, 200);
+  });
+
+  it('passes requests for undocumented paths through', async () => {
+    const res = await request('GET', '/api/unknown?anything=1');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.path, '/api/unknown');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dataDir = mkdtempSync(join(tmpdir(), 'elevaid-test-'));
+process.env.DATABASE_PATH = join(dataDir, 'database.sqlite');
+process.env.FIELD_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+
+const { initDatabase, closeDatabase } = await import('../config/database.js');
+const { createRecord, softDeleteRecord, restoreRecord } = await import('../services/recordRepository.js');
+const { migrateLegacyStatuses } = await import('../services/recordStatus.js');
+const { listRecordEvents } = await import('../services/recordEvents.js');
+
+const eventsAfter = (db, afterId) => listRecordEvents(db, { afterId, upToId: Number.MAX_SAFE_INTEGER, limit: 100 });
+
+describe('record events', () => {
+  let db;
+  let recordId;
+
+  before(async () => {
+    db = await initDatabase();
+    const patientId = db.prepare("INSERT INTO patients (first_name, last_name) VALUES ('Ada', 'Lovelace')").run().lastInsertRowid;
+    recordId = createRecord({ patientId, diagnosis: 'Asthma', status: 'active', note: 'Wheezing' }, 'test');
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('are appended when a record is deleted and restored', () => {
+    const [created] = eventsAfter(db, 0);
+    softDeleteRecord(recordId, 'test');
+    restoreRecord(recordId, 'test');
+
+    const events = eventsAfter(db, created.id);
+    assert.deepEqual(events.map((event) => [event.type, event.record_id]), [
+      ['record.deleted', recordId],
+      ['record.restored', recordId]
+    ]);
+  });
+
+  it('are appended when a legacy status is mapped', () => {
+    const [latest] = eventsAfter(db, 0).slice(-1);
+    db.prepare("UPDATE records SET status = 'Active ' WHERE id = ?").run(recordId);
+
+    migrateLegacyStatuses(db);
+
+    const [event] = eventsAfter(db, latest.id);
+    assert.equal(event.type, 'record.status_changed');
+    assert.equal(event.data.previous_status, 'Active ');
+    assert.equal(event.data.record.status, 'active');
+    assert.match(event.data.reason, /Mapped legacy status "Active "/);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRecordInput } from '../services/recordInput.js';
+
+const valid = { patient_id: 1, diagnosis: 'Asthma', status: 'active', note: 'Wheezing' };
+
+describe('validateRecordInput', () => {
+  it('returns the trimmed, normalized record', () => {
+    assert.deepEqual(validateRecordInput({ ...valid, patient_id: '1', diagnosis: ' Asthma ', status: 'Active' }), {
+      record: { patientId: 1, diagnosis: 'Asthma', status: 'active', note: 'Wheezing', codeSystem: null, code: null }
+    });
+  });
+
+  it('names the field with the wrong type', () => {
+    assert.deepEqual(validateRecordInput({ ...valid, diagnosis: 5 }), { errors: ['diagnosis must be a string'] });
+    assert.deepEqual(validateRecordInput({ ...valid, status: true, note: ['Wheezing'] }), {
+      errors: ['status must be a string', 'note must be a string']
+    });
+  });
+
+  it('reports each missing, empty or invalid field', () => {
+    assert.deepEqual(validateRecordInput({ patient_id: 'abc', status: ' ', note: '' }), {
+      errors: [
+        'patient_id must be a valid patient ID',
+        'diagnosis is required unless a code is given',
+        'status must not be empty',
+        'note is required'
+      ]
+    });
+    assert.deepEqual(validateRecordInput(undefined).errors, [
+      'patient_id is required',
+      'diagnosis is required unless a code is given',
+      'status is required',
+      'note is required'
+    ]);
+  });
+
+  it('checks lengths and the status vocabulary', () => {
+    const { errors } = validateRecordInput({ ...valid, diagnosis: 'x'.repeat(501), status: 'cured' });
+    assert.equal(errors.length, 2);
+    assert.equal(errors[0], 'diagnosis must be at most 500 characters');
+    assert.match(errors[1], /^status must be one of: /);
+  });
+
+  it('lets a code stand in for the diagnosis', () => {
+    const { diagnosis, ...withoutDiagnosis } = valid;
+    assert.deepEqual(validateRecordInput({ ...withoutDiagnosis, code: 'e119' }).record, {
+      patientId: 1, diagnosis: null, status: 'active', note: 'Wheezing', codeSystem: 'ICD-10-CM', code: 'E11.9'
+    });
+    assert.deepEqual(validateRecordInput({ ...withoutDiagnosis, code: 5 }).errors, ['code must be an ICD-10-CM code such as I10 or E11.9']);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+
+process.env.FIELD_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+
+const { registerEncryptionFunctions, encryptField } = await import('../config/encryption.js');
+const { loadMigrations, migrateUp } = await import('../config/migrations.js');
+const { parseListParams, listRecordsPage, encodeCursor, ListParamError, SORT_EXPRESSIONS, RECORD_FIELDS } = await import('../services/recordListing.js');
+
+const parse = (query) => parseListParams(query, {
+  sorts: Object.keys(SORT_EXPRESSIONS),
+  defaultSort: 'created_at',
+  defaultFields: RECORD_FIELDS
+});
+
+// Follow nextCursor from the first page to the last, collecting the diagnoses
+const allPages = (db, query) => {
+  const pages = [];
+  let cursor;
+  do {
+    const page = listRecordsPage(db, { params: parse({ ...query, cursor }) });
+    pages.push(page.items.map((item) => item.diagnosis));
+    cursor = page.nextCursor ?? undefined;
+  } while (cursor);
+  return pages;
+};
+
+describe('record listing', () => {
+  let db;
+
+  before(async () => {
+    db = new Database(':memory:');
+    registerEncryptionFunctions(db);
+    await migrateUp(db, await loadMigrations());
+
+    db.prepare("INSERT INTO patients (id, first_name, last_name) VALUES (1, 'Ada', 'Smith')").run();
+
+    // Two records share a creation time so paging has to fall back on the ID
+    const insert = db.prepare("INSERT INTO records (patient_id, diagnosis, status, created_at) VALUES (1, ?, 'active', ?)");
+    insert.run(encryptField('diagnosis', 'Diabetes'), '2026-01-01 10:00:00');
+    insert.run(encryptField('diagnosis', 'Asthma'), '2026-01-02 10:00:00');
+    insert.run(encryptField('diagnosis', 'Eczema'), '2026-01-02 10:00:00');
+    insert.run(encryptField('diagnosis', 'Bronchitis'), '2026-01-03 10:00:00');
+    insert.run(encryptField('diagnosis', 'Colitis'), '2026-01-04 10:00:00');
+  });
+
+  it('pages through every record once, breaking ties on the ID', () => {
+    assert.deepEqual(allPages(db, { limit: '2' }), [
+      ['Diabetes', 'Asthma'],
+      ['Eczema', 'Bronchitis'],
+      ['Colitis']
+    ]);
+    assert.deepEqual(allPages(db, { limit: '2', order: 'desc' }), [
+      ['Colitis', 'Bronchitis'],
+      ['Eczema', 'Asthma'],
+      ['Diabetes']
+    ]);
+  });
+
+  it('sorts and pages by decrypted values', () => {
+    assert.deepEqual(allPages(db, { limit: '3', sort: 'diagnosis' }), [
+      ['Asthma', 'Bronchitis', 'Colitis'],
+      ['Diabetes', 'Eczema']
+    ]);
+  });
+
+  it('counts every matching record and ends with a null cursor', () => {
+    const page = listRecordsPage(db, { params: parse({ limit: '5' }) });
+    assert.equal(page.total, 5);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it('rejects a cursor issued for another sort order', () => {
+    const cursor = encodeCursor({ sort: 'created_at', order: 'asc', value: '2026-01-01 10:00:00', id: 1 });
+    assert.doesNotThrow(() => parse({ cursor }));
+    assert.throws(() => parse({ cursor, order: 'desc' }), {
+      name: 'ListParamError',
+      message: 'cursor was issued for a different sort order; restart from the first page'
+    });
+    assert.throws(() => parse({ cursor, sort: 'diagnosis' }), ListParamError);
+  });
+
+  it('rejects cursors that do not decode', () => {
+    for (const cursor of ['not a cursor', Buffer.from('{"s":"created_at","o":"asc","v":1}').toString('base64url')]) {
+      assert.throws(() => parse({ cursor }), { name: 'ListParamError', message: 'cursor is invalid' });
+    }
+  });
+
+  it('checks limit, sort and order', () => {
+    assert.throws(() => parse({ limit: '0' }), { message: 'limit must be an integer between 1 and 200' });
+    assert.throws(() => parse({ sort: 'note' }), { message: 'sort must be one of: created_at, updated_at, diagnosis' });
+    assert.throws(() => parse({ order: 'up' }), { message: 'order must be asc or desc' });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+
+process.env.FIELD_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+
+const { registerEncryptionFunctions, encryptField } = await import('../config/encryption.js');
+const { loadMigrations, migrateUp } = await import('../config/migrations.js');
+const { attachSearchIndex, searchRecords, findMatchingRecordIds, SearchQueryError } = await import('../services/search.js');
+const { parseListParams, SORT_EXPRESSIONS, RECORD_FIELDS } = await import('../services/recordListing.js');
+
+const params = parseListParams({}, {
+  sorts: ['relevance', ...Object.keys(SORT_EXPRESSIONS)],
+  defaultSort: 'relevance',
+  defaultFields: RECORD_FIELDS
+});
+
+const insertRecord = (db, { patientId, diagnosis, note }) => db.prepare(`
+  INSERT INTO records (patient_id, diagnosis, status, note) VALUES (?, ?, 'active', ?)
+`).run(patientId, encryptField('diagnosis', diagnosis), encryptField('note', note)).lastInsertRowid;
+
+// IDs of the matching records in ID order
+const matches = (db, query, deidentified) => searchRecords(db, { query, params, deidentified }).items
+  .map((item) => item.id)
+  .sort((a, b) => a - b);
+
+describe('search', () => {
+  let db;
+  let patientId;
+  let recordId;
+
+  before(async () => {
+    db = new Database(':memory:');
+    registerEncryptionFunctions(db);
+    await migrateUp(db, await loadMigrations());
+
+    patientId = db.prepare("INSERT INTO patients (first_name, last_name) VALUES ('Quenby', 'Thistlewood')").run().lastInsertRowid;
+    recordId = insertRecord(db, { patientId, diagnosis: 'Influenza', note: 'Quenby Thistlewood reports fever' });
+    attachSearchIndex(db);
+  });
+
+  it('finds records by PHI in the note for callers who see it', () => {
+    assert.deepEqual(matches(db, 'Thistlewood', false), [recordId]);
+  });
+
+  it('does not find records by PHI in the note for callers who see de-identified notes', () => {
+    assert.deepEqual(matches(db, 'Thistlewood', true), []);
+    assert.deepEqual(matches(db, 'Quenby OR Thistlewood', true), []);
+    assert.deepEqual(findMatchingRecordIds(db, 'Thistlewood', { deidentified: true }), []);
+  });
+
+  it('finds other note text and takes the snippet from the de-identified note', () => {
+    const [result] = searchRecords(db, { query: 'fever', params, deidentified: true }).items;
+
+    assert.equal(result.id, recordId);
+    assert.match(result.snippet, /\[NAME_\d\] \[NAME_\d\] reports <mark>fever<\/mark>/);
+  });
+
+  it('indexes records written after the index was built', () => {
+    const laterId = insertRecord(db, { patientId, diagnosis: 'Migraine', note: 'Thistlewood has headaches' });
+
+    assert.deepEqual(matches(db, 'Thistlewood', false), [recordId, laterId]);
+    assert.deepEqual(matches(db, 'Thistlewood', true), []);
+    assert.deepEqual(matches(db, 'headaches', true), [laterId]);
+  });
+
+  it('indexes notes again when the patient is renamed', () => {
+    const [, laterId] = matches(db, 'Thistlewood', false);
+    db.prepare("UPDATE patients SET last_name = 'Fever' WHERE id = ?").run(patientId);
+
+    assert.deepEqual(matches(db, 'Thistlewood', true), [recordId, laterId]);
+    assert.deepEqual(matches(db, 'fever', true), []);
+  });
+
+  it('refuses queries whose parentheses do not balance', () => {
+    assert.throws(() => matches(db, '"x") OR ("Thistlewood"', true), SearchQueryError);
+    assert.throws(() => matches(db, '(fever', true), SearchQueryError);
+  });
+});
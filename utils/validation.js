@@ -0,0 +1,41 @@
+// Shared input validation helpers used by the route handlers.
+
+// Parse a path or query value as a positive integer ID.
+// Returns null when the value is missing or not a valid ID.
+export const parseId = (value) => {
+  if (value === undefined || value === null || !/^\d+$/.test(String(value).trim())) {
+    return null;
+  }
+
+  const id = parseInt(value, 10);
+  return id > 0 ? id : null;
+};
+
+// True when the value is a string containing more than whitespace
+export const isNonEmptyString = (value) => {
+  return typeof value === 'string' && value.trim() !== '';
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a date or date-time query value into SQLite's CURRENT_TIMESTAMP format
+// (UTC, "YYYY-MM-DD HH:MM:SS") so it compares correctly with stored timestamps.
+// A bare date means the start of that day, or its end when `endOfDay` is set.
+// Returns null for invalid input.
+export const parseTimestampParam = (value, { endOfDay = false } = {}) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (DATE_ONLY_PATTERN.test(trimmed)) {
+    if (isNaN(Date.parse(trimmed))) return null;
+    return `${trimmed} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+
+  const date = new Date(trimmed);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+};